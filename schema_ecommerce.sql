@@ -15,14 +15,30 @@ CREATE TABLE IF NOT EXISTS clientes (
     creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Cuentas de clientes: hash bcrypt de la contraseña (NULL = cliente sin cuenta)
+ALTER TABLE clientes ADD COLUMN IF NOT EXISTS password_hash TEXT;
+-- Recuperación de contraseña: hash SHA-256 del token enviado por email y su vencimiento
+ALTER TABLE clientes ADD COLUMN IF NOT EXISTS reset_token_hash TEXT;
+ALTER TABLE clientes ADD COLUMN IF NOT EXISTS reset_token_expira_en TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_clientes_reset_token ON clientes(reset_token_hash);
+
 -- 2. CARRITOS
 CREATE TABLE IF NOT EXISTS carritos (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     cliente_id UUID REFERENCES clientes(id) ON DELETE SET NULL,
-    estado TEXT DEFAULT 'pendiente', -- pendiente, pagado, cancelado
+    estado TEXT DEFAULT 'pendiente', -- pendiente, pagado, preparando, enviado, entregado, cancelado, reembolsado
     creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Código legible del pedido (seguimiento público) y email de contacto de la compra
+ALTER TABLE carritos ADD COLUMN IF NOT EXISTS codigo TEXT
+    DEFAULT ('PCS-' || UPPER(SUBSTR(REPLACE(gen_random_uuid()::TEXT, '-', ''), 1, 8)));
+UPDATE carritos
+SET codigo = 'PCS-' || UPPER(SUBSTR(REPLACE(gen_random_uuid()::TEXT, '-', ''), 1, 8))
+WHERE codigo IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_carritos_codigo ON carritos(codigo);
+ALTER TABLE carritos ADD COLUMN IF NOT EXISTS email_contacto TEXT;
+
 -- 3. DETALLE_CARRITO
 -- Referencia a "Productos" que usa BIGINT
 CREATE TABLE IF NOT EXISTS detalle_carrito (
@@ -49,14 +65,30 @@ CREATE TABLE IF NOT EXISTS descuentos_productos (
     producto_id BIGINT NOT NULL REFERENCES "Productos"(id) ON DELETE CASCADE,
     porcentaje INTEGER NOT NULL CHECK (porcentaje > 0 AND porcentaje <= 100),
 
-    codigo TEXT UNIQUE NOT NULL, -- Código de descuento único
-    valido_desde TIMESTAMP WITH TIME ZONE,
-    valido_hasta TIMESTAMP WITH TIME ZONE,
-    usado BOOLEAN DEFAULT FALSE,
+    -- Vigencia del descuento (NULL = sin límite). Se aplica automáticamente al
+    -- precio del producto; los códigos que ingresa el cliente son los cupones.
+    fecha_inicio TIMESTAMP WITH TIME ZONE,
+    fecha_fin TIMESTAMP WITH TIME ZONE,
 
     creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Migración desde la versión con código/valido_desde/valido_hasta
+ALTER TABLE descuentos_productos ADD COLUMN IF NOT EXISTS fecha_inicio TIMESTAMP WITH TIME ZONE;
+ALTER TABLE descuentos_productos ADD COLUMN IF NOT EXISTS fecha_fin TIMESTAMP WITH TIME ZONE;
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'descuentos_productos' AND column_name = 'valido_desde'
+    ) THEN
+        UPDATE descuentos_productos
+        SET fecha_inicio = COALESCE(fecha_inicio, valido_desde),
+            fecha_fin = COALESCE(fecha_fin, valido_hasta);
+        ALTER TABLE descuentos_productos ALTER COLUMN codigo DROP NOT NULL;
+    END IF;
+END $$;
+
 CREATE INDEX IF NOT EXISTS idx_descuentos_producto_producto_id ON descuentos_productos(producto_id);
 
 -- 5. PACKS
@@ -84,6 +116,21 @@ CREATE TABLE IF NOT EXISTS pack_productos (
 CREATE INDEX IF NOT EXISTS idx_pack_productos_pack_id ON pack_productos(pack_id);
 CREATE INDEX IF NOT EXISTS idx_pack_productos_producto_id ON pack_productos(producto_id);
 
+-- Packs como item del carrito: cada línea es un producto o un pack (al precio del pack)
+ALTER TABLE detalle_carrito ADD COLUMN IF NOT EXISTS pack_id UUID REFERENCES packs(id) ON DELETE CASCADE;
+ALTER TABLE detalle_carrito ALTER COLUMN producto_id DROP NOT NULL;
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'detalle_carrito_producto_o_pack'
+    ) THEN
+        ALTER TABLE detalle_carrito ADD CONSTRAINT detalle_carrito_producto_o_pack
+            CHECK ((producto_id IS NULL) <> (pack_id IS NULL));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_detalle_carrito_pack_id ON detalle_carrito(pack_id);
+
 -- 7. PAGOS
 CREATE TABLE IF NOT EXISTS pagos (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -91,14 +138,15 @@ CREATE TABLE IF NOT EXISTS pagos (
     carrito_id UUID NOT NULL REFERENCES carritos(id) ON DELETE CASCADE,
     monto_total INTEGER NOT NULL,
 
-    metodo TEXT NOT NULL,   -- webpay, transferencia, etc.
-    estado TEXT DEFAULT 'pendiente', -- pendiente, aprobado, rechazado
+    metodo TEXT NOT NULL,   -- webpay, transferencia, mock
+    estado TEXT DEFAULT 'pendiente', -- pendiente, aprobado, rechazado, reembolsado
 
     transaccion_id TEXT, -- ID del proveedor de pago
     creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_pagos_carrito_id ON pagos(carrito_id);
+CREATE INDEX IF NOT EXISTS idx_pagos_transaccion_id ON pagos(transaccion_id);
 
 -- 8. ENVIOS
 CREATE TABLE IF NOT EXISTS envios (
@@ -115,6 +163,62 @@ CREATE TABLE IF NOT EXISTS envios (
 
 CREATE INDEX IF NOT EXISTS idx_envios_carrito_id ON envios(carrito_id);
 
+-- 8b. TARIFAS DE ENVÍO
+-- Tramos de peso por courier y región; comuna NULL = toda la región.
+-- Una tarifa de comuna tiene prioridad sobre la de región para el mismo courier.
+CREATE TABLE IF NOT EXISTS tarifas_envio (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    courier TEXT NOT NULL,
+    region TEXT NOT NULL,
+    comuna TEXT,
+
+    peso_min_kg NUMERIC(8,3) NOT NULL DEFAULT 0 CHECK (peso_min_kg >= 0),
+    peso_max_kg NUMERIC(8,3) CHECK (peso_max_kg IS NULL OR peso_max_kg >= peso_min_kg), -- NULL = sin tope
+    precio INTEGER NOT NULL CHECK (precio >= 0),
+    envio_gratis_desde INTEGER CHECK (envio_gratis_desde IS NULL OR envio_gratis_desde >= 0),
+
+    dias_min INTEGER,
+    dias_max INTEGER,
+    activo BOOLEAN DEFAULT TRUE,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tarifas_envio_region ON tarifas_envio(region) WHERE activo;
+
+-- Destino y costo cobrado del envío
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS region TEXT;
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS comuna TEXT;
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS tarifa_id UUID REFERENCES tarifas_envio(id) ON DELETE SET NULL;
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS costo INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS peso_kg NUMERIC(8,3);
+
+-- Seguimiento del despacho
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS numero_seguimiento TEXT;
+ALTER TABLE envios ADD COLUMN IF NOT EXISTS url_seguimiento TEXT;
+
+-- 8c. EVENTOS DE ENVÍO
+-- Bitácora del despacho visible en el seguimiento público
+CREATE TABLE IF NOT EXISTS eventos_envio (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    envio_id UUID NOT NULL REFERENCES envios(id) ON DELETE CASCADE,
+    estado TEXT, -- enviado, entregado o NULL para eventos intermedios
+    descripcion TEXT NOT NULL,
+    ubicacion TEXT,
+
+    ocurrido_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    actor TEXT,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eventos_envio_envio_id ON eventos_envio(envio_id);
+
+-- Peso del producto para cotizar envíos (NULL = ENVIO_PESO_DEFAULT_KG)
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "PESO_KG" NUMERIC(8,3);
+
 -- Opcional: Tabla de clientes invitados / sesiones (si se necesita)
 CREATE TABLE IF NOT EXISTS invitados (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -122,6 +226,1064 @@ CREATE TABLE IF NOT EXISTS invitados (
     creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 9. RESERVAS DE STOCK
+-- El stock se descuenta de "Productos" al iniciar el checkout (reserva activa),
+-- se confirma cuando el pago se aprueba (suma NUM_VENTAS) y se devuelve si el
+-- pago se rechaza o la reserva expira.
+CREATE TABLE IF NOT EXISTS reservas_stock (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    carrito_id UUID NOT NULL REFERENCES carritos(id) ON DELETE CASCADE,
+    producto_id BIGINT NOT NULL REFERENCES "Productos"(id) ON DELETE CASCADE,
+    cantidad INTEGER NOT NULL CHECK (cantidad > 0),
+
+    estado TEXT NOT NULL DEFAULT 'activa', -- activa, confirmada, liberada, revertida
+    expira_en TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservas_stock_carrito_id ON reservas_stock(carrito_id);
+CREATE INDEX IF NOT EXISTS idx_reservas_stock_activas ON reservas_stock(expira_en) WHERE estado = 'activa';
+
+-- Devuelve al stock las reservas activas de un carrito (y los cupones
+-- reservados en el mismo checkout, ver canjes_cupones más abajo)
+CREATE OR REPLACE FUNCTION liberar_reservas(p_carrito_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    reserva RECORD;
+    liberadas INTEGER := 0;
+BEGIN
+    FOR reserva IN
+        SELECT * FROM reservas_stock
+        WHERE carrito_id = p_carrito_id AND estado = 'activa'
+        ORDER BY producto_id
+        FOR UPDATE
+    LOOP
+        IF reserva.variante_id IS NULL THEN
+            UPDATE "Productos" SET "STOCK" = "STOCK" + reserva.cantidad WHERE id = reserva.producto_id;
+        ELSE
+            UPDATE producto_variantes SET stock = stock + reserva.cantidad WHERE id = reserva.variante_id;
+        END IF;
+        UPDATE reservas_stock SET estado = 'liberada' WHERE id = reserva.id;
+        liberadas := liberadas + 1;
+    END LOOP;
+
+    -- Los cupones canjeados en ese checkout vuelven a estar disponibles
+    PERFORM liberar_canjes(p_carrito_id);
+
+    RETURN liberadas;
+END;
+$$;
+
+-- Libera las reservas vencidas y rechaza los pagos pendientes de esos carritos
+CREATE OR REPLACE FUNCTION liberar_reservas_expiradas()
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    carrito RECORD;
+    total INTEGER := 0;
+BEGIN
+    FOR carrito IN
+        SELECT DISTINCT carrito_id FROM reservas_stock
+        WHERE estado = 'activa' AND expira_en < NOW()
+    LOOP
+        total := total + liberar_reservas(carrito.carrito_id);
+        UPDATE pagos SET estado = 'rechazado'
+        WHERE carrito_id = carrito.carrito_id AND estado = 'pendiente';
+    END LOOP;
+
+    RETURN total;
+END;
+$$;
+
+-- Reserva (descuenta) el stock de todos los items de un carrito en una sola
+-- transacción. Si algún producto no alcanza, no se reserva nada. Las líneas con
+-- variante descuentan el stock de la variante (ver sección 17).
+-- El UPDATE condicional bloquea la fila, así que dos checkouts concurrentes
+-- por la última unidad no pueden tener éxito ambos. Los productos fuera del
+-- catálogo (archivados o sin publicar, ver en_catalogo) no se pueden comprar.
+CREATE OR REPLACE FUNCTION reservar_stock(p_carrito_id UUID, p_minutos INTEGER DEFAULT 15)
+RETURNS SETOF reservas_stock
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    item RECORD;
+    filas INTEGER;
+BEGIN
+    PERFORM liberar_reservas_expiradas();
+    PERFORM liberar_reservas(p_carrito_id);
+
+    -- Unidades por producto/variante: items directos + componentes de los packs
+    FOR item IN
+        SELECT producto_id, variante_id, SUM(cantidad)::INTEGER AS cantidad
+        FROM (
+            SELECT producto_id, variante_id, cantidad
+            FROM detalle_carrito
+            WHERE carrito_id = p_carrito_id AND producto_id IS NOT NULL
+            UNION ALL
+            SELECT pp.producto_id, NULL::UUID, dc.cantidad * pp.cantidad
+            FROM detalle_carrito dc
+            JOIN pack_productos pp ON pp.pack_id = dc.pack_id
+            WHERE dc.carrito_id = p_carrito_id
+        ) unidades
+        GROUP BY producto_id, variante_id
+        ORDER BY producto_id, variante_id -- orden fijo para evitar deadlocks
+    LOOP
+        IF EXISTS (SELECT 1 FROM "Productos" pr WHERE pr.id = item.producto_id AND NOT en_catalogo(pr)) THEN
+            RAISE EXCEPTION 'PRODUCTO_NO_DISPONIBLE:%', item.producto_id;
+        END IF;
+
+        IF item.variante_id IS NULL THEN
+            UPDATE "Productos"
+            SET "STOCK" = "STOCK" - item.cantidad
+            WHERE id = item.producto_id AND "STOCK" >= item.cantidad;
+        ELSE
+            UPDATE producto_variantes
+            SET stock = stock - item.cantidad
+            WHERE id = item.variante_id AND activo AND stock >= item.cantidad;
+        END IF;
+
+        GET DIAGNOSTICS filas = ROW_COUNT;
+        IF filas = 0 THEN
+            IF item.variante_id IS NULL THEN
+                RAISE EXCEPTION 'STOCK_INSUFICIENTE:%', item.producto_id;
+            END IF;
+            RAISE EXCEPTION 'STOCK_INSUFICIENTE:%:%', item.producto_id, item.variante_id;
+        END IF;
+
+        INSERT INTO reservas_stock (carrito_id, producto_id, variante_id, cantidad, expira_en)
+        VALUES (p_carrito_id, item.producto_id, item.variante_id, item.cantidad, NOW() + make_interval(mins => p_minutos));
+    END LOOP;
+
+    RETURN QUERY
+        SELECT * FROM reservas_stock
+        WHERE carrito_id = p_carrito_id AND estado = 'activa';
+END;
+$$;
+
+-- Confirma las reservas activas de un carrito y suma las unidades a NUM_VENTAS
+CREATE OR REPLACE FUNCTION confirmar_reservas(p_carrito_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    reserva RECORD;
+    confirmadas INTEGER := 0;
+BEGIN
+    FOR reserva IN
+        SELECT * FROM reservas_stock
+        WHERE carrito_id = p_carrito_id AND estado = 'activa'
+        ORDER BY producto_id
+        FOR UPDATE
+    LOOP
+        UPDATE "Productos"
+        SET "NUM_VENTAS" = COALESCE("NUM_VENTAS", 0) + reserva.cantidad
+        WHERE id = reserva.producto_id;
+        IF reserva.variante_id IS NOT NULL THEN
+            UPDATE producto_variantes SET num_ventas = num_ventas + reserva.cantidad WHERE id = reserva.variante_id;
+        END IF;
+        UPDATE reservas_stock SET estado = 'confirmada' WHERE id = reserva.id;
+        confirmadas := confirmadas + 1;
+    END LOOP;
+
+    IF confirmadas = 0 THEN
+        RAISE EXCEPTION 'RESERVA_NO_ACTIVA:%', p_carrito_id;
+    END IF;
+
+    UPDATE canjes_cupones SET estado = 'confirmado'
+    WHERE carrito_id = p_carrito_id AND estado = 'reservado';
+
+    RETURN confirmadas;
+END;
+$$;
+
+-- 10. HISTORIAL DE ESTADOS DE PEDIDOS
+-- Ciclo de vida del carrito/pedido:
+--   pendiente -> pagado -> preparando -> enviado -> entregado
+--   pendiente -> cancelado; pagado/preparando/enviado/entregado -> reembolsado
+CREATE TABLE IF NOT EXISTS historial_estados_carrito (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    carrito_id UUID NOT NULL REFERENCES carritos(id) ON DELETE CASCADE,
+    estado_anterior TEXT,
+    estado_nuevo TEXT NOT NULL,
+
+    nota TEXT,
+    actor TEXT, -- email del staff, 'cliente' o 'sistema'
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_historial_estados_carrito_id ON historial_estados_carrito(carrito_id);
+
+-- Revierte la venta de un pedido reembolsado: descuenta NUM_VENTAS y,
+-- si p_reponer_stock, devuelve las unidades al stock
+CREATE OR REPLACE FUNCTION revertir_reservas(p_carrito_id UUID, p_reponer_stock BOOLEAN DEFAULT TRUE)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    reserva RECORD;
+    revertidas INTEGER := 0;
+BEGIN
+    FOR reserva IN
+        SELECT * FROM reservas_stock
+        WHERE carrito_id = p_carrito_id AND estado = 'confirmada'
+        ORDER BY producto_id
+        FOR UPDATE
+    LOOP
+        UPDATE "Productos"
+        SET "NUM_VENTAS" = GREATEST(COALESCE("NUM_VENTAS", 0) - reserva.cantidad, 0),
+            "STOCK" = "STOCK" + CASE WHEN p_reponer_stock AND reserva.variante_id IS NULL THEN reserva.cantidad ELSE 0 END
+        WHERE id = reserva.producto_id;
+        IF reserva.variante_id IS NOT NULL THEN
+            UPDATE producto_variantes
+            SET num_ventas = GREATEST(num_ventas - reserva.cantidad, 0),
+                stock = stock + CASE WHEN p_reponer_stock THEN reserva.cantidad ELSE 0 END
+            WHERE id = reserva.variante_id;
+        END IF;
+        UPDATE reservas_stock SET estado = 'revertida' WHERE id = reserva.id;
+        revertidas := revertidas + 1;
+    END LOOP;
+
+    RETURN revertidas;
+END;
+$$;
+
+-- 11. CANJES DE CUPONES
+-- Un canje se reserva al iniciar el checkout (incrementa cupones.usos_actuales),
+-- se confirma junto con el pago y se libera (decrementa) si el pago se rechaza,
+-- se cancela o la reserva de stock expira.
+CREATE TABLE IF NOT EXISTS canjes_cupones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    codigo TEXT NOT NULL, -- cupones.codigo
+    carrito_id UUID NOT NULL REFERENCES carritos(id) ON DELETE CASCADE,
+    pago_id UUID NOT NULL REFERENCES pagos(id) ON DELETE CASCADE,
+    monto_descuento INTEGER NOT NULL CHECK (monto_descuento >= 0),
+
+    estado TEXT NOT NULL DEFAULT 'reservado', -- reservado, confirmado, liberado
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_canjes_cupones_carrito_id ON canjes_cupones(carrito_id);
+CREATE INDEX IF NOT EXISTS idx_canjes_cupones_pago_id ON canjes_cupones(pago_id);
+
+-- Descuento aplicado al pago (monto_total ya lo tiene restado)
+ALTER TABLE pagos ADD COLUMN IF NOT EXISTS monto_descuento INTEGER NOT NULL DEFAULT 0;
+
+-- Incrementa usos_actuales solo si el cupón sigue disponible. El UPDATE
+-- condicional bloquea la fila del cupón, así que dos pedidos simultáneos no
+-- pueden superar uso_unico ni usos_maximos.
+CREATE OR REPLACE FUNCTION canjear_cupon(
+    p_codigo TEXT,
+    p_carrito_id UUID,
+    p_pago_id UUID,
+    p_monto_descuento INTEGER
+)
+RETURNS canjes_cupones
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    filas INTEGER;
+    canje canjes_cupones;
+BEGIN
+    UPDATE cupones
+    SET usos_actuales = COALESCE(usos_actuales, 0) + 1
+    WHERE codigo = UPPER(p_codigo)
+      AND activo
+      AND (fecha_inicio IS NULL OR fecha_inicio <= NOW())
+      AND (fecha_fin IS NULL OR fecha_fin >= NOW())
+      AND (NOT COALESCE(uso_unico, FALSE) OR COALESCE(usos_actuales, 0) = 0)
+      AND (usos_maximos IS NULL OR COALESCE(usos_actuales, 0) < usos_maximos);
+
+    GET DIAGNOSTICS filas = ROW_COUNT;
+    IF filas = 0 THEN
+        RAISE EXCEPTION 'CUPON_NO_DISPONIBLE:%', p_codigo;
+    END IF;
+
+    INSERT INTO canjes_cupones (codigo, carrito_id, pago_id, monto_descuento)
+    VALUES (UPPER(p_codigo), p_carrito_id, p_pago_id, p_monto_descuento)
+    RETURNING * INTO canje;
+
+    UPDATE pagos SET monto_descuento = p_monto_descuento WHERE id = p_pago_id;
+
+    RETURN canje;
+END;
+$$;
+
+-- Devuelve los usos de los canjes reservados de un carrito
+CREATE OR REPLACE FUNCTION liberar_canjes(p_carrito_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    canje RECORD;
+    liberados INTEGER := 0;
+BEGIN
+    FOR canje IN
+        SELECT * FROM canjes_cupones
+        WHERE carrito_id = p_carrito_id AND estado = 'reservado'
+        FOR UPDATE
+    LOOP
+        UPDATE cupones
+        SET usos_actuales = GREATEST(COALESCE(usos_actuales, 0) - 1, 0)
+        WHERE codigo = canje.codigo;
+        UPDATE canjes_cupones SET estado = 'liberado' WHERE id = canje.id;
+        liberados := liberados + 1;
+    END LOOP;
+
+    RETURN liberados;
+END;
+$$;
+
+-- 12. EMAILS_OUTBOX (emails transaccionales pendientes de envío, con reintentos)
+CREATE TABLE IF NOT EXISTS emails_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    plantilla TEXT NOT NULL, -- pedido_confirmado, pago_aprobado, envio_despachado, contacto_*, recuperar_password
+    destinatario TEXT NOT NULL,
+    reply_to TEXT,
+    asunto TEXT NOT NULL,
+    html TEXT NOT NULL,
+    texto TEXT NOT NULL,
+    estado TEXT NOT NULL DEFAULT 'pendiente', -- pendiente, enviando, enviado, fallido
+    intentos INTEGER NOT NULL DEFAULT 0,
+    proximo_intento_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    bloqueado_en TIMESTAMP WITH TIME ZONE,
+    ultimo_error TEXT,
+    enviado_en TIMESTAMP WITH TIME ZONE,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_emails_outbox_pendientes ON emails_outbox(estado, proximo_intento_en);
+
+-- 13. MENSAJES DE CONTACTO (bandeja de entrada del formulario de contacto)
+CREATE TABLE IF NOT EXISTS mensajes_contacto (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    nombre TEXT NOT NULL,
+    email TEXT NOT NULL,
+    telefono TEXT,
+    servicio TEXT,
+    mensaje TEXT NOT NULL,
+    estado TEXT NOT NULL DEFAULT 'nuevo', -- nuevo, en_proceso, respondido, archivado, spam
+    asignado_a TEXT, -- email del miembro del staff
+    huella TEXT NOT NULL, -- sha256 de email + mensaje normalizados (detección de duplicados)
+    ip TEXT,
+    user_agent TEXT,
+    respondido_en TIMESTAMP WITH TIME ZONE,
+    actualizado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mensajes_contacto_estado ON mensajes_contacto(estado, creado_en DESC);
+CREATE INDEX IF NOT EXISTS idx_mensajes_contacto_huella ON mensajes_contacto(huella, creado_en);
+
+CREATE TABLE IF NOT EXISTS respuestas_contacto (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mensaje_id UUID REFERENCES mensajes_contacto(id) ON DELETE CASCADE,
+    autor TEXT NOT NULL,
+    respuesta TEXT NOT NULL,
+    email_id UUID REFERENCES emails_outbox(id) ON DELETE SET NULL,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_respuestas_contacto_mensaje ON respuestas_contacto(mensaje_id);
+
+-- 14. RATE LIMITING (store compartido, RATE_LIMIT_STORE=supabase)
+CREATE TABLE IF NOT EXISTS rate_limit_eventos (
+    id BIGSERIAL PRIMARY KEY,
+    clave TEXT NOT NULL,
+    ocurrido_en TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_eventos_clave ON rate_limit_eventos(clave, ocurrido_en);
+
+-- Registra un evento y devuelve los de la ventana deslizante (descarta los vencidos de la clave)
+CREATE OR REPLACE FUNCTION rate_limit_registrar(p_clave TEXT, p_ventana_ms BIGINT)
+RETURNS TABLE (total INTEGER, primero TIMESTAMP WITH TIME ZONE, ultimo TIMESTAMP WITH TIME ZONE)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    desde TIMESTAMP WITH TIME ZONE := NOW() - (p_ventana_ms || ' milliseconds')::INTERVAL;
+BEGIN
+    DELETE FROM rate_limit_eventos WHERE clave = p_clave AND ocurrido_en <= desde;
+    INSERT INTO rate_limit_eventos (clave) VALUES (p_clave);
+
+    RETURN QUERY
+    SELECT COUNT(*)::INTEGER, MIN(e.ocurrido_en), MAX(e.ocurrido_en)
+    FROM rate_limit_eventos e
+    WHERE e.clave = p_clave AND e.ocurrido_en > desde;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rate_limit_contar(p_clave TEXT, p_ventana_ms BIGINT)
+RETURNS TABLE (total INTEGER, primero TIMESTAMP WITH TIME ZONE, ultimo TIMESTAMP WITH TIME ZONE)
+LANGUAGE sql
+AS $$
+    SELECT COUNT(*)::INTEGER, MIN(ocurrido_en), MAX(ocurrido_en)
+    FROM rate_limit_eventos
+    WHERE clave = p_clave AND ocurrido_en > NOW() - (p_ventana_ms || ' milliseconds')::INTERVAL;
+$$;
+
+-- 15. BÚSQUEDA DE PRODUCTOS (sin tildes, tolerante a errores, con ranking y facetas)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Papelera (sección 23) y publicación (sección 24) de productos. Las columnas se
+-- crean aquí porque las funciones de búsqueda y de categorías ya las usan.
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "ELIMINADO_EN" TIMESTAMP WITH TIME ZONE;
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "ELIMINADO_POR" TEXT;
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "ESTADO_PUBLICACION" TEXT NOT NULL DEFAULT 'publicado';
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "PUBLICAR_DESDE" TIMESTAMP WITH TIME ZONE;
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "PUBLICAR_HASTA" TIMESTAMP WITH TIME ZONE;
+
+-- Un producto está en el catálogo público si no está archivado, está publicado y
+-- NOW() cae dentro de su ventana de publicación. Al recibir la fila, PostgREST
+-- la expone como columna calculada: GET /Productos?en_catalogo=is.true
+CREATE OR REPLACE FUNCTION en_catalogo(p "Productos")
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+    SELECT p."ELIMINADO_EN" IS NULL
+       AND p."ESTADO_PUBLICACION" = 'publicado'
+       AND (p."PUBLICAR_DESDE" IS NULL OR p."PUBLICAR_DESDE" <= NOW())
+       AND (p."PUBLICAR_HASTA" IS NULL OR p."PUBLICAR_HASTA" > NOW());
+$$;
+
+-- Minúsculas y sin tildes. unaccent() no es IMMUTABLE; este envoltorio permite indexarlo.
+CREATE OR REPLACE FUNCTION normalizar_busqueda(p_texto TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+    SELECT lower(public.unaccent('public.unaccent'::regdictionary, COALESCE(p_texto, '')));
+$$;
+
+-- Precio numérico de un producto (acepta PRECIO numérico o texto como "$50.000", igual que parsePrecio)
+CREATE OR REPLACE FUNCTION precio_producto(p_precio TEXT)
+RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+    SELECT CASE
+        WHEN p_precio ~ '^\d+(\.\d+)?$' THEN p_precio::NUMERIC
+        ELSE NULLIF(regexp_replace(COALESCE(p_precio, ''), '[^0-9]', '', 'g'), '')::NUMERIC
+    END;
+$$;
+
+-- La relevancia se calcula por fila (relevancia_producto mezcla nombre, categorías
+-- y detalle), así que un índice trigram no se usaría: se eliminan los que se crearon
+DROP INDEX IF EXISTS idx_productos_nombre_trgm;
+DROP INDEX IF EXISTS idx_productos_detalle_trgm;
+
+-- Relevancia de un producto para el texto buscado (ya normalizado). 0 = no coincide.
+-- El nombre pesa más que categoría/subcategoría y éstas más que el detalle.
+CREATE OR REPLACE FUNCTION relevancia_producto(p_q TEXT, p_nombre TEXT, p_categoria TEXT, p_subcategoria TEXT, p_detalle TEXT)
+RETURNS REAL
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+    WITH n AS (
+        SELECT normalizar_busqueda(p_nombre) AS nombre,
+               normalizar_busqueda(p_categoria) || ' ' || normalizar_busqueda(p_subcategoria) AS categorias,
+               normalizar_busqueda(p_detalle) AS detalle
+    ), puntajes AS (
+        SELECT
+            CASE
+                WHEN left(n.nombre, length(p_q)) = p_q OR strpos(n.nombre, ' ' || p_q) > 0 THEN 1.0
+                WHEN strpos(n.nombre, p_q) > 0 THEN 0.8
+                ELSE word_similarity(p_q, n.nombre)
+            END AS nombre,
+            CASE WHEN strpos(n.categorias, p_q) > 0 THEN 1.0 ELSE word_similarity(p_q, n.categorias) END AS categorias,
+            CASE WHEN strpos(n.detalle, p_q) > 0 THEN 1.0 ELSE word_similarity(p_q, n.detalle) END AS detalle
+        FROM n
+    )
+    SELECT CASE
+        -- Umbrales de similitud: por debajo se considera que no coincide (tolera 1-2 letras erradas)
+        WHEN nombre < 0.45 AND categorias < 0.6 AND detalle < 0.6 THEN 0
+        ELSE (3 * CASE WHEN nombre >= 0.45 THEN nombre ELSE 0 END
+            + 1.5 * CASE WHEN categorias >= 0.6 THEN categorias ELSE 0 END
+            + 1 * CASE WHEN detalle >= 0.6 THEN detalle ELSE 0 END)::REAL
+    END
+    FROM puntajes;
+$$;
+
+-- Página de resultados: ids ordenados, relevancia y total de coincidencias.
+-- p_orden: relevancia, precio_asc, precio_desc, recientes, mas_vendidos, posicion
+CREATE OR REPLACE FUNCTION buscar_productos(
+    p_q TEXT DEFAULT NULL,
+    p_categoria TEXT DEFAULT NULL,
+    p_subcategoria TEXT DEFAULT NULL,
+    p_precio_min NUMERIC DEFAULT NULL,
+    p_precio_max NUMERIC DEFAULT NULL,
+    p_con_stock BOOLEAN DEFAULT FALSE,
+    p_orden TEXT DEFAULT 'posicion',
+    p_limite INTEGER DEFAULT 12,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (id BIGINT, relevancia REAL, total BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    WITH q AS (
+        SELECT NULLIF(normalizar_busqueda(p_q), '') AS texto
+    ), candidatos AS (
+        SELECT p.id, p."POSICION", p."NUM_VENTAS",
+               precio_producto(p."PRECIO"::TEXT) AS precio,
+               CASE WHEN q.texto IS NULL THEN 0
+                    ELSE relevancia_producto(q.texto, p."NOMBRE", p."CATEGORIA", p."SUBCATEGORIA", p."DETALLE")
+               END AS relevancia
+        FROM "Productos" p, q
+        WHERE en_catalogo(p)
+          AND (p_categoria IS NULL OR p."CATEGORIA" = p_categoria)
+          AND (p_subcategoria IS NULL OR p."SUBCATEGORIA" = p_subcategoria)
+          AND (NOT p_con_stock OR p."STOCK" > 0)
+    ), filtrados AS (
+        SELECT c.*
+        FROM candidatos c, q
+        WHERE (q.texto IS NULL OR c.relevancia > 0)
+          AND (p_precio_min IS NULL OR c.precio >= p_precio_min)
+          AND (p_precio_max IS NULL OR c.precio <= p_precio_max)
+    )
+    SELECT f.id, f.relevancia, COUNT(*) OVER () AS total
+    FROM filtrados f
+    ORDER BY
+        CASE WHEN p_orden = 'relevancia' THEN f.relevancia END DESC NULLS LAST,
+        CASE WHEN p_orden = 'precio_asc' THEN f.precio END ASC NULLS LAST,
+        CASE WHEN p_orden = 'precio_desc' THEN f.precio END DESC NULLS LAST,
+        CASE WHEN p_orden = 'recientes' THEN f.id END DESC,
+        CASE WHEN p_orden = 'mas_vendidos' THEN f."NUM_VENTAS" END DESC NULLS LAST,
+        f."POSICION" ASC NULLS LAST,
+        f.id ASC
+    LIMIT p_limite OFFSET p_offset;
+$$;
+
+-- Facetas de la búsqueda. Cada faceta aplica todos los filtros menos el propio,
+-- para que el frontend pueda mostrar cuántos resultados daría cada opción.
+-- p_rangos_precio: límites de los tramos, p. ej. {0,50000,100000} -> [0,50000), [50000,100000), [100000,∞)
+CREATE OR REPLACE FUNCTION facetas_productos(
+    p_q TEXT DEFAULT NULL,
+    p_categoria TEXT DEFAULT NULL,
+    p_subcategoria TEXT DEFAULT NULL,
+    p_precio_min NUMERIC DEFAULT NULL,
+    p_precio_max NUMERIC DEFAULT NULL,
+    p_con_stock BOOLEAN DEFAULT FALSE,
+    p_rangos_precio NUMERIC[] DEFAULT ARRAY[0]::NUMERIC[]
+)
+RETURNS JSONB
+LANGUAGE sql STABLE
+AS $$
+    WITH q AS (
+        SELECT NULLIF(normalizar_busqueda(p_q), '') AS texto
+    ), base AS (
+        SELECT p."CATEGORIA" AS categoria, p."SUBCATEGORIA" AS subcategoria,
+               COALESCE(p."STOCK", 0) > 0 AS con_stock,
+               precio_producto(p."PRECIO"::TEXT) AS precio
+        FROM "Productos" p, q
+        WHERE en_catalogo(p)
+          AND (q.texto IS NULL
+               OR relevancia_producto(q.texto, p."NOMBRE", p."CATEGORIA", p."SUBCATEGORIA", p."DETALLE") > 0)
+    ), f AS (
+        SELECT b.*,
+            (p_categoria IS NULL OR b.categoria = p_categoria) AS ok_categoria,
+            (p_subcategoria IS NULL OR b.subcategoria = p_subcategoria) AS ok_subcategoria,
+            (NOT p_con_stock OR b.con_stock) AS ok_stock,
+            ((p_precio_min IS NULL OR b.precio >= p_precio_min)
+                AND (p_precio_max IS NULL OR b.precio <= p_precio_max)) AS ok_precio
+        FROM base b
+    ), tramos AS (
+        SELECT r.desde, LEAD(r.desde) OVER (ORDER BY r.desde) AS hasta
+        FROM unnest(p_rangos_precio) AS r(desde)
+    )
+    SELECT jsonb_build_object(
+        -- Total con todos los filtros (el de buscar_productos viene en las filas de la página)
+        'total', (SELECT COUNT(*) FROM f WHERE ok_categoria AND ok_subcategoria AND ok_stock AND ok_precio),
+        'categorias', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('valor', categoria, 'total', total) ORDER BY total DESC, categoria)
+            FROM (SELECT categoria, COUNT(*) AS total FROM f
+                  WHERE categoria IS NOT NULL AND ok_subcategoria AND ok_stock AND ok_precio
+                  GROUP BY categoria) x
+        ), '[]'::JSONB),
+        'subcategorias', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('valor', subcategoria, 'total', total) ORDER BY total DESC, subcategoria)
+            FROM (SELECT subcategoria, COUNT(*) AS total FROM f
+                  WHERE subcategoria IS NOT NULL AND ok_categoria AND ok_stock AND ok_precio
+                  GROUP BY subcategoria) x
+        ), '[]'::JSONB),
+        'precios', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('desde', t.desde, 'hasta', t.hasta, 'total', (
+                SELECT COUNT(*) FROM f
+                WHERE ok_categoria AND ok_subcategoria AND ok_stock
+                  AND f.precio >= t.desde AND (t.hasta IS NULL OR f.precio < t.hasta)
+            )) ORDER BY t.desde)
+            FROM tramos t
+        ), '[]'::JSONB),
+        'stock', (
+            SELECT jsonb_build_object(
+                'con_stock', COUNT(*) FILTER (WHERE con_stock),
+                'sin_stock', COUNT(*) FILTER (WHERE NOT con_stock)
+            )
+            FROM f WHERE ok_categoria AND ok_subcategoria AND ok_precio
+        )
+    );
+$$;
+
+-- 16. CATEGORÍAS (árbol de dos niveles: categorías y subcategorías)
+-- Los productos siguen guardando el nombre en "CATEGORIA"/"SUBCATEGORIA"; esta tabla
+-- es la lista oficial y las funciones de renombrar/fusionar mantienen ambos en sincronía.
+CREATE TABLE IF NOT EXISTS categorias (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    padre_id UUID REFERENCES categorias(id) ON DELETE RESTRICT, -- NULL = categoría; si no, subcategoría
+    nombre TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    icono TEXT,
+    orden INTEGER NOT NULL DEFAULT 0,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Un nombre por nivel, sin distinguir mayúsculas
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categorias_nombre
+    ON categorias (COALESCE(padre_id, '00000000-0000-0000-0000-000000000000'::UUID), lower(nombre));
+CREATE INDEX IF NOT EXISTS idx_categorias_padre ON categorias(padre_id, orden);
+
+CREATE OR REPLACE FUNCTION slugificar(p_texto TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+    SELECT trim(both '-' from regexp_replace(normalizar_busqueda(p_texto), '[^a-z0-9]+', '-', 'g'));
+$$;
+
+-- Carga inicial desde los textos existentes en "Productos" (solo si la tabla está vacía).
+-- Las variantes de mayúsculas/tildes de un mismo nombre se unifican en los productos.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM categorias) THEN
+        INSERT INTO categorias (nombre, slug)
+        SELECT DISTINCT ON (slugificar("CATEGORIA")) trim("CATEGORIA"), slugificar("CATEGORIA")
+        FROM "Productos"
+        WHERE slugificar("CATEGORIA") <> ''
+        ORDER BY slugificar("CATEGORIA"), "CATEGORIA";
+
+        UPDATE "Productos" p SET "CATEGORIA" = c.nombre
+        FROM categorias c
+        WHERE c.padre_id IS NULL AND c.slug = slugificar(p."CATEGORIA") AND p."CATEGORIA" <> c.nombre;
+
+        INSERT INTO categorias (nombre, slug, padre_id)
+        SELECT DISTINCT ON (c.id, slugificar(p."SUBCATEGORIA"))
+            trim(p."SUBCATEGORIA"), c.slug || '-' || slugificar(p."SUBCATEGORIA"), c.id
+        FROM "Productos" p
+        JOIN categorias c ON c.padre_id IS NULL AND c.nombre = p."CATEGORIA"
+        WHERE slugificar(p."SUBCATEGORIA") <> ''
+        ORDER BY c.id, slugificar(p."SUBCATEGORIA"), p."SUBCATEGORIA";
+
+        UPDATE "Productos" p SET "SUBCATEGORIA" = s.nombre
+        FROM categorias c
+        JOIN categorias s ON s.padre_id = c.id
+        WHERE c.nombre = p."CATEGORIA"
+          AND s.slug = c.slug || '-' || slugificar(p."SUBCATEGORIA")
+          AND p."SUBCATEGORIA" <> s.nombre;
+    END IF;
+END $$;
+
+-- Productos por categoría/subcategoría (para los contadores del árbol)
+CREATE OR REPLACE FUNCTION contar_productos_categorias()
+RETURNS TABLE (categoria TEXT, subcategoria TEXT, total BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT p."CATEGORIA", p."SUBCATEGORIA", COUNT(*) FROM "Productos" p WHERE en_catalogo(p) GROUP BY 1, 2;
+$$;
+
+-- Renombra una categoría o subcategoría y actualiza los productos que la usan
+CREATE OR REPLACE FUNCTION renombrar_categoria(p_id UUID, p_nombre TEXT)
+RETURNS categorias
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    cat categorias;
+    padre categorias;
+    anterior TEXT;
+BEGIN
+    SELECT * INTO cat FROM categorias WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CATEGORIA_NO_ENCONTRADA:%', p_id;
+    END IF;
+
+    anterior := cat.nombre;
+    UPDATE categorias SET nombre = p_nombre WHERE id = p_id RETURNING * INTO cat;
+
+    IF cat.padre_id IS NULL THEN
+        UPDATE "Productos" SET "CATEGORIA" = p_nombre WHERE "CATEGORIA" = anterior;
+    ELSE
+        SELECT * INTO padre FROM categorias WHERE id = cat.padre_id;
+        UPDATE "Productos" SET "SUBCATEGORIA" = p_nombre
+        WHERE "CATEGORIA" = padre.nombre AND "SUBCATEGORIA" = anterior;
+    END IF;
+
+    RETURN cat;
+END;
+$$;
+
+-- Fusiona p_origen en p_destino (mismo nivel): reasigna los productos, mueve las
+-- subcategorías (fusionando las de igual nombre) y elimina el origen.
+-- Devuelve la cantidad de productos reasignados.
+CREATE OR REPLACE FUNCTION fusionar_categorias(p_origen UUID, p_destino UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    origen categorias;
+    destino categorias;
+    padre_origen categorias;
+    padre_destino categorias;
+    sub categorias;
+    existente categorias;
+    movidos INTEGER := 0;
+BEGIN
+    IF p_origen = p_destino THEN
+        RAISE EXCEPTION 'FUSION_INVALIDA:misma categoria';
+    END IF;
+
+    SELECT * INTO origen FROM categorias WHERE id = p_origen FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CATEGORIA_NO_ENCONTRADA:%', p_origen;
+    END IF;
+    SELECT * INTO destino FROM categorias WHERE id = p_destino FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CATEGORIA_NO_ENCONTRADA:%', p_destino;
+    END IF;
+
+    IF (origen.padre_id IS NULL) <> (destino.padre_id IS NULL) THEN
+        RAISE EXCEPTION 'FUSION_INVALIDA:distinto nivel';
+    END IF;
+
+    IF origen.padre_id IS NULL THEN
+        FOR sub IN SELECT * FROM categorias WHERE padre_id = origen.id FOR UPDATE LOOP
+            SELECT * INTO existente FROM categorias
+            WHERE padre_id = destino.id AND lower(nombre) = lower(sub.nombre);
+
+            IF FOUND THEN
+                UPDATE "Productos" SET "SUBCATEGORIA" = existente.nombre
+                WHERE "CATEGORIA" = origen.nombre AND "SUBCATEGORIA" = sub.nombre;
+                DELETE FROM categorias WHERE id = sub.id;
+            ELSE
+                UPDATE categorias SET padre_id = destino.id WHERE id = sub.id;
+            END IF;
+        END LOOP;
+
+        UPDATE "Productos" SET "CATEGORIA" = destino.nombre WHERE "CATEGORIA" = origen.nombre;
+        GET DIAGNOSTICS movidos = ROW_COUNT;
+    ELSE
+        SELECT * INTO padre_origen FROM categorias WHERE id = origen.padre_id;
+        SELECT * INTO padre_destino FROM categorias WHERE id = destino.padre_id;
+
+        UPDATE "Productos"
+        SET "CATEGORIA" = padre_destino.nombre, "SUBCATEGORIA" = destino.nombre
+        WHERE "CATEGORIA" = padre_origen.nombre AND "SUBCATEGORIA" = origen.nombre;
+        GET DIAGNOSTICS movidos = ROW_COUNT;
+    END IF;
+
+    DELETE FROM categorias WHERE id = origen.id;
+    RETURN movidos;
+END;
+$$;
+
+-- 17. VARIANTES DE PRODUCTOS
+-- Ejes de opción del producto en "OPCIONES": [{ "nombre": "RAM", "valores": ["16GB", "32GB"] }].
+-- Cada variante es una combinación de valores con SKU, precio (NULL = PRECIO del
+-- producto), stock e imágenes propias. En un producto con variantes, "STOCK" es
+-- la suma del stock de sus variantes activas (lo mantiene el trigger).
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "OPCIONES" JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+CREATE TABLE IF NOT EXISTS producto_variantes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    producto_id BIGINT NOT NULL REFERENCES "Productos"(id) ON DELETE CASCADE,
+
+    sku TEXT NOT NULL UNIQUE,
+    opciones JSONB NOT NULL,              -- { "RAM": "32GB", "SSD": "1TB" }
+    etiqueta TEXT NOT NULL,               -- "32GB / 1TB", en el orden de los ejes
+    precio INTEGER CHECK (precio >= 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    imagenes JSONB NOT NULL DEFAULT '[]'::JSONB,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    num_ventas INTEGER NOT NULL DEFAULT 0,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_producto_variantes_opciones ON producto_variantes(producto_id, opciones);
+
+-- Las líneas de carrito y las reservas apuntan a la variante elegida. Sin cascada:
+-- una variante con pedidos no se borra, se desactiva.
+ALTER TABLE detalle_carrito ADD COLUMN IF NOT EXISTS variante_id UUID REFERENCES producto_variantes(id);
+ALTER TABLE reservas_stock ADD COLUMN IF NOT EXISTS variante_id UUID REFERENCES producto_variantes(id);
+CREATE INDEX IF NOT EXISTS idx_detalle_carrito_variante_id ON detalle_carrito(variante_id);
+
+CREATE OR REPLACE FUNCTION sincronizar_stock_variantes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_producto_id BIGINT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_producto_id := OLD.producto_id;
+    ELSE
+        v_producto_id := NEW.producto_id;
+    END IF;
+
+    UPDATE "Productos"
+    SET "STOCK" = (
+        SELECT COALESCE(SUM(stock), 0) FROM producto_variantes
+        WHERE producto_id = v_producto_id AND activo
+    )
+    WHERE id = v_producto_id;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_producto_variantes_stock ON producto_variantes;
+CREATE TRIGGER trg_producto_variantes_stock
+    AFTER INSERT OR DELETE OR UPDATE OF stock, activo ON producto_variantes
+    FOR EACH ROW EXECUTE FUNCTION sincronizar_stock_variantes();
+
+-- 18. CONFIGURADOR DE PC
+-- Datos técnicos de los componentes, p. ej.:
+--   cpu:            { "componente": "cpu", "socket": "AM5", "tdp_w": 105, "graficos_integrados": true }
+--   placa_madre:    { "componente": "placa_madre", "socket": "AM5", "tipo_memoria": "DDR5", "factor_forma": "ATX", "slots_ram": 4 }
+--   ram:            { "componente": "ram", "tipo_memoria": "DDR5", "modulos": 2 }
+--   gpu:            { "componente": "gpu", "tdp_w": 220, "largo_mm": 300 }
+--   fuente:         { "componente": "fuente", "potencia_w": 750 }
+--   gabinete:       { "componente": "gabinete", "factores_forma": ["ATX", "Micro-ATX"], "gpu_largo_max_mm": 360 }
+--   almacenamiento: { "componente": "almacenamiento", "consumo_w": 6 }
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "ESPECIFICACIONES" JSONB NOT NULL DEFAULT '{}'::JSONB;
+CREATE INDEX IF NOT EXISTS idx_productos_componente ON "Productos" (("ESPECIFICACIONES"->>'componente'));
+
+-- 19. IMPORTACIÓN DE PRODUCTOS (CSV)
+-- SKU opcional y único para identificar productos al importar listas de precios
+ALTER TABLE "Productos" ADD COLUMN IF NOT EXISTS "SKU" TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_productos_sku ON "Productos"("SKU") WHERE "SKU" IS NOT NULL;
+
+-- Aplica una importación ya validada en una sola transacción.
+-- p_crear: [{ "SKU", "NOMBRE", "PRECIO", ... }]
+-- p_actualizar: [{ "id": 1, "cambios": { "PRECIO": 49990 } }] (solo se tocan las columnas presentes)
+-- Devuelve { "creados": [ids en el orden de p_crear], "actualizados": n }
+CREATE OR REPLACE FUNCTION importar_productos(p_crear JSONB, p_actualizar JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    fila JSONB;
+    r "Productos";
+    c JSONB;
+    nuevo_id BIGINT;
+    creados JSONB := '[]'::JSONB;
+    actualizados INTEGER := 0;
+BEGIN
+    FOR fila IN SELECT * FROM jsonb_array_elements(COALESCE(p_crear, '[]'::JSONB)) LOOP
+        r := jsonb_populate_record(NULL::"Productos", fila);
+
+        INSERT INTO "Productos" ("SKU", "NOMBRE", "DETALLE", "PRECIO", "CATEGORIA", "SUBCATEGORIA", "STOCK", "POSICION", "PESO_KG")
+        VALUES (r."SKU", r."NOMBRE", r."DETALLE", r."PRECIO", r."CATEGORIA", r."SUBCATEGORIA", COALESCE(r."STOCK", 0), r."POSICION", r."PESO_KG")
+        RETURNING id INTO nuevo_id;
+
+        creados := creados || to_jsonb(nuevo_id);
+    END LOOP;
+
+    FOR fila IN SELECT * FROM jsonb_array_elements(COALESCE(p_actualizar, '[]'::JSONB)) LOOP
+        c := fila->'cambios';
+        r := jsonb_populate_record(NULL::"Productos", c);
+
+        UPDATE "Productos" p SET
+            "SKU" = CASE WHEN c ? 'SKU' THEN r."SKU" ELSE p."SKU" END,
+            "NOMBRE" = CASE WHEN c ? 'NOMBRE' THEN r."NOMBRE" ELSE p."NOMBRE" END,
+            "DETALLE" = CASE WHEN c ? 'DETALLE' THEN r."DETALLE" ELSE p."DETALLE" END,
+            "PRECIO" = CASE WHEN c ? 'PRECIO' THEN r."PRECIO" ELSE p."PRECIO" END,
+            "CATEGORIA" = CASE WHEN c ? 'CATEGORIA' THEN r."CATEGORIA" ELSE p."CATEGORIA" END,
+            "SUBCATEGORIA" = CASE WHEN c ? 'SUBCATEGORIA' THEN r."SUBCATEGORIA" ELSE p."SUBCATEGORIA" END,
+            "STOCK" = CASE WHEN c ? 'STOCK' THEN r."STOCK" ELSE p."STOCK" END,
+            "POSICION" = CASE WHEN c ? 'POSICION' THEN r."POSICION" ELSE p."POSICION" END,
+            "PESO_KG" = CASE WHEN c ? 'PESO_KG' THEN r."PESO_KG" ELSE p."PESO_KG" END
+        WHERE p.id = (fila->>'id')::BIGINT;
+
+        actualizados := actualizados + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object('creados', creados, 'actualizados', actualizados);
+END;
+$$;
+
+-- 20. BIBLIOTECA DE MEDIOS
+-- Inventario del bucket de archivos agrupado por asset: una imagen subida por el
+-- procesador (images/<uuid>/...) es un solo asset con su original y variantes;
+-- los archivos antiguos (images/x.jpg, videos/x.mp4) son un asset cada uno.
+-- Un asset está en uso si su ruta aparece en cualquier columna de un producto
+-- (IMAGENES, DETALLE...), de sus variantes, de un pack o de una categoría.
+-- storage.objects tiene RLS y el backend usa la anon key: la función corre como su
+-- dueño (SECURITY DEFINER) para ver el bucket completo sin abrir una política de
+-- lectura sobre storage.objects. Sin esto devolvería 0 filas sin error y la
+-- revisión de huérfanos no vería nada.
+CREATE OR REPLACE FUNCTION inventario_media(p_bucket TEXT DEFAULT 'Imagenes')
+RETURNS TABLE (
+    asset TEXT,
+    tipo TEXT,
+    archivos JSONB,
+    tamano BIGINT,
+    creado_en TIMESTAMP WITH TIME ZONE,
+    productos JSONB,
+    packs JSONB,
+    categorias JSONB,
+    en_uso BOOLEAN
+)
+LANGUAGE sql STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    WITH objetos AS (
+        SELECT o.name AS ruta,
+               COALESCE((o.metadata->>'size')::BIGINT, 0) AS tamano,
+               o.metadata->>'mimetype' AS mime,
+               o.created_at,
+               COALESCE(substring(o.name FROM '^(images/[0-9a-f-]{36})/'), o.name) AS asset
+        FROM storage.objects o
+        -- Solo buckets públicos: sus archivos ya se pueden descargar por URL
+        JOIN storage.buckets b ON b.id = o.bucket_id AND b.public
+        WHERE o.bucket_id = p_bucket
+    ), assets AS (
+        SELECT ob.asset,
+               CASE WHEN bool_or(ob.mime LIKE 'video/%' OR ob.ruta LIKE 'videos/%') THEN 'video' ELSE 'imagen' END AS tipo,
+               jsonb_agg(jsonb_build_object('ruta', ob.ruta, 'tamano', ob.tamano, 'mime', ob.mime) ORDER BY ob.ruta) AS archivos,
+               SUM(ob.tamano)::BIGINT AS tamano,
+               MIN(ob.created_at) AS creado_en,
+               -- Las carpetas se buscan con la barra final para no confundir prefijos
+               p_bucket || '/' || ob.asset || CASE WHEN bool_or(ob.ruta <> ob.asset) THEN '/' ELSE '' END AS patron
+        FROM objetos ob
+        GROUP BY ob.asset
+    ), referencias AS (
+        SELECT 'producto' AS origen, p.id::TEXT AS id, p."NOMBRE" AS nombre, to_jsonb(p)::TEXT AS texto
+        FROM public."Productos" p
+        UNION ALL
+        SELECT 'producto', p.id::TEXT, p."NOMBRE", v.imagenes::TEXT
+        FROM public.producto_variantes v
+        JOIN public."Productos" p ON p.id = v.producto_id
+        UNION ALL
+        SELECT 'pack', pk.id::TEXT, pk.nombre, to_jsonb(pk)::TEXT
+        FROM public.packs pk
+        UNION ALL
+        SELECT 'categoria', c.id::TEXT, c.nombre, to_jsonb(c)::TEXT
+        FROM public.categorias c
+    )
+    SELECT a.asset, a.tipo, a.archivos, a.tamano, a.creado_en,
+           COALESCE(jsonb_agg(DISTINCT jsonb_build_object('id', r.id::BIGINT, 'nombre', r.nombre))
+                    FILTER (WHERE r.origen = 'producto'), '[]'::JSONB),
+           COALESCE(jsonb_agg(DISTINCT jsonb_build_object('id', r.id, 'nombre', r.nombre))
+                    FILTER (WHERE r.origen = 'pack'), '[]'::JSONB),
+           COALESCE(jsonb_agg(DISTINCT jsonb_build_object('id', r.id, 'nombre', r.nombre))
+                    FILTER (WHERE r.origen = 'categoria'), '[]'::JSONB),
+           COUNT(r.origen) > 0
+    FROM assets a
+    LEFT JOIN referencias r ON strpos(r.texto, a.patron) > 0
+    GROUP BY a.asset, a.tipo, a.archivos, a.tamano, a.creado_en;
+$$;
+
+-- Solo la ejecuta el rol con que se conecta el backend: anon con SUPABASE_ANON_KEY
+-- (si el backend usa la service key, cámbialo por service_role y quítasela a anon).
+-- Como la anon key también la tiene el frontend, la función se limita a buckets públicos.
+REVOKE EXECUTE ON FUNCTION inventario_media(TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION inventario_media(TEXT) FROM authenticated;
+GRANT EXECUTE ON FUNCTION inventario_media(TEXT) TO anon;
+
+-- 21. SUBIDAS REANUDABLES DE VIDEO
+-- Sesiones de subida por chunks. Los bytes no pasan por esta tabla: cada chunk
+-- se envía en streaming a la subida reanudable (TUS) de Supabase Storage, cuya
+-- URL se guarda en tus_url. recibido es el último offset confirmado.
+CREATE TABLE IF NOT EXISTS subidas_video (
+    id UUID PRIMARY KEY,
+
+    ruta TEXT NOT NULL UNIQUE,
+    nombre_original TEXT,
+    mime TEXT NOT NULL,
+    tamano BIGINT NOT NULL CHECK (tamano > 0),
+    tamano_chunk INTEGER NOT NULL CHECK (tamano_chunk > 0),
+    recibido BIGINT NOT NULL DEFAULT 0 CHECK (recibido >= 0 AND recibido <= tamano),
+    tus_url TEXT NOT NULL,
+
+    estado TEXT NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'completada', 'cancelada')),
+    creado_por TEXT,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expira_en TIMESTAMP WITH TIME ZONE NOT NULL,
+    completado_en TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_subidas_video_estado ON subidas_video(estado, expira_en);
+
+-- 22. HISTORIAL DE CAMBIOS (AUDITORÍA)
+-- Una fila por cambio de un producto, cupón, pack o descuento de producto.
+-- cambios guarda el antes/después de cada campo modificado y version el estado
+-- completo tras el cambio, que es lo que se restaura al revertir.
+CREATE TABLE IF NOT EXISTS auditoria (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    entidad TEXT NOT NULL CHECK (entidad IN ('producto', 'cupon', 'pack', 'descuento_producto')),
+    entidad_id TEXT NOT NULL,
+    accion TEXT NOT NULL CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'revertir')),
+    actor TEXT, -- email del staff
+
+    cambios JSONB NOT NULL DEFAULT '{}'::JSONB, -- { campo: { antes, despues } }
+    version JSONB, -- NULL al eliminar
+    revertido_de UUID REFERENCES auditoria(id) ON DELETE SET NULL,
+
+    creado_en TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON auditoria(entidad, entidad_id, creado_en DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_actor ON auditoria(actor, creado_en DESC);
+
+-- 23. PAPELERA DE PRODUCTOS
+-- Eliminar un producto lo archiva ("ELIMINADO_EN", creado en la sección 15): la
+-- fila se conserva para los pedidos, carritos, packs y descuentos que la
+-- referencian. Solo la purga definitiva hace DELETE (con sus ON DELETE CASCADE).
+CREATE INDEX IF NOT EXISTS idx_productos_eliminado_en ON "Productos"("ELIMINADO_EN") WHERE "ELIMINADO_EN" IS NOT NULL;
+
+-- Acciones de archivar y restaurar en el historial de cambios
+ALTER TABLE auditoria DROP CONSTRAINT IF EXISTS auditoria_accion_check;
+ALTER TABLE auditoria ADD CONSTRAINT auditoria_accion_check
+    CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'revertir', 'archivar', 'restaurar'));
+
+-- 24. PUBLICACIÓN DE PRODUCTOS
+-- "ESTADO_PUBLICACION" (creado en la sección 15): borrador, publicado u oculto.
+-- "PUBLICAR_DESDE"/"PUBLICAR_HASTA" programan la ventana en que un producto
+-- publicado se ve en el catálogo (NULL = sin límite). Ver en_catalogo().
+ALTER TABLE "Productos" DROP CONSTRAINT IF EXISTS productos_estado_publicacion_check;
+ALTER TABLE "Productos" ADD CONSTRAINT productos_estado_publicacion_check
+    CHECK ("ESTADO_PUBLICACION" IN ('borrador', 'publicado', 'oculto'));
+
+ALTER TABLE "Productos" DROP CONSTRAINT IF EXISTS productos_ventana_publicacion_check;
+ALTER TABLE "Productos" ADD CONSTRAINT productos_ventana_publicacion_check
+    CHECK ("PUBLICAR_DESDE" IS NULL OR "PUBLICAR_HASTA" IS NULL OR "PUBLICAR_HASTA" >= "PUBLICAR_DESDE");
+
+CREATE INDEX IF NOT EXISTS idx_productos_estado_publicacion ON "Productos"("ESTADO_PUBLICACION");
+
+-- 25. HISTORIAL DE VARIANTES
+-- Las variantes de producto también quedan en auditoria (entidad 'variante').
+ALTER TABLE auditoria DROP CONSTRAINT IF EXISTS auditoria_entidad_check;
+ALTER TABLE auditoria ADD CONSTRAINT auditoria_entidad_check
+    CHECK (entidad IN ('producto', 'cupon', 'pack', 'descuento_producto', 'variante'));
+
+-- 26. CHECKOUT EN CURSO
+-- Marca con la que un checkout reclama el carrito: otro checkout simultáneo, o una
+-- edición del carrito, responde 409 hasta que termine o pasen 2 minutos.
+ALTER TABLE carritos ADD COLUMN IF NOT EXISTS checkout_en_curso_desde TIMESTAMP WITH TIME ZONE;
+
+-- 27. TRANSACCIÓN ÚNICA POR PAGO
+-- El retorno y el webhook buscan el pago por transaccion_id: no puede repetirse.
+DROP INDEX IF EXISTS idx_pagos_transaccion_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pagos_transaccion_id_unico ON pagos(transaccion_id) WHERE transaccion_id IS NOT NULL;
+
 -- Notas:
 -- 1) Este script respeta la tabla existente "Productos" con id tipo BIGINT.
 --    Antes de ejecutar, asegúrate que la tabla "Productos" existe y que la columna id es de tipo BIGINT.
@@ -2,14 +2,22 @@ const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
+const sharp = require('sharp');
 const nodemailer = require('nodemailer');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// URLs públicas (retornos de pasarelas, enlaces en emails)
+const BACKEND_URL = process.env.BACKEND_URL || `http://localhost:${PORT}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
 // Configurar Supabase
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -23,9 +31,16 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB límite
 });
 
-// Configurar Nodemailer (opcional)
+// Configurar Nodemailer
+// EMAIL_TRANSPORT: smtp (default si hay credenciales SMTP), console o file (solo
+// desarrollo y solo si se piden explícitamente: imprimen tokens y datos de pedidos).
+// Sin transporte los emails quedan pendientes en el outbox.
+const smtpConfigurado = Boolean(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (smtpConfigurado ? 'smtp' : null);
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, 'tmp', 'emails');
+
 let emailTransporter = null;
-if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+if (EMAIL_TRANSPORT === 'smtp' && smtpConfigurado) {
     emailTransporter = nodemailer.createTransport({
         host: process.env.SMTP_HOST,
         port: parseInt(process.env.SMTP_PORT || '587'),
@@ -35,6 +50,10 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
             pass: process.env.SMTP_PASS,
         },
     });
+} else if (EMAIL_TRANSPORT === 'file') {
+    emailTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+} else if (EMAIL_TRANSPORT === 'console') {
+    emailTransporter = nodemailer.createTransport({ jsonTransport: true });
 }
 
 // Middleware
@@ -42,929 +61,7107 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Conservar el cuerpo original para verificar firmas de webhooks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Rutas básicas
-app.get('/', (req, res) => {
-    res.json({ 
-        message: 'PCSYSTEM Backend API funcionando!',
-        version: '1.0.0',
-        timestamp: new Date().toISOString(),
-        supabase: 'Conectado'
+// Detrás de un proxy (Render, Nginx) req.ip debe salir de X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// ============================================
+// LÍMITES DE SOLICITUDES (rate limiting)
+// ============================================
+// Ventanas deslizantes: se cuentan los eventos de los últimos N ms por clave.
+// Un store implementa:
+//   registrar(clave, ventanaMs) -> { total, primero, ultimo }  (agrega un evento)
+//   contar(clave, ventanaMs)    -> { total, primero, ultimo }  (sin agregar)
+//   limpiar(clave)
+// donde primero/ultimo son timestamps (ms) de los eventos dentro de la ventana.
+
+// Store en memoria del proceso (por defecto). Con varias instancias cada una cuenta por separado.
+function createMemoryRateLimitStore() {
+    const eventos = new Map();
+
+    const vigentes = (clave, ventanaMs) => {
+        const desde = Date.now() - ventanaMs;
+        const lista = (eventos.get(clave) || []).filter(t => t > desde);
+        if (lista.length > 0) {
+            eventos.set(clave, lista);
+        } else {
+            eventos.delete(clave);
+        }
+        return lista;
+    };
+
+    const resumen = (lista) => ({
+        total: lista.length,
+        primero: lista.length > 0 ? lista[0] : null,
+        ultimo: lista.length > 0 ? lista[lista.length - 1] : null
     });
-});
 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        service: 'PCSYSTEM Backend',
-        uptime: process.uptime(),
-        database: 'Supabase conectado'
+    // Purga claves inactivas para que el Map no crezca sin límite
+    setInterval(() => {
+        const limite = Date.now() - 24 * 60 * 60 * 1000;
+        for (const [clave, lista] of eventos) {
+            if (lista[lista.length - 1] < limite) eventos.delete(clave);
+        }
+    }, 10 * 60 * 1000).unref();
+
+    return {
+        async registrar(clave, ventanaMs) {
+            const lista = vigentes(clave, ventanaMs);
+            lista.push(Date.now());
+            eventos.set(clave, lista);
+            return resumen(lista);
+        },
+        async contar(clave, ventanaMs) {
+            return resumen(vigentes(clave, ventanaMs));
+        },
+        async limpiar(clave) {
+            eventos.delete(clave);
+        }
+    };
+}
+
+// Store compartido en Postgres (tabla rate_limit_eventos), para varias instancias
+function createSupabaseRateLimitStore() {
+    const resumen = (row) => ({
+        total: row ? row.total : 0,
+        primero: row && row.primero ? new Date(row.primero).getTime() : null,
+        ultimo: row && row.ultimo ? new Date(row.ultimo).getTime() : null
     });
-});
 
-// GET todos los productos (con paginación)
-app.get('/api/pcs', async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 12;
-        const all = req.query.all === 'true'; // Parámetro para obtener todos sin paginación
-        
-        if (all) {
-            // Obtener todos los productos sin paginación (para admin)
-            const { data, error } = await supabase
-                .from('Productos')
-                .select('*')
-                .order('POSICION', { ascending: true });
-            
+    return {
+        async registrar(clave, ventanaMs) {
+            const { data, error } = await supabase.rpc('rate_limit_registrar', { p_clave: clave, p_ventana_ms: ventanaMs });
             if (error) throw error;
-            res.json(data);
-        } else {
-            // Obtener productos con paginación
-            const from = (page - 1) * limit;
-            const to = from + limit - 1;
-
-            const { data, error, count } = await supabase
-                .from('Productos')
-                .select('*', { count: 'exact' })
-                .order('POSICION', { ascending: true })
-                .range(from, to);
-            
+            return resumen(data && data[0]);
+        },
+        async contar(clave, ventanaMs) {
+            const { data, error } = await supabase.rpc('rate_limit_contar', { p_clave: clave, p_ventana_ms: ventanaMs });
             if (error) throw error;
+            return resumen(data && data[0]);
+        },
+        async limpiar(clave) {
+            const { error } = await supabase.from('rate_limit_eventos').delete().eq('clave', clave);
+            if (error) throw error;
+        }
+    };
+}
 
-            res.json({
-                data,
-                pagination: {
-                    page,
-                    limit,
-                    total: count,
-                    totalPages: Math.ceil(count / limit),
-                    hasMore: to < count - 1
+const RATE_LIMIT_STORES = {
+    memory: createMemoryRateLimitStore,
+    supabase: createSupabaseRateLimitStore
+};
+
+const rateLimitStore = (RATE_LIMIT_STORES[process.env.RATE_LIMIT_STORE] || RATE_LIMIT_STORES.memory)();
+
+// Límite "max/segundos" configurable con RATE_LIMIT_<NOMBRE>, p. ej. RATE_LIMIT_LOGIN_IP=20/900
+function limiteConfig(nombre, max, segundos) {
+    const valor = process.env[`RATE_LIMIT_${nombre.toUpperCase()}`];
+    const match = valor && /^(\d+)\/(\d+)$/.exec(valor.trim());
+    return match
+        ? { max: parseInt(match[1]), ventanaMs: parseInt(match[2]) * 1000 }
+        : { max, ventanaMs: segundos * 1000 };
+}
+
+function enviarDemasiadasSolicitudes(res, retryAfterSegundos, mensaje) {
+    res.set('Retry-After', String(retryAfterSegundos));
+    res.status(429).json({
+        error: mensaje || 'Demasiadas solicitudes, intenta más tarde',
+        retry_after: retryAfterSegundos
+    });
+}
+
+// Middleware de límite por ventana deslizante.
+// clave(req) devuelve la identidad a limitar (IP, email, ...) o null para no limitar.
+// Si la clave o el store fallan la solicitud pasa: un problema del contador no debe tumbar el login.
+function rateLimit(nombre, { max, ventanaMs }, clave) {
+    return async (req, res, next) => {
+        try {
+            const id = clave(req);
+            if (id) {
+                const { total, primero } = await rateLimitStore.registrar(`${nombre}:${id}`, ventanaMs);
+
+                res.set('RateLimit-Limit', String(max));
+                res.set('RateLimit-Remaining', String(Math.max(max - total, 0)));
+
+                if (total > max) {
+                    const retryAfter = Math.max(Math.ceil((primero + ventanaMs - Date.now()) / 1000), 1);
+                    return enviarDemasiadasSolicitudes(res, retryAfter);
                 }
-            });
+            }
+        } catch (error) {
+            console.error(`Error en rate limit ${nombre}:`, error);
         }
+
+        next();
+    };
+}
+
+const porIp = (req) => req.ip;
+const porEmail = (req) => (req.body && typeof req.body.email === 'string' && req.body.email.trim())
+    ? req.body.email.trim().toLowerCase()
+    : null;
+// Solo cuenta las solicitudes que prueban un código de cupón (checkout, cotización de envío)
+const porIpConCupon = (req) => ((req.body && req.body.codigo_cupon) || req.query.codigo_cupon ? req.ip : null);
+
+const RATE_LIMITS = {
+    login_ip: limiteConfig('login_ip', 20, 15 * 60),
+    login_email: limiteConfig('login_email', 10, 15 * 60),
+    contacto_ip: limiteConfig('contacto_ip', 5, 10 * 60),
+    contacto_email: limiteConfig('contacto_email', 3, 10 * 60),
+    cupones_ip: limiteConfig('cupones_ip', 10, 60),
+    seguimiento_ip: limiteConfig('seguimiento_ip', 20, 10 * 60),
+    password_reset_ip: limiteConfig('password_reset_ip', 5, 15 * 60),
+    password_reset_email: limiteConfig('password_reset_email', 3, 60 * 60)
+};
+
+// Bloqueo progresivo de login: tras LOGIN_MAX_FALLOS fallos en la ventana, cada fallo
+// adicional duplica el bloqueo (LOGIN_BLOQUEO_BASE_SEGUNDOS, 2x, 4x, ... hasta 1 hora).
+const LOGIN_MAX_FALLOS = parseInt(process.env.LOGIN_MAX_FALLOS || '5');
+const LOGIN_VENTANA_FALLOS_MS = parseInt(process.env.LOGIN_VENTANA_FALLOS_MINUTOS || '60') * 60 * 1000;
+const LOGIN_BLOQUEO_BASE_SEGUNDOS = parseInt(process.env.LOGIN_BLOQUEO_BASE_SEGUNDOS || '60');
+const LOGIN_BLOQUEO_MAX_SEGUNDOS = 60 * 60;
+
+function segundosBloqueoLogin({ total, ultimo }) {
+    if (total < LOGIN_MAX_FALLOS) return 0;
+    const duracion = Math.min(
+        LOGIN_BLOQUEO_BASE_SEGUNDOS * Math.pow(2, total - LOGIN_MAX_FALLOS),
+        LOGIN_BLOQUEO_MAX_SEGUNDOS
+    );
+    return Math.max(Math.ceil((ultimo + duracion * 1000 - Date.now()) / 1000), 0);
+}
+
+const claveFallosLogin = (tipo, email) => `login-fallos:${tipo}:${email.trim().toLowerCase()}`;
+
+async function registrarFalloLogin(tipo, email) {
+    try {
+        await rateLimitStore.registrar(claveFallosLogin(tipo, email), LOGIN_VENTANA_FALLOS_MS);
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error registrando fallo de login:', error);
     }
-});
+}
+
+async function limpiarFallosLogin(tipo, email) {
+    try {
+        await rateLimitStore.limpiar(claveFallosLogin(tipo, email));
+    } catch (error) {
+        console.error('Error limpiando fallos de login:', error);
+    }
+}
+
+// Rechaza con 429 los intentos de login sobre una cuenta bloqueada (tipo: staff | cliente)
+function bloqueoLogin(tipo) {
+    return async (req, res, next) => {
+        const email = porEmail(req);
+        if (!email) return next();
+
+        try {
+            const fallos = await rateLimitStore.contar(claveFallosLogin(tipo, email), LOGIN_VENTANA_FALLOS_MS);
+            const segundos = segundosBloqueoLogin(fallos);
+            if (segundos > 0) {
+                return enviarDemasiadasSolicitudes(res, segundos,
+                    'Demasiados intentos fallidos. La cuenta está bloqueada temporalmente');
+            }
+        } catch (error) {
+            console.error('Error verificando bloqueo de login:', error);
+        }
+
+        next();
+    };
+}
+
+const limitarLogin = (tipo) => [
+    rateLimit('login-ip', RATE_LIMITS.login_ip, porIp),
+    rateLimit(`login-email:${tipo}`, RATE_LIMITS.login_email, porEmail),
+    bloqueoLogin(tipo)
+];
 
 // ============================================
-// RUTAS DE BÚSQUEDA Y FILTROS
-// (Deben ir ANTES de /api/pcs/:id)
+// VALIDACIÓN DE SOLICITUDES
 // ============================================
+// Cada ruta declara con validar({ params, query, body }) los campos que acepta.
+// Los campos no declarados se rechazan, los valores se convierten al tipo del
+// esquema (query y params llegan como texto) y se aplican los límites. Si algo
+// falla se responde 400 con todos los campos inválidos:
+// { error: 'Datos inválidos', campos: [{ ubicacion, campo, mensaje }] }
+
+// Opciones comunes: requerido, nulo (acepta null), defecto.
+const campo = {
+    texto: (opciones = {}) => ({ tipo: 'texto', ...opciones }), // min, max, enum, patron
+    entero: (opciones = {}) => ({ tipo: 'entero', ...opciones }), // min, max
+    numero: (opciones = {}) => ({ tipo: 'numero', ...opciones }), // min, max
+    booleano: (opciones = {}) => ({ tipo: 'booleano', ...opciones }),
+    uuid: (opciones = {}) => ({ tipo: 'uuid', ...opciones }),
+    email: (opciones = {}) => ({ tipo: 'email', ...opciones }),
+    fecha: (opciones = {}) => ({ tipo: 'fecha', ...opciones }),
+    lista: (items, opciones = {}) => ({ tipo: 'lista', items, ...opciones }), // min, max
+    // libre: acepta campos no declarados; noVacio: exige al menos un campo
+    objeto: (campos, opciones = {}) => ({ tipo: 'objeto', campos, ...opciones })
+};
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Convierte y valida un valor según su esquema. Devuelve el valor convertido
+// y agrega a errores los problemas encontrados (con la ruta del campo).
+function validarValor(esquema, valor, ruta, errores) {
+    const error = (mensaje) => {
+        errores.push({ campo: ruta, mensaje });
+        return undefined;
+    };
+
+    // Un texto vacío en un campo que no es texto cuenta como ausente
+    if (valor === '' && esquema.tipo !== 'texto') valor = esquema.nulo ? null : undefined;
+
+    if (valor === undefined) {
+        if (esquema.defecto !== undefined) return esquema.defecto;
+        if (esquema.requerido) return error('es requerido');
+        return undefined;
+    }
 
-// Buscar productos (con paginación)
-app.get('/api/pcs/search', async (req, res) => {
-    try {
-        const { q, category, minPrice, maxPrice, inStock } = req.query;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 12;
-        const from = (page - 1) * limit;
-        const to = from + limit - 1;
-        
-        let query = supabase.from('Productos').select('*', { count: 'exact' });
+    if (valor === null) {
+        if (esquema.nulo) return null;
+        return error(esquema.requerido ? 'es requerido' : 'no puede ser null');
+    }
 
-        // Búsqueda por texto
-        if (q) {
-            query = query.or(`NOMBRE.ilike.%${q}%,DETALLE.ilike.%${q}%,CATEGORIA.ilike.%${q}%`);
+    switch (esquema.tipo) {
+        case 'texto': {
+            if (typeof valor === 'number') valor = String(valor);
+            if (typeof valor !== 'string') return error('debe ser un texto');
+            if (esquema.requerido && valor.trim() === '') return error('es requerido');
+            if (esquema.enum && !esquema.enum.includes(valor)) {
+                return error(`debe ser uno de: ${esquema.enum.join(', ')}`);
+            }
+            if (esquema.min !== undefined && valor.length < esquema.min) {
+                return error(`debe tener al menos ${esquema.min} caracteres`);
+            }
+            if (esquema.max !== undefined && valor.length > esquema.max) {
+                return error(`no puede tener más de ${esquema.max} caracteres`);
+            }
+            if (esquema.patron && !esquema.patron.test(valor)) return error('tiene un formato inválido');
+            return valor;
         }
-
-        // Filtro por categoría
-        if (category && category !== 'all') {
-            query = query.eq('CATEGORIA', category);
+        case 'entero':
+        case 'numero': {
+            let numero = valor;
+            if (typeof valor === 'string' && valor.trim() !== '') numero = Number(valor);
+            if (typeof numero !== 'number' || !Number.isFinite(numero)) {
+                return error(esquema.tipo === 'entero' ? 'debe ser un número entero' : 'debe ser un número');
+            }
+            if (esquema.tipo === 'entero' && !Number.isInteger(numero)) return error('debe ser un número entero');
+            if (esquema.min !== undefined && numero < esquema.min) return error(`debe ser mayor o igual a ${esquema.min}`);
+            if (esquema.max !== undefined && numero > esquema.max) return error(`debe ser menor o igual a ${esquema.max}`);
+            return numero;
         }
-
-        // Filtro por precio
-        if (minPrice) {
-            query = query.gte('PRECIO', parseFloat(minPrice));
+        case 'booleano': {
+            if (valor === true || valor === 'true' || valor === '1') return true;
+            if (valor === false || valor === 'false' || valor === '0') return false;
+            return error('debe ser true o false');
         }
-        if (maxPrice) {
-            query = query.lte('PRECIO', parseFloat(maxPrice));
+        case 'uuid': {
+            if (typeof valor !== 'string' || !UUID_REGEX.test(valor)) return error('debe ser un UUID');
+            return valor;
         }
-
-        // Filtro por stock
-        if (inStock === 'true') {
-            query = query.gt('STOCK', 0);
+        case 'email': {
+            if (typeof valor !== 'string' || !EMAIL_REGEX.test(valor.trim()) || valor.length > 254) {
+                return error('debe ser un email válido');
+            }
+            return valor.trim();
         }
+        case 'fecha': {
+            if (typeof valor !== 'string' || Number.isNaN(Date.parse(valor))) return error('debe ser una fecha válida');
+            return new Date(valor).toISOString();
+        }
+        case 'lista': {
+            if (!Array.isArray(valor)) return error('debe ser una lista');
+            if (esquema.min !== undefined && valor.length < esquema.min) return error(`debe tener al menos ${esquema.min} elementos`);
+            if (esquema.max !== undefined && valor.length > esquema.max) return error(`no puede tener más de ${esquema.max} elementos`);
+            return valor.map((item, i) => validarValor({ requerido: true, ...esquema.items }, item, `${ruta}[${i}]`, errores));
+        }
+        case 'objeto': {
+            if (typeof valor !== 'object' || Array.isArray(valor)) return error('debe ser un objeto');
 
-        query = query.order('POSICION', { ascending: true }).range(from, to);
+            const prefijo = ruta ? `${ruta}.` : '';
+            const resultado = esquema.libre ? { ...valor } : {};
 
-        const { data, error, count } = await query;
+            if (!esquema.libre) {
+                Object.keys(valor)
+                    .filter(k => !Object.prototype.hasOwnProperty.call(esquema.campos, k))
+                    .forEach(k => errores.push({ campo: `${prefijo}${k}`, mensaje: 'campo no permitido' }));
+            }
 
-        if (error) throw error;
-        
-        res.json({
-            data,
-            pagination: {
-                page,
-                limit,
-                total: count,
-                totalPages: Math.ceil(count / limit),
-                hasMore: to < count - 1
+            Object.entries(esquema.campos).forEach(([nombre, sub]) => {
+                const convertido = validarValor(sub, valor[nombre], `${prefijo}${nombre}`, errores);
+                if (convertido !== undefined) resultado[nombre] = convertido;
+                else delete resultado[nombre];
+            });
+
+            if (esquema.noVacio && Object.keys(valor).length === 0) {
+                return error('debe incluir al menos un campo');
             }
-        });
-    } catch (error) {
-        console.error('Error buscando productos:', error);
-        res.status(500).json({ error: error.message });
+            return resultado;
+        }
+        default:
+            throw new Error(`Tipo de esquema desconocido: ${esquema.tipo}`);
     }
+}
+
+// Middleware de validación. Cada ubicación (params, query, body) recibe un mapa
+// de campos o un campo.objeto(...) con opciones; si se omite no admite campos.
+// reglas(datos) permite validaciones entre campos y devuelve [{ ubicacion, campo, mensaje }].
+function validar({ params = {}, query = {}, body = {}, reglas } = {}) {
+    const comoObjeto = (esquema) => (esquema.tipo === 'objeto' ? esquema : campo.objeto(esquema));
+    const esquemas = { params: comoObjeto(params), query: comoObjeto(query), body: comoObjeto(body) };
+
+    return (req, res, next) => {
+        const errores = [];
+        const datos = {};
+
+        Object.entries(esquemas).forEach(([ubicacion, esquema]) => {
+            const erroresUbicacion = [];
+            datos[ubicacion] = validarValor(esquema, req[ubicacion] || {}, '', erroresUbicacion);
+            erroresUbicacion.forEach(e => errores.push({ ubicacion, campo: e.campo, mensaje: e.mensaje }));
+        });
+
+        if (errores.length === 0 && reglas) {
+            errores.push(...reglas(datos));
+        }
+
+        if (errores.length > 0) {
+            return sendErrorResponse(res, httpError('Datos inválidos', 400, { campos: errores }));
+        }
+
+        req.params = datos.params;
+        req.body = datos.body;
+        // En Express 5 req.query es un getter que vuelve a parsear la URL
+        Object.defineProperty(req, 'query', { value: datos.query, writable: true, configurable: true, enumerable: true });
+        next();
+    };
+}
+
+// Reglas reutilizables
+const paginacion = (limitePorDefecto = 20) => ({
+    page: campo.entero({ min: 1, defecto: 1 }),
+    limit: campo.entero({ min: 1, max: 100, defecto: limitePorDefecto })
 });
 
-// Obtener categorías únicas
-app.get('/api/pcs/categories', async (req, res) => {
-    try {
-        const { data, error } = await supabase
-            .from('Productos')
-            .select('CATEGORIA')
-            .not('CATEGORIA', 'is', null);
+function reglaRango(ubicacion, desde, hasta, mensaje) {
+    return (datos) => {
+        const valores = datos[ubicacion] || {};
+        const a = valores[desde];
+        const b = valores[hasta];
+        if (a == null || b == null) return [];
+        const invertido = typeof a === 'string' ? new Date(b) < new Date(a) : b < a;
+        return invertido ? [{ ubicacion, campo: hasta, mensaje }] : [];
+    };
+}
 
-        if (error) throw error;
+function combinarReglas(...reglas) {
+    return (datos) => reglas.flatMap(regla => regla(datos));
+}
 
-        const uniqueCategories = [...new Set(data.map(p => p.CATEGORIA))];
-        res.json(uniqueCategories);
-    } catch (error) {
-        console.error('Error obteniendo categorías:', error);
-        res.status(500).json({ error: error.message });
+// ============================================
+// AUTORIZACIÓN DE PERSONAL (staff)
+// ============================================
+
+// Permisos por rol. El rol se lee de app_metadata.role del usuario de Supabase
+// (solo editable con la service key, a diferencia de user_metadata).
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    vendedor: [
+        'productos:escribir',
+        'posiciones:escribir',
+        'pagos:gestionar',
+        'pedidos:gestionar',
+        'pedidos:reembolsar',
+        'envios:gestionar',
+        'cupones:gestionar',
+        'packs:gestionar',
+        'descuentos:gestionar',
+        'categorias:gestionar',
+        'contacto:gestionar',
+        'archivos:subir',
+        'estadisticas:ver',
+        'auditoria:ver'
+    ],
+    bodega: [
+        'productos:escribir',
+        'pedidos:gestionar',
+        'envios:gestionar',
+        'archivos:subir',
+        'estadisticas:ver'
+    ]
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.slice('Bearer '.length).trim() || null;
+}
+
+// Verifica el token de Supabase. Si SUPABASE_JWT_SECRET está configurado se
+// valida localmente con jsonwebtoken; si no, se consulta a Supabase Auth.
+async function getStaffFromToken(token) {
+    if (process.env.SUPABASE_JWT_SECRET) {
+        const payload = jwt.verify(token, process.env.SUPABASE_JWT_SECRET);
+        return {
+            id: payload.sub,
+            email: payload.email,
+            role: (payload.app_metadata && payload.app_metadata.role) || null
+        };
     }
-});
 
-// Obtener productos con bajo stock
-app.get('/api/pcs/low-stock', async (req, res) => {
-    try {
-        const threshold = parseInt(req.query.threshold) || 5;
-        
-        const { data, error } = await supabase
-            .from('Productos')
-            .select('*')
-            .lte('STOCK', threshold)
-            .order('STOCK', { ascending: true });
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error) throw error;
 
-        if (error) throw error;
-        res.json(data);
-    } catch (error) {
-        console.error('Error obteniendo productos con bajo stock:', error);
-        res.status(500).json({ error: error.message });
+    return {
+        id: data.user.id,
+        email: data.user.email,
+        role: (data.user.app_metadata && data.user.app_metadata.role) || null
+    };
+}
+
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role];
+    if (!permissions) return false;
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Exige un usuario de staff autenticado; deja los datos en req.staff
+async function requireStaff(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'No autorizado' });
     }
-});
 
-// Obtener productos más vendidos
-app.get('/api/pcs/top-selling', async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
-        
-        const { data, error } = await supabase
-            .from('Productos')
-            .select('*')
-            .order('NUM_VENTAS', { ascending: false })
-            .limit(limit);
+        const staff = await getStaffFromToken(token);
+        if (!STAFF_ROLES.includes(staff.role)) {
+            return res.status(403).json({ error: 'El usuario no tiene un rol de staff asignado' });
+        }
 
-        if (error) throw error;
-        res.json(data);
+        req.staff = staff;
+        next();
     } catch (error) {
-        console.error('Error obteniendo productos más vendidos:', error);
-        res.status(500).json({ error: error.message });
+        return res.status(401).json({ error: 'Token inválido o expirado' });
     }
-});
-
-// Actualizar posiciones masivamente
-app.put('/api/pcs/positions', async (req, res) => {
-    try {
-        const { positions } = req.body; // Array de { id, POSICION }
+}
 
-        if (!Array.isArray(positions)) {
-            return res.status(400).json({ error: 'Se requiere un array de posiciones' });
+// Exige staff autenticado con el permiso indicado
+function requirePermission(permission) {
+    return [
+        requireStaff,
+        (req, res, next) => {
+            if (!hasPermission(req.staff.role, permission)) {
+                return res.status(403).json({
+                    error: 'Permisos insuficientes',
+                    required: permission
+                });
+            }
+            next();
         }
+    ];
+}
 
-        // Actualizar cada producto con su nueva posición
-        const updates = positions.map(({ id, POSICION }) =>
-            supabase
-                .from('Productos')
-                .update({ POSICION })
-                .eq('id', id)
-        );
+// Exige el permiso solo si la condición se cumple para la request (p. ej. un
+// parámetro que abre una vista de administración en una ruta pública)
+function requirePermissionSi(condicion, permission) {
+    const [staff, permiso] = requirePermission(permission);
+    return (req, res, next) => {
+        if (!condicion(req)) return next();
+        staff(req, res, () => permiso(req, res, next));
+    };
+}
 
-        await Promise.all(updates);
+// Staff con el permiso indicado si la request trae un token válido; null si no
+// (rutas públicas que muestran más datos al panel de administración)
+async function getStaffOpcional(req, permission) {
+    const token = getBearerToken(req);
+    if (!token) return null;
 
-        res.json({ 
-            success: true, 
-            message: 'Posiciones actualizadas correctamente' 
-        });
+    try {
+        const staff = await getStaffFromToken(token);
+        return hasPermission(staff.role, permission) ? staff : null;
     } catch (error) {
-        console.error('Error actualizando posiciones:', error);
-        res.status(500).json({ error: error.message });
+        return null;
     }
-});
+}
 
-// Obtener productos relacionados
-app.get('/api/pcs/:id/related', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const limit = parseInt(req.query.limit) || 4;
+// ============================================
+// AUTENTICACIÓN DE CLIENTES (compradores)
+// ============================================
 
-        // Primero obtener el producto para conocer su categoría
-        const { data: product, error: productError } = await supabase
-            .from('Productos')
-            .select('CATEGORIA')
-            .eq('id', id)
-            .single();
+const CLIENTE_TOKEN_EXPIRES_IN = process.env.CLIENTE_TOKEN_EXPIRES_IN || '7d';
+const BCRYPT_ROUNDS = 10;
 
-        if (productError) throw productError;
+function getJwtSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET no configurado');
+    }
+    return process.env.JWT_SECRET;
+}
 
-        // Obtener productos de la misma categoría
-        const { data, error } = await supabase
-            .from('Productos')
-            .select('*')
-            .eq('CATEGORIA', product.CATEGORIA)
-            .neq('id', id)
-            .limit(limit);
+function signClienteToken(cliente) {
+    return jwt.sign(
+        { sub: cliente.id, email: cliente.email, tipo: 'cliente' },
+        getJwtSecret(),
+        { expiresIn: CLIENTE_TOKEN_EXPIRES_IN }
+    );
+}
 
-        if (error) throw error;
-        res.json(data);
-    } catch (error) {
-        console.error('Error obteniendo productos relacionados:', error);
-        res.status(500).json({ error: error.message });
+// Devuelve { id, email } del cliente del token, o null si no viene token.
+// Lanza error si el token es inválido o no es de cliente.
+function getClienteFromRequest(req) {
+    const token = getBearerToken(req);
+    if (!token) return null;
+
+    const payload = jwt.verify(token, getJwtSecret());
+    if (payload.tipo !== 'cliente') {
+        throw new Error('El token no corresponde a un cliente');
     }
-});
+    return { id: payload.sub, email: payload.email };
+}
 
-// ============================================
-// RUTAS DE PRODUCTOS INDIVIDUALES
-// (Debe ir DESPUÉS de las rutas específicas)
-// ============================================
+// Exige un cliente autenticado; deja los datos en req.cliente
+function requireCliente(req, res, next) {
+    try {
+        const cliente = getClienteFromRequest(req);
+        if (!cliente) {
+            return res.status(401).json({ error: 'No autorizado' });
+        }
+        req.cliente = cliente;
+        next();
+    } catch (error) {
+        return res.status(401).json({ error: 'Token inválido o expirado' });
+    }
+}
 
-// GET por ID
-app.get('/api/pcs/:id', async (req, res) => {
+// Carga el carrito :id en req.cart. Los carritos asociados a un cliente solo
+// los puede usar ese cliente; los carritos de invitado siguen abiertos.
+async function loadCart(req, res, next) {
+    try {
+        const { data: cart, error } = await supabase
+            .from('carritos')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!cart) return res.status(404).json({ error: 'Carrito no encontrado' });
+
+        if (cart.cliente_id) {
+            let cliente;
+            try {
+                cliente = getClienteFromRequest(req);
+            } catch (tokenError) {
+                return res.status(401).json({ error: 'Token inválido o expirado' });
+            }
+            if (!cliente) return res.status(401).json({ error: 'No autorizado' });
+            if (cliente.id !== cart.cliente_id) {
+                return res.status(403).json({ error: 'El carrito pertenece a otro cliente' });
+            }
+            req.cliente = cliente;
+        }
+
+        req.cart = cart;
+        next();
+    } catch (error) {
+        console.error('Error cargando carrito:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Quita campos sensibles antes de responder
+function sanitizeCliente(cliente) {
+    const { password_hash, reset_token_hash, reset_token_expira_en, ...rest } = cliente;
+    return rest;
+}
+
+// ============================================
+// MOTOR DE PRECIOS
+// ============================================
+// Única fuente del precio efectivo de productos, packs y cupones. El catálogo,
+// los items del carrito y el checkout calculan el precio aquí para que lo que
+// ve el cliente y lo que se cobra siempre coincidan.
+
+// PRECIO puede venir como número o como texto con formato ("$49.990")
+function parsePrecio(precio) {
+    if (typeof precio === 'string') return parseInt(precio.replace(/[^\d]/g, '')) || 0;
+    return Number(precio) || 0;
+}
+
+// descuentos_productos: { producto_id, porcentaje, fecha_inicio, fecha_fin }
+function descuentoVigente(descuento, now = new Date()) {
+    if (descuento.fecha_inicio && new Date(descuento.fecha_inicio) > now) return false;
+    if (descuento.fecha_fin && new Date(descuento.fecha_fin) < now) return false;
+    return true;
+}
+
+// Precio efectivo de un producto con el mejor descuento vigente.
+// Devuelve { base, final, ahorro, descuento, motivo, detalle }
+function calcularPrecioProducto(producto, descuentos = [], now = new Date()) {
+    const base = parsePrecio(producto.PRECIO);
+
+    const vigente = descuentos
+        .filter(d => descuentoVigente(d, now))
+        .sort((a, b) => b.porcentaje - a.porcentaje)[0];
+
+    if (!vigente) {
+        return { base, final: base, ahorro: 0, descuento: null, motivo: 'precio_lista', detalle: 'Precio de lista' };
+    }
+
+    const porcentaje = Math.min(Math.max(vigente.porcentaje, 0), 100);
+    const ahorro = Math.round(base * porcentaje / 100);
+    const hasta = vigente.fecha_fin
+        ? ` hasta el ${new Date(vigente.fecha_fin).toLocaleDateString('es-CL')}`
+        : '';
+
+    return {
+        base,
+        final: base - ahorro,
+        ahorro,
+        descuento: {
+            id: vigente.id,
+            porcentaje,
+            fecha_inicio: vigente.fecha_inicio || null,
+            fecha_fin: vigente.fecha_fin || null
+        },
+        motivo: 'descuento_producto',
+        detalle: `${porcentaje}% de descuento${hasta}`
+    };
+}
+
+// Descuentos de productos agrupados por producto_id
+async function getDescuentosPorProducto(productoIds) {
+    if (productoIds.length === 0) return {};
+
+    const { data, error } = await supabase
+        .from('descuentos_productos')
+        .select('*')
+        .in('producto_id', productoIds);
+
+    if (error) throw error;
+
+    return (data || []).reduce((acc, d) => {
+        (acc[d.producto_id] = acc[d.producto_id] || []).push(d);
+        return acc;
+    }, {});
+}
+
+// Agrega precio_calculado a cada producto del catálogo
+async function preciarProductos(productos) {
+    if (!productos || productos.length === 0) return productos || [];
+
+    const descuentos = await getDescuentosPorProducto([...new Set(productos.map(p => p.id))]);
+    const now = new Date();
+
+    return productos.map(p => ({
+        ...p,
+        precio_calculado: calcularPrecioProducto(p, descuentos[p.id], now)
+    }));
+}
+
+// Precio efectivo de una variante: su precio propio (o el PRECIO del producto) con
+// el mismo descuento vigente que ya se aplicó al producto preciado
+function calcularPrecioVariante(productoPreciado, variante, now = new Date()) {
+    const { descuento } = productoPreciado.precio_calculado;
+    return calcularPrecioProducto(
+        { PRECIO: variante.precio != null ? variante.precio : productoPreciado.PRECIO },
+        descuento ? [descuento] : [],
+        now
+    );
+}
+
+// Variantes de los productos indicados, agrupadas por producto_id
+async function getVariantesPorProducto(productoIds, { incluirInactivas = false } = {}) {
+    if (productoIds.length === 0) return {};
+
+    let query = supabase
+        .from('producto_variantes')
+        .select('*')
+        .in('producto_id', productoIds)
+        .order('creado_en', { ascending: true });
+
+    if (!incluirInactivas) query = query.eq('activo', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).reduce((acc, v) => {
+        (acc[v.producto_id] = acc[v.producto_id] || []).push(v);
+        return acc;
+    }, {});
+}
+
+// Precio de un pack: su precio fijo frente a la suma de los precios efectivos de sus productos
+function calcularPrecioPack(pack, items) {
+    const base = items.reduce((sum, it) => {
+        const unitario = it.producto && it.producto.precio_calculado
+            ? it.producto.precio_calculado.final
+            : 0;
+        return sum + unitario * (it.cantidad || 1);
+    }, 0);
+    const final = parsePrecio(pack.precio);
+
+    return {
+        base,
+        final,
+        ahorro: Math.max(base - final, 0),
+        descuento: null,
+        motivo: 'precio_pack',
+        detalle: 'Precio especial de pack'
+    };
+}
+
+// Monto a descontar de un subtotal: 'porcentaje' (0-100) o 'fijo' (CLP), nunca más que el subtotal
+function calcularDescuentoCupon(cupon, subtotal) {
+    const valor = Number(cupon.valor_descuento) || 0;
+    const descuento = cupon.tipo_descuento === 'porcentaje'
+        ? Math.round(subtotal * (Math.min(valor, 100) / 100))
+        : Math.round(valor);
+    return Math.max(0, Math.min(descuento, subtotal));
+}
+
+// Packs con sus componentes (pack_productos), indexados por pack_id
+async function getPacksConComponentes(packIds) {
+    if (packIds.length === 0) return {};
+
+    const { data: packs, error } = await supabase
+        .from('packs')
+        .select('*, componentes:pack_productos(producto_id, cantidad)')
+        .in('id', packIds);
+
+    if (error) throw error;
+
+    return (packs || []).reduce((acc, p) => {
+        acc[p.id] = p; return acc;
+    }, {});
+}
+
+// Recalcula precio_unitario de los items de un carrito con los precios vigentes.
+// Las líneas de pack se cobran al precio del pack y se expanden en sus componentes.
+// Devuelve los items con precio actualizado y precio_anterior si cambió.
+// Con congelarPrecios solo agrega los productos (pedidos ya pagados).
+async function preciarItemsCarrito(items, { congelarPrecios = false } = {}) {
+    if (items.length === 0) return [];
+
+    const packsMap = await getPacksConComponentes(
+        [...new Set(items.filter(i => i.pack_id).map(i => i.pack_id))]
+    );
+
+    const productoIds = new Set(items.filter(i => i.producto_id).map(i => i.producto_id));
+    Object.values(packsMap).forEach(pack => {
+        (pack.componentes || []).forEach(c => productoIds.add(c.producto_id));
+    });
+
+    let variantesMap = {};
+    const varianteIds = [...new Set(items.filter(i => i.variante_id).map(i => i.variante_id))];
+    if (varianteIds.length > 0) {
+        const { data: variantes, error } = await supabase
+            .from('producto_variantes')
+            .select('*')
+            .in('id', varianteIds);
+
+        if (error) throw error;
+
+        variantesMap = variantes.reduce((acc, v) => {
+            acc[v.id] = v; return acc;
+        }, {});
+    }
+
+    let productsMap = {};
+    if (productoIds.size > 0) {
+        const { data: productos, error } = await supabase
+            .from('Productos')
+            .select('*')
+            .in('id', [...productoIds]);
+
+        if (error) throw error;
+
+        const preciados = await preciarProductos(productos);
+        productsMap = preciados.reduce((acc, p) => {
+            acc[p.id] = p; return acc;
+        }, {});
+    }
+
+    return items.map(i => {
+        let linea;
+        let precioVigente = null;
+
+        if (i.pack_id) {
+            const pack = packsMap[i.pack_id] || null;
+            const componentes = pack
+                ? (pack.componentes || []).map(c => ({
+                    producto_id: c.producto_id,
+                    cantidad: c.cantidad,
+                    producto: productsMap[c.producto_id] || null
+                }))
+                : [];
+            const { componentes: _, ...packData } = pack || {};
+
+            linea = { ...i, pack: pack ? packData : null, componentes };
+            if (pack) precioVigente = calcularPrecioPack(pack, componentes).final;
+        } else if (i.variante_id) {
+            const producto = productsMap[i.producto_id] || null;
+            const base = variantesMap[i.variante_id] || null;
+            const variante = base && producto
+                ? { ...base, precio_calculado: calcularPrecioVariante(producto, base) }
+                : base;
+
+            linea = { ...i, producto, variante };
+            if (variante && variante.precio_calculado) precioVigente = variante.precio_calculado.final;
+        } else {
+            const producto = productsMap[i.producto_id] || null;
+            linea = { ...i, producto };
+            if (producto) precioVigente = producto.precio_calculado.final;
+        }
+
+        if (precioVigente === null || congelarPrecios) return linea;
+
+        return {
+            ...linea,
+            precio_unitario: precioVigente,
+            ...(precioVigente !== i.precio_unitario && { precio_anterior: i.precio_unitario })
+        };
+    });
+}
+
+// Unidades de cada producto que consume un carrito (items directos + componentes de packs)
+function unidadesPorProducto(lineas) {
+    const unidades = {};
+    lineas.forEach(l => {
+        if (l.pack_id) {
+            (l.componentes || []).forEach(c => {
+                unidades[c.producto_id] = (unidades[c.producto_id] || 0) + c.cantidad * l.cantidad;
+            });
+        } else if (l.producto_id) {
+            unidades[l.producto_id] = (unidades[l.producto_id] || 0) + l.cantidad;
+        }
+    });
+    return unidades;
+}
+
+// Nombre de una línea de producto, con la variante elegida ("PC Gamer (32GB / 1TB)")
+function nombreLineaProducto(linea) {
+    const nombre = linea.producto ? linea.producto.NOMBRE : 'Producto';
+    return linea.variante ? `${nombre} (${linea.variante.etiqueta})` : nombre;
+}
+
+// Productos (directos y componentes de packs) presentes en las líneas, por id
+function productosDeLineas(lineas) {
+    const productsMap = {};
+    lineas.forEach(l => {
+        if (l.producto) productsMap[l.producto.id] = l.producto;
+        (l.componentes || []).forEach(c => {
+            if (c.producto) productsMap[c.producto.id] = c.producto;
+        });
+    });
+    return productsMap;
+}
+
+// Estados de publicación que se guardan en "ESTADO_PUBLICACION"
+const ESTADOS_PUBLICACION = ['borrador', 'publicado', 'oculto'];
+
+// Estado efectivo de un producto para el panel: además de los guardados,
+// 'programado' (aún no llega PUBLICAR_DESDE), 'expirado' (pasó PUBLICAR_HASTA)
+// y 'archivado' (papelera). Replica la función en_catalogo() de la base de datos.
+function estadoPublicacion(producto, ahora = new Date()) {
+    if (producto.ELIMINADO_EN) return 'archivado';
+    const estado = producto.ESTADO_PUBLICACION || 'publicado';
+    if (estado !== 'publicado') return estado;
+    if (producto.PUBLICAR_DESDE && new Date(producto.PUBLICAR_DESDE) > ahora) return 'programado';
+    if (producto.PUBLICAR_HASTA && new Date(producto.PUBLICAR_HASTA) <= ahora) return 'expirado';
+    return 'publicado';
+}
+
+function formatearPublicacion(producto) {
+    return {
+        estado: estadoPublicacion(producto),
+        publicar_desde: producto.PUBLICAR_DESDE || null,
+        publicar_hasta: producto.PUBLICAR_HASTA || null
+    };
+}
+
+// Excluye de una consulta a Productos los archivados en la papelera (listados de staff)
+function sinArchivados(query) {
+    return query.is('ELIMINADO_EN', null);
+}
+
+// Deja en una consulta a Productos solo los visibles en el catálogo público:
+// no archivados, publicados y dentro de su ventana de publicación. en_catalogo
+// es una columna calculada de PostgREST (ver schema_ecommerce.sql, sección 15).
+function soloCatalogo(query) {
+    return query.is('en_catalogo', true);
+}
+
+// Productos cuyo STOCK no alcanza para las unidades que pide el carrito. Las
+// líneas con variante se comparan con el stock de la variante (0 si está inactiva).
+// Un producto fuera del catálogo (archivado o sin publicar) cuenta con stock 0.
+function productosSinStock(lineas) {
+    const productsMap = productosDeLineas(lineas);
+    const disponible = (producto) => Boolean(producto && estadoPublicacion(producto) === 'publicado');
+
+    const productos = Object.entries(unidadesPorProducto(lineas.filter(l => !l.variante_id)))
+        .map(([producto_id, requerido]) => ({
+            producto_id: Number(producto_id),
+            requerido,
+            stock: disponible(productsMap[producto_id]) ? productsMap[producto_id].STOCK || 0 : 0
+        }));
+
+    const variantes = Object.values(lineas.filter(l => l.variante_id).reduce((acc, l) => {
+        const fila = acc[l.variante_id] = acc[l.variante_id] || {
+            producto_id: l.producto_id,
+            variante_id: l.variante_id,
+            requerido: 0,
+            stock: l.variante && l.variante.activo && disponible(l.producto) ? l.variante.stock : 0
+        };
+        fila.requerido += l.cantidad;
+        return acc;
+    }, {}));
+
+    return [...productos, ...variantes].filter(f => f.stock < f.requerido);
+}
+
+// ============================================
+// EMAILS TRANSACCIONALES (plantillas + outbox)
+// ============================================
+// Los emails no se envían en la request: se guardan en emails_outbox y un
+// proceso periódico los envía con reintentos y backoff exponencial.
+
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.SMTP_USER || 'no-reply@pcsystems.cl';
+const EMAIL_MAX_INTENTOS = parseInt(process.env.EMAIL_MAX_INTENTOS || '6');
+const EMAIL_BACKOFF_BASE_SEGUNDOS = parseInt(process.env.EMAIL_BACKOFF_BASE_SEGUNDOS || '60');
+const EMAIL_BACKOFF_MAX_SEGUNDOS = 6 * 60 * 60;
+const EMAIL_OUTBOX_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '30000');
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatCLP(monto) {
+    return new Intl.NumberFormat('es-CL', { style: 'currency', currency: 'CLP' }).format(monto || 0);
+}
+
+function layoutEmail(titulo, contenidoHtml) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escapeHtml(titulo)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+    <h2>${escapeHtml(titulo)}</h2>
+    ${contenidoHtml}
+    <hr>
+    <p style="font-size: 12px; color: #777;">PCSystem · ${escapeHtml(process.env.CONTACT_EMAIL || 'contacto@pcsystems.cl')}</p>
+</body>
+</html>`;
+}
+
+// Cada plantilla recibe datos sin escapar y devuelve { asunto, html, texto }.
+// Todo valor interpolado en html pasa por escapeHtml.
+const EMAIL_TEMPLATES = {
+    pedido_confirmado: (d) => {
+        const filas = (d.items || []).map(it =>
+            `<tr><td>${escapeHtml(it.nombre)}</td><td>${it.cantidad}</td><td>${formatCLP(it.precio_unitario * it.cantidad)}</td></tr>`
+        ).join('');
+        const lineasTexto = (d.items || []).map(it =>
+            `- ${it.nombre} x${it.cantidad}: ${formatCLP(it.precio_unitario * it.cantidad)}`
+        ).join('\n');
+
+        return {
+            asunto: `Recibimos tu pedido ${d.codigo}`,
+            html: layoutEmail(`¡Gracias por tu compra!`, `
+                <p>Recibimos tu pedido <strong>${escapeHtml(d.codigo)}</strong>. Te avisaremos cuando confirmemos el pago.</p>
+                <table cellpadding="4">${filas}</table>
+                <p>Subtotal: ${formatCLP(d.subtotal)}<br>
+                Descuento: ${formatCLP(d.descuento)}<br>
+                Envío: ${formatCLP(d.costo_envio)}<br>
+                <strong>Total: ${formatCLP(d.total)}</strong></p>
+                <p>Puedes seguir tu pedido en <a href="${escapeHtml(d.seguimiento_url)}">${escapeHtml(d.seguimiento_url)}</a></p>`),
+            texto: `¡Gracias por tu compra!\n\nRecibimos tu pedido ${d.codigo}. Te avisaremos cuando confirmemos el pago.\n\n${lineasTexto}\n\nSubtotal: ${formatCLP(d.subtotal)}\nDescuento: ${formatCLP(d.descuento)}\nEnvío: ${formatCLP(d.costo_envio)}\nTotal: ${formatCLP(d.total)}\n\nSeguimiento: ${d.seguimiento_url}`
+        };
+    },
+
+    pago_aprobado: (d) => ({
+        asunto: `Pago aprobado - pedido ${d.codigo}`,
+        html: layoutEmail('Pago aprobado', `
+            <p>Confirmamos el pago de <strong>${formatCLP(d.total)}</strong> de tu pedido <strong>${escapeHtml(d.codigo)}</strong>.</p>
+            <p>Ya estamos preparando tu pedido.</p>`),
+        texto: `Pago aprobado\n\nConfirmamos el pago de ${formatCLP(d.total)} de tu pedido ${d.codigo}.\nYa estamos preparando tu pedido.`
+    }),
+
+    envio_despachado: (d) => {
+        const seguimiento = d.url_seguimiento
+            ? `<p>Sigue tu envío aquí: <a href="${escapeHtml(d.url_seguimiento)}">${escapeHtml(d.url_seguimiento)}</a></p>`
+            : '';
+        return {
+            asunto: `Tu pedido ${d.codigo} va en camino`,
+            html: layoutEmail('Tu pedido va en camino', `
+                <p>Despachamos tu pedido <strong>${escapeHtml(d.codigo)}</strong> con <strong>${escapeHtml(d.courier)}</strong>.</p>
+                <p>Número de seguimiento: <strong>${escapeHtml(d.numero_seguimiento)}</strong></p>
+                ${seguimiento}`),
+            texto: `Tu pedido va en camino\n\nDespachamos tu pedido ${d.codigo} con ${d.courier}.\nNúmero de seguimiento: ${d.numero_seguimiento}${d.url_seguimiento ? `\nSeguimiento: ${d.url_seguimiento}` : ''}`
+        };
+    },
+
+    contacto_respuesta_automatica: (d) => ({
+        asunto: 'Recibimos tu mensaje - PCSystem',
+        html: layoutEmail(`Hola ${d.nombre}`, `
+            <p>Gracias por escribirnos. Recibimos tu mensaje y te responderemos a la brevedad.</p>
+            <blockquote>${escapeHtml(d.mensaje).replace(/\n/g, '<br>')}</blockquote>`),
+        texto: `Hola ${d.nombre}\n\nGracias por escribirnos. Recibimos tu mensaje y te responderemos a la brevedad.\n\n> ${String(d.mensaje).replace(/\n/g, '\n> ')}`
+    }),
+
+    contacto_interno: (d) => ({
+        asunto: `Nuevo mensaje de contacto - ${d.name}`,
+        html: layoutEmail('Nuevo mensaje de contacto desde PCSystem', `
+            <p><strong>Nombre:</strong> ${escapeHtml(d.name)}</p>
+            <p><strong>Email:</strong> ${escapeHtml(d.email)}</p>
+            <p><strong>Teléfono:</strong> ${escapeHtml(d.phone || 'No proporcionado')}</p>
+            <p><strong>Servicio de Interés:</strong> ${escapeHtml(d.service || 'No especificado')}</p>
+            <p><strong>Mensaje:</strong></p>
+            <p>${escapeHtml(d.message).replace(/\n/g, '<br>')}</p>`),
+        texto: `Nuevo mensaje de contacto desde PCSystem\n\nNombre: ${d.name}\nEmail: ${d.email}\nTeléfono: ${d.phone || 'No proporcionado'}\nServicio de Interés: ${d.service || 'No especificado'}\n\nMensaje:\n${d.message}`
+    }),
+
+    contacto_respuesta: (d) => ({
+        asunto: 'Re: tu consulta a PCSystem',
+        html: layoutEmail(`Hola ${d.nombre}`, `
+            <p>${escapeHtml(d.respuesta).replace(/\n/g, '<br>')}</p>
+            <p style="color: #777;">Tu mensaje original:</p>
+            <blockquote style="color: #777;">${escapeHtml(d.mensaje_original).replace(/\n/g, '<br>')}</blockquote>`),
+        texto: `Hola ${d.nombre}\n\n${d.respuesta}\n\nTu mensaje original:\n> ${String(d.mensaje_original).replace(/\n/g, '\n> ')}`
+    }),
+
+    recuperar_password: (d) => ({
+        asunto: 'Restablece tu contraseña - PCSystem',
+        html: layoutEmail(`Hola ${d.nombre}`, `
+            <p>Recibimos una solicitud para restablecer tu contraseña.</p>
+            <p><a href="${escapeHtml(d.url)}">Restablecer contraseña</a></p>
+            <p>El enlace vence en ${d.minutos} minutos. Si no fuiste tú, ignora este mensaje.</p>`),
+        texto: `Hola ${d.nombre}\n\nRecibimos una solicitud para restablecer tu contraseña.\nAbre este enlace: ${d.url}\n\nEl enlace vence en ${d.minutos} minutos. Si no fuiste tú, ignora este mensaje.`
+    })
+};
+
+// Renderiza la plantilla y la deja en el outbox. Nunca lanza: un email que no
+// se pudo encolar no debe hacer fallar la operación que lo origina.
+async function encolarEmail(plantilla, destinatario, datos, { replyTo } = {}) {
+    try {
+        const render = EMAIL_TEMPLATES[plantilla];
+        if (!render) throw new Error(`Plantilla de email desconocida: ${plantilla}`);
+        if (!destinatario) throw new Error(`Email ${plantilla} sin destinatario`);
+
+        const { asunto, html, texto } = render(datos);
+
+        const { data, error } = await supabase
+            .from('emails_outbox')
+            .insert([{
+                plantilla,
+                destinatario,
+                reply_to: replyTo || null,
+                asunto,
+                html,
+                texto,
+                estado: 'pendiente',
+                intentos: 0,
+                proximo_intento_en: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        setImmediate(procesarOutbox);
+        return data;
+    } catch (error) {
+        console.error('Error encolando email:', error);
+        return null;
+    }
+}
+
+async function enviarEmail(email) {
+    if (!emailTransporter) {
+        throw new Error(`Transporte de email "${EMAIL_TRANSPORT}" no configurado`);
+    }
+
+    const info = await emailTransporter.sendMail({
+        from: EMAIL_FROM,
+        to: email.destinatario,
+        replyTo: email.reply_to || undefined,
+        subject: email.asunto,
+        html: email.html,
+        text: email.texto
+    });
+
+    if (EMAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+        const archivo = path.join(EMAIL_OUTBOX_DIR, `${Date.now()}_${email.plantilla}_${email.id}.eml`);
+        await fs.promises.writeFile(archivo, info.message);
+        console.log(`📧 Email guardado en ${archivo}`);
+    } else if (EMAIL_TRANSPORT === 'console') {
+        console.log(`📧 [${email.plantilla}] Para: ${email.destinatario} | ${email.asunto}\n${email.texto}`);
+    }
+}
+
+function calcularBackoffSegundos(intentos) {
+    return Math.min(EMAIL_BACKOFF_BASE_SEGUNDOS * Math.pow(2, intentos - 1), EMAIL_BACKOFF_MAX_SEGUNDOS);
+}
+
+let outboxProcesando = false;
+
+// Envía los emails pendientes cuyo próximo intento ya venció
+async function procesarOutbox() {
+    // Sin transporte no se consumen intentos: los emails esperan en el outbox
+    if (outboxProcesando || !emailTransporter) return;
+    outboxProcesando = true;
+
+    try {
+        const ahora = new Date();
+
+        // Emails que quedaron tomados por un proceso que murió a mitad del envío
+        await supabase
+            .from('emails_outbox')
+            .update({ estado: 'pendiente' })
+            .eq('estado', 'enviando')
+            .lt('bloqueado_en', new Date(ahora.getTime() - 10 * 60 * 1000).toISOString());
+
+        const { data: pendientes, error } = await supabase
+            .from('emails_outbox')
+            .select('*')
+            .eq('estado', 'pendiente')
+            .lte('proximo_intento_en', ahora.toISOString())
+            .order('proximo_intento_en', { ascending: true })
+            .limit(20);
+
+        if (error) throw error;
+
+        for (const email of pendientes || []) {
+            const intentos = (email.intentos || 0) + 1;
+
+            // Tomar el email solo si sigue pendiente (otra instancia pudo tomarlo)
+            const { data: tomado, error: claimError } = await supabase
+                .from('emails_outbox')
+                .update({ estado: 'enviando', intentos, bloqueado_en: new Date().toISOString() })
+                .eq('id', email.id)
+                .eq('estado', 'pendiente')
+                .select();
+
+            if (claimError) throw claimError;
+            if (!tomado || tomado.length === 0) continue;
+
+            try {
+                await enviarEmail(email);
+                await supabase
+                    .from('emails_outbox')
+                    .update({ estado: 'enviado', enviado_en: new Date().toISOString(), ultimo_error: null })
+                    .eq('id', email.id);
+            } catch (sendError) {
+                const agotado = intentos >= EMAIL_MAX_INTENTOS;
+                const proximo = new Date(Date.now() + calcularBackoffSegundos(intentos) * 1000);
+                console.error(`Error enviando email ${email.id} (intento ${intentos}):`, sendError.message);
+
+                await supabase
+                    .from('emails_outbox')
+                    .update({
+                        estado: agotado ? 'fallido' : 'pendiente',
+                        ultimo_error: sendError.message,
+                        proximo_intento_en: proximo.toISOString()
+                    })
+                    .eq('id', email.id);
+            }
+        }
+    } catch (error) {
+        console.error('Error procesando outbox de emails:', error);
+    } finally {
+        outboxProcesando = false;
+    }
+}
+
+setInterval(procesarOutbox, EMAIL_OUTBOX_INTERVAL_MS).unref();
+
+// Encola un email al contacto de un pedido; datos(pedido) arma los datos de la plantilla
+async function notificarPedido(carritoId, plantilla, datos) {
+    try {
+        const { data: pedido, error } = await supabase
+            .from('carritos')
+            .select('id, codigo, email_contacto')
+            .eq('id', carritoId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!pedido || !pedido.email_contacto) return null;
+
+        return await encolarEmail(plantilla, pedido.email_contacto, datos(pedido));
+    } catch (error) {
+        console.error(`Error notificando pedido ${carritoId}:`, error);
+        return null;
+    }
+}
+
+// Rutas básicas
+app.get('/', (req, res) => {
+    res.json({ 
+        message: 'PCSYSTEM Backend API funcionando!',
+        version: '1.0.0',
+        timestamp: new Date().toISOString(),
+        supabase: 'Conectado'
+    });
+});
+
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        service: 'PCSYSTEM Backend',
+        uptime: process.uptime(),
+        database: 'Supabase conectado'
+    });
+});
+
+// ============================================
+// CATEGORÍAS
+// ============================================
+// Árbol de dos niveles (categoría > subcategoría) en la tabla categorias. Los
+// productos guardan el nombre en CATEGORIA/SUBCATEGORIA; renombrar y fusionar
+// se hacen con funciones SQL que actualizan ambos en la misma transacción.
+
+// Slug en minúsculas, sin tildes y con guiones ("Tarjetas de Video" -> "tarjetas-de-video")
+function slugify(texto) {
+    return normalizarTexto(texto)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Primer slug libre a partir de base (base, base-2, base-3...)
+async function slugCategoriaDisponible(base, excluirId = null) {
+    const raiz = base || 'categoria';
+    const { data, error } = await supabase
+        .from('categorias')
+        .select('id, slug')
+        .like('slug', `${raiz}%`);
+
+    if (error) throw error;
+
+    const usados = new Set(data.filter(c => c.id !== excluirId).map(c => c.slug));
+    let slug = raiz;
+    for (let i = 2; usados.has(slug); i++) slug = `${raiz}-${i}`;
+    return slug;
+}
+
+async function getCategoria(id) {
+    const { data, error } = await supabase
+        .from('categorias')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Categoría no encontrada', 404);
+    return data;
+}
+
+// Traduce los errores de la base de datos a respuestas HTTP
+function errorCategoria(error) {
+    if (error.code === '23505') return httpError('Ya existe una categoría con ese nombre o slug', 409);
+    if (/CATEGORIA_NO_ENCONTRADA/.test(error.message || '')) return httpError('Categoría no encontrada', 404);
+    if (/FUSION_INVALIDA/.test(error.message || '')) {
+        return httpError('Solo se pueden fusionar categorías distintas y del mismo nivel', 400);
+    }
+    return error;
+}
+
+// Árbol de categorías ordenado, con la cantidad de productos de cada nodo
+async function getArbolCategorias({ incluirInactivas = false } = {}) {
+    let query = supabase
+        .from('categorias')
+        .select('*')
+        .order('orden', { ascending: true })
+        .order('nombre', { ascending: true });
+
+    if (!incluirInactivas) query = query.eq('activo', true);
+
+    const [{ data, error }, conteo] = await Promise.all([
+        query,
+        supabase.rpc('contar_productos_categorias')
+    ]);
+
+    if (error) throw error;
+    if (conteo.error) throw conteo.error;
+
+    const categorias = data
+        .filter(c => !c.padre_id)
+        .map(c => ({ ...c, total_productos: 0, subcategorias: [] }));
+    const porId = categorias.reduce((acc, c) => { acc[c.id] = c; return acc; }, {});
+
+    data.filter(c => c.padre_id && porId[c.padre_id]).forEach(sub => {
+        porId[sub.padre_id].subcategorias.push({ ...sub, total_productos: 0 });
+    });
+
+    (conteo.data || []).forEach(fila => {
+        const categoria = categorias.find(c => c.nombre === fila.categoria);
+        if (!categoria) return;
+
+        categoria.total_productos += Number(fila.total);
+        const sub = categoria.subcategorias.find(s => s.nombre === fila.subcategoria);
+        if (sub) sub.total_productos += Number(fila.total);
+    });
+
+    return categorias;
+}
+
+// Traduce los filtros category/subcategory del catálogo (slugs) a los nombres
+// guardados en "Productos". Un valor que no es slug se usa como nombre, para no
+// romper a los clientes que todavía filtran por nombre.
+async function resolverFiltroCategoria(category, subcategory) {
+    const filtro = { categoria: null, subcategoria: null };
+    const slugs = [category, subcategory].filter(v => v && v !== 'all');
+    if (slugs.length === 0) return filtro;
+
+    const { data, error } = await supabase
+        .from('categorias')
+        .select('id, padre_id, nombre, slug')
+        .in('slug', slugs);
+
+    if (error) throw error;
+
+    const porSlug = data.reduce((acc, c) => { acc[c.slug] = c; return acc; }, {});
+
+    if (category && category !== 'all') {
+        const categoria = porSlug[category];
+        filtro.categoria = categoria && !categoria.padre_id ? categoria.nombre : category;
+    }
+
+    if (subcategory && subcategory !== 'all') {
+        const sub = porSlug[subcategory];
+        if (sub && sub.padre_id) {
+            filtro.subcategoria = sub.nombre;
+            // La subcategoría basta para saber la categoría (el nombre se repite entre categorías)
+            if (!filtro.categoria) filtro.categoria = (await getCategoria(sub.padre_id)).nombre;
+        } else {
+            filtro.subcategoria = subcategory;
+        }
+    }
+
+    return filtro;
+}
+
+// Valida CATEGORIA/SUBCATEGORIA de un producto contra el árbol y las reemplaza por
+// el nombre oficial (sin distinguir mayúsculas ni tildes), para que un error de
+// tipeo no cree una categoría fantasma. Con productoId se completa el valor que
+// no viene en la actualización con el que tiene el producto. Para validar muchos
+// productos se pueden pasar ya cargados el producto actual y las categorías.
+async function normalizarCategoriasProducto(producto, productoId = null, precargado = {}) {
+    const traeCategoria = producto.CATEGORIA !== undefined;
+    const traeSubcategoria = producto.SUBCATEGORIA !== undefined;
+    if (!traeCategoria && !traeSubcategoria) return producto;
+
+    let actual = precargado.actual || {};
+    if (productoId && !precargado.actual && (!traeCategoria || !traeSubcategoria)) {
+        const { data, error } = await supabase
+            .from('Productos')
+            .select('CATEGORIA, SUBCATEGORIA')
+            .eq('id', productoId)
+            .maybeSingle();
+
+        if (error) throw error;
+        actual = data || {};
+    }
+
+    const nombreCategoria = traeCategoria ? producto.CATEGORIA : actual.CATEGORIA;
+    const nombreSubcategoria = traeSubcategoria ? producto.SUBCATEGORIA : actual.SUBCATEGORIA;
+    const campos = [];
+    const resultado = { ...producto };
+
+    if (!nombreCategoria) {
+        if (nombreSubcategoria) {
+            campos.push({ ubicacion: 'body', campo: 'SUBCATEGORIA', mensaje: 'requiere una CATEGORIA' });
+        }
+    } else {
+        let data = precargado.categorias;
+        if (!data) {
+            const { data: categorias, error } = await supabase
+                .from('categorias')
+                .select('id, padre_id, nombre');
+
+            if (error) throw error;
+            data = categorias;
+        }
+
+        const igual = (a, b) => normalizarTexto(a) === normalizarTexto(b);
+        const categoria = data.find(c => !c.padre_id && igual(c.nombre, nombreCategoria));
+
+        if (!categoria) {
+            campos.push({ ubicacion: 'body', campo: 'CATEGORIA', mensaje: `no existe la categoría "${nombreCategoria}"` });
+        } else {
+            if (traeCategoria) resultado.CATEGORIA = categoria.nombre;
+
+            if (nombreSubcategoria) {
+                const sub = data.find(c => c.padre_id === categoria.id && igual(c.nombre, nombreSubcategoria));
+                if (!sub) {
+                    campos.push({
+                        ubicacion: 'body',
+                        campo: 'SUBCATEGORIA',
+                        mensaje: `no existe la subcategoría "${nombreSubcategoria}" en "${categoria.nombre}"`
+                    });
+                } else if (traeSubcategoria) {
+                    resultado.SUBCATEGORIA = sub.nombre;
+                }
+            }
+        }
+    }
+
+    if (campos.length > 0) throw httpError('Datos inválidos', 400, { campos });
+    return resultado;
+}
+
+const SLUG_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function categoriaCampos({ crear = false } = {}) {
+    return {
+        nombre: campo.texto({ requerido: crear, min: 1, max: 100 }),
+        slug: campo.texto({ max: 120, patron: SLUG_REGEX }),
+        icono: campo.texto({ max: 500, nulo: true }),
+        orden: campo.entero({ min: 0 }),
+        activo: campo.booleano()
+    };
+}
+
+// Árbol de categorías con contadores (incluir_inactivas es solo para el panel)
+app.get('/api/categorias', validar({
+    query: { incluir_inactivas: campo.booleano() }
+}), async (req, res) => {
+    try {
+        res.json(await getArbolCategorias({ incluirInactivas: req.query.incluir_inactivas === true }));
+    } catch (error) {
+        console.error('Error obteniendo categorías:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cambiar el orden de varias categorías a la vez
+app.put('/api/categorias/orden', requirePermission('categorias:gestionar'), validar({
+    body: {
+        orden: campo.lista(campo.objeto({
+            id: campo.uuid({ requerido: true }),
+            orden: campo.entero({ min: 0, requerido: true })
+        }), { requerido: true, min: 1, max: 500 })
+    }
+}), async (req, res) => {
+    try {
+        const resultados = await Promise.all(req.body.orden.map(item =>
+            supabase.from('categorias').update({ orden: item.orden }).eq('id', item.id)
+        ));
+
+        const fallido = resultados.find(r => r.error);
+        if (fallido) throw fallido.error;
+
+        res.json({ message: 'Orden actualizado', actualizadas: req.body.orden.length });
+    } catch (error) {
+        console.error('Error ordenando categorías:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener una categoría por slug (con sus subcategorías)
+app.get('/api/categorias/:slug', validar({
+    params: { slug: campo.texto({ requerido: true, max: 120, patron: SLUG_REGEX }) }
+}), async (req, res) => {
+    try {
+        const arbol = await getArbolCategorias();
+        const subcategorias = arbol.flatMap(c => c.subcategorias.map(s => ({ ...s, categoria: c.slug })));
+        const categoria = arbol.find(c => c.slug === req.params.slug)
+            || subcategorias.find(s => s.slug === req.params.slug);
+
+        if (!categoria) throw httpError('Categoría no encontrada', 404);
+        res.json(categoria);
+    } catch (error) {
+        console.error('Error obteniendo categoría:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Crear categoría (o subcategoría, con padre_id)
+app.post('/api/categorias', requirePermission('categorias:gestionar'), validar({
+    body: { ...categoriaCampos({ crear: true }), padre_id: campo.uuid({ nulo: true }) }
+}), async (req, res) => {
+    try {
+        const { nombre, slug, icono, orden, activo, padre_id } = req.body;
+
+        let padre = null;
+        if (padre_id) {
+            padre = await getCategoria(padre_id);
+            if (padre.padre_id) throw httpError('Las subcategorías no pueden tener subcategorías', 400);
+        }
+
+        const base = slug || (padre ? `${padre.slug}-${slugify(nombre)}` : slugify(nombre));
+        const { data, error } = await supabase
+            .from('categorias')
+            .insert([{
+                nombre: nombre.trim(),
+                slug: slug || await slugCategoriaDisponible(base),
+                icono: icono || null,
+                orden: orden || 0,
+                activo: activo !== undefined ? activo : true,
+                padre_id: padre ? padre.id : null
+            }])
+            .select()
+            .single();
+
+        if (error) throw errorCategoria(error);
+        res.status(201).json(data);
+    } catch (error) {
+        console.error('Error creando categoría:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Productos que usan una categoría o subcategoría (versión completa, para el historial)
+async function getProductosDeCategoria(categoria) {
+    const padre = categoria.padre_id ? await getCategoria(categoria.padre_id) : null;
+
+    return leerTodasLasFilas(() => {
+        const query = supabase.from('Productos').select('*');
+        return (padre
+            ? query.eq('CATEGORIA', padre.nombre).eq('SUBCATEGORIA', categoria.nombre)
+            : query.eq('CATEGORIA', categoria.nombre))
+            .order('id', { ascending: true });
+    });
+}
+
+// Registra en el historial los productos que reescribió un renombre o una fusión
+async function auditarProductosRecategorizados(antes, actor) {
+    if (antes.length === 0) return;
+    const despues = await getVersionesProductos(antes.map(p => p.id));
+    await registrarAuditoria(...antes.map(p => ({
+        entidad: 'producto',
+        entidadId: p.id,
+        accion: 'actualizar',
+        actor,
+        antes: p,
+        despues: despues[p.id]
+    })));
+}
+
+// Actualizar categoría. Cambiar el nombre actualiza los productos que la usan.
+app.put('/api/categorias/:id', requirePermission('categorias:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: campo.objeto(categoriaCampos(), { noVacio: true })
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nombre, ...cambios } = req.body;
+        const categoria = await getCategoria(id);
+
+        if (Object.keys(cambios).length > 0) {
+            const { error } = await supabase.from('categorias').update(cambios).eq('id', id);
+            if (error) throw errorCategoria(error);
+        }
+
+        if (nombre !== undefined && nombre.trim() !== categoria.nombre) {
+            const productos = await getProductosDeCategoria(categoria);
+            const { error } = await supabase.rpc('renombrar_categoria', { p_id: id, p_nombre: nombre.trim() });
+            if (error) throw errorCategoria(error);
+            await auditarProductosRecategorizados(productos, req.staff.email);
+        }
+
+        res.json(await getCategoria(id));
+    } catch (error) {
+        console.error('Error actualizando categoría:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Fusionar una categoría en otra del mismo nivel: sus productos (y subcategorías)
+// pasan al destino y la categoría de origen se elimina
+app.post('/api/categorias/:id/fusionar', requirePermission('categorias:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: { destino_id: campo.uuid({ requerido: true }) }
+}), async (req, res) => {
+    try {
+        const productos = await getProductosDeCategoria(await getCategoria(req.params.id));
+        const { data, error } = await supabase.rpc('fusionar_categorias', {
+            p_origen: req.params.id,
+            p_destino: req.body.destino_id
+        });
+
+        if (error) throw errorCategoria(error);
+        await auditarProductosRecategorizados(productos, req.staff.email);
+
+        res.json({
+            message: 'Categorías fusionadas',
+            productos_reasignados: data,
+            destino: await getCategoria(req.body.destino_id)
+        });
+    } catch (error) {
+        console.error('Error fusionando categorías:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Eliminar categoría (solo si no tiene productos ni subcategorías; si no, fusionarla)
+app.delete('/api/categorias/:id', requirePermission('categorias:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) }
+}), async (req, res) => {
+    try {
+        const categoria = await getCategoria(req.params.id);
+
+        let productos = supabase
+            .from('Productos')
+            .select('id', { count: 'exact', head: true });
+
+        if (categoria.padre_id) {
+            const padre = await getCategoria(categoria.padre_id);
+            productos = productos.eq('CATEGORIA', padre.nombre).eq('SUBCATEGORIA', categoria.nombre);
+        } else {
+            productos = productos.eq('CATEGORIA', categoria.nombre);
+        }
+
+        const [conteoProductos, conteoSubcategorias] = await Promise.all([
+            productos,
+            supabase.from('categorias').select('id', { count: 'exact', head: true }).eq('padre_id', categoria.id)
+        ]);
+
+        if (conteoProductos.error) throw conteoProductos.error;
+        if (conteoSubcategorias.error) throw conteoSubcategorias.error;
+
+        if (conteoProductos.count > 0 || conteoSubcategorias.count > 0) {
+            throw httpError('La categoría tiene productos o subcategorías; fusiónala con otra antes de eliminarla', 409, {
+                productos: conteoProductos.count,
+                subcategorias: conteoSubcategorias.count
+            });
+        }
+
+        const { error } = await supabase.from('categorias').delete().eq('id', categoria.id);
+        if (error) throw error;
+
+        res.json({ message: 'Categoría eliminada' });
+    } catch (error) {
+        console.error('Error eliminando categoría:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Tipos de componente del configurador de PC (ver CONFIGURADOR DE PC):
+// obligatorio y máximo de líneas por tipo
+const COMPONENTES_PC = {
+    cpu: { requerido: true, max: 1 },
+    placa_madre: { requerido: true, max: 1 },
+    ram: { requerido: true, max: 4 },
+    gpu: { requerido: false, max: 1 },
+    fuente: { requerido: true, max: 1 },
+    gabinete: { requerido: true, max: 1 },
+    almacenamiento: { requerido: true, max: 6 }
+};
+
+const TIPOS_MEMORIA = ['DDR3', 'DDR4', 'DDR5'];
+const FACTORES_FORMA = ['E-ATX', 'ATX', 'Micro-ATX', 'Mini-ITX'];
+
+// SKU de productos y variantes
+const SKU_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function errorSkuProducto(error) {
+    if (error.code === '23505') return httpError('Ya existe un producto con ese SKU', 409);
+    return error;
+}
+
+// Campos editables de un producto (id, NUM_VENTAS, etc. no se aceptan)
+function productoCampos({ crear = false } = {}) {
+    return {
+        SKU: campo.texto({ max: 64, patron: SKU_REGEX, nulo: true }),
+        NOMBRE: campo.texto({ requerido: crear, min: 1, max: 200 }),
+        DETALLE: campo.texto({ max: 10000, nulo: true }),
+        PRECIO: campo.numero({ min: 0, nulo: !crear }),
+        CATEGORIA: campo.texto({ max: 100, nulo: true }),
+        SUBCATEGORIA: campo.texto({ max: 100, nulo: true }),
+        STOCK: campo.entero({ min: 0 }),
+        POSICION: campo.entero({ min: 0, nulo: true }),
+        PESO_KG: campo.numero({ min: 0, nulo: true }),
+        // Visibilidad en el catálogo público (ver estadoPublicacion)
+        ESTADO_PUBLICACION: campo.texto({ enum: ESTADOS_PUBLICACION }),
+        PUBLICAR_DESDE: campo.fecha({ nulo: true }),
+        PUBLICAR_HASTA: campo.fecha({ nulo: true }),
+        // Datos técnicos para el configurador de PC (se aceptan campos adicionales)
+        ESPECIFICACIONES: campo.objeto({
+            componente: campo.texto({ enum: Object.keys(COMPONENTES_PC) }),
+            socket: campo.texto({ max: 30 }),
+            tipo_memoria: campo.texto({ enum: TIPOS_MEMORIA }),
+            factor_forma: campo.texto({ enum: FACTORES_FORMA }),
+            factores_forma: campo.lista(campo.texto({ enum: FACTORES_FORMA })),
+            slots_ram: campo.entero({ min: 1, max: 16 }),
+            modulos: campo.entero({ min: 1, max: 16 }),
+            tdp_w: campo.entero({ min: 0, max: 2000 }),
+            consumo_w: campo.entero({ min: 0, max: 500 }),
+            potencia_w: campo.entero({ min: 0, max: 3000 }),
+            largo_mm: campo.entero({ min: 0, max: 1000 }),
+            gpu_largo_max_mm: campo.entero({ min: 0, max: 1000 }),
+            graficos_integrados: campo.booleano()
+        }, { libre: true, nulo: true }),
+        // El editor del frontend guarda datos propios en IMAGENES; se validan los conocidos
+        IMAGENES: campo.objeto({
+            images: campo.lista(campo.texto({ max: 1000 })),
+            videos: campo.lista(campo.texto({ max: 1000 })),
+            mainImageIndex: campo.entero({ min: 0 }),
+            imageCropData: campo.objeto({}, { libre: true }),
+            // URLs { thumb, medium, large } de cada imagen (null si no pasó por el procesador)
+            imageVariants: campo.lista(campo.objeto({
+                thumb: campo.texto({ max: 1000 }),
+                medium: campo.texto({ max: 1000 }),
+                large: campo.texto({ max: 1000 })
+            }, { libre: true, nulo: true }))
+        }, { libre: true, nulo: true })
+    };
+}
+
+// GET todos los productos (con paginación)
+app.get('/api/pcs', validar({
+    query: {
+        ...paginacion(12),
+        all: campo.booleano(),
+        category: campo.texto({ max: 120 }), // slug de categoría
+        subcategory: campo.texto({ max: 120 }) // slug de subcategoría
+    }
+}), requirePermissionSi(req => req.query.all === true, 'productos:escribir'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 12;
+        const all = req.query.all === true; // Parámetro para obtener todos sin paginación
+        const filtro = await resolverFiltroCategoria(req.query.category, req.query.subcategory);
+
+        const filtrarCategoria = (query) => {
+            if (filtro.categoria) query = query.eq('CATEGORIA', filtro.categoria);
+            if (filtro.subcategoria) query = query.eq('SUBCATEGORIA', filtro.subcategoria);
+            return query;
+        };
+        
+        if (all) {
+            // Obtener todos los productos sin paginación (para admin), también
+            // borradores, ocultos y programados, con su estado de publicación
+            const { data, error } = await filtrarCategoria(sinArchivados(supabase
+                .from('Productos')
+                .select('*')))
+                .order('POSICION', { ascending: true });
+            
+            if (error) throw error;
+            const productos = await preciarProductos(data);
+            res.json(productos.map(p => ({ ...p, publicacion: formatearPublicacion(p) })));
+        } else {
+            // Obtener productos con paginación
+            const from = (page - 1) * limit;
+            const to = from + limit - 1;
+
+            const { data, error, count } = await filtrarCategoria(soloCatalogo(supabase
+                .from('Productos')
+                .select('*', { count: 'exact' })))
+                .order('POSICION', { ascending: true })
+                .range(from, to);
+            
+            if (error) throw error;
+
+            res.json({
+                data: await preciarProductos(data),
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit),
+                    hasMore: to < count - 1
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RUTAS DE BÚSQUEDA Y FILTROS
+// (Deben ir ANTES de /api/pcs/:id)
+// ============================================
+
+// Límites de los tramos de precio de las facetas de búsqueda (CLP)
+const BUSQUEDA_TRAMOS_PRECIO = (process.env.BUSQUEDA_TRAMOS_PRECIO || '0,25000,50000,100000,250000,500000,1000000')
+    .split(',')
+    .map(Number)
+    .filter(Number.isFinite);
+
+const ORDENES_BUSQUEDA = ['relevancia', 'precio_asc', 'precio_desc', 'recientes', 'mas_vendidos', 'posicion'];
+
+// Buscar productos (con paginación, ranking por relevancia y facetas).
+// El texto se pasa como parámetro a las funciones SQL buscar_productos y
+// facetas_productos, nunca se interpola en filtros de PostgREST.
+app.get('/api/pcs/search', validar({
+    query: {
+        ...paginacion(12),
+        q: campo.texto({ max: 100 }),
+        category: campo.texto({ max: 120 }), // slug de categoría
+        subcategory: campo.texto({ max: 120 }), // slug de subcategoría
+        minPrice: campo.numero({ min: 0 }),
+        maxPrice: campo.numero({ min: 0 }),
+        inStock: campo.booleano(),
+        sort: campo.texto({ enum: ORDENES_BUSQUEDA })
+    },
+    reglas: reglaRango('query', 'minPrice', 'maxPrice', 'debe ser mayor o igual a minPrice')
+}), async (req, res) => {
+    try {
+        const { category, subcategory, minPrice, maxPrice, inStock } = req.query;
+        const q = (req.query.q || '').trim();
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 12;
+        const from = (page - 1) * limit;
+
+        // Con texto se ordena por relevancia; sin texto, por la posición del catálogo
+        const sort = req.query.sort || (q ? 'relevancia' : 'posicion');
+        const filtro = await resolverFiltroCategoria(category, subcategory);
+
+        const filtros = {
+            p_q: q || null,
+            p_categoria: filtro.categoria,
+            p_subcategoria: filtro.subcategoria,
+            p_precio_min: minPrice !== undefined ? minPrice : null,
+            p_precio_max: maxPrice !== undefined ? maxPrice : null,
+            p_con_stock: inStock === true
+        };
+
+        const [resultados, facetas] = await Promise.all([
+            supabase.rpc('buscar_productos', { ...filtros, p_orden: sort, p_limite: limit, p_offset: from }),
+            supabase.rpc('facetas_productos', { ...filtros, p_rangos_precio: BUSQUEDA_TRAMOS_PRECIO })
+        ]);
+
+        if (resultados.error) throw resultados.error;
+        if (facetas.error) throw facetas.error;
+
+        // El total sale de las facetas: en una página más allá de la última no hay filas
+        const filas = resultados.data || [];
+        const { total, ...facetasBusqueda } = facetas.data;
+        const count = Number(total) || 0;
+
+        // Traer los productos de la página y conservar el orden del ranking
+        let data = [];
+        if (filas.length > 0) {
+            const { data: productos, error } = await supabase
+                .from('Productos')
+                .select('*')
+                .in('id', filas.map(f => f.id));
+
+            if (error) throw error;
+
+            const porId = productos.reduce((acc, p) => { acc[p.id] = p; return acc; }, {});
+            data = filas
+                .filter(f => porId[f.id])
+                .map(f => (q ? { ...porId[f.id], relevancia: f.relevancia } : porId[f.id]));
+        }
+
+        res.json({
+            data: await preciarProductos(data),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: from + limit < count
+            },
+            sort,
+            facetas: facetasBusqueda
+        });
+    } catch (error) {
+        console.error('Error buscando productos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener nombres de categorías (formato anterior; el árbol completo está en /api/categorias)
+app.get('/api/pcs/categories', validar(), async (req, res) => {
+    try {
+        const arbol = await getArbolCategorias();
+        res.json(arbol.map(c => c.nombre));
+    } catch (error) {
+        console.error('Error obteniendo categorías:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener productos con bajo stock
+app.get('/api/pcs/low-stock', requirePermission('estadisticas:ver'), validar({ query: { threshold: campo.entero({ min: 0 }) } }), async (req, res) => {
+    try {
+        const threshold = req.query.threshold ?? 5;
+        
+        const { data, error } = await sinArchivados(supabase
+            .from('Productos')
+            .select('*'))
+            .lte('STOCK', threshold)
+            .order('STOCK', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        console.error('Error obteniendo productos con bajo stock:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener productos más vendidos
+app.get('/api/pcs/top-selling', validar({ query: { limit: campo.entero({ min: 1, max: 100 }) } }), async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        
+        const { data, error } = await soloCatalogo(supabase
+            .from('Productos')
+            .select('*'))
+            .order('NUM_VENTAS', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        console.error('Error obteniendo productos más vendidos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Actualiza POSICION de cada producto y registra en el historial los que cambiaron
+async function actualizarPosicionesProductos(positions, actor) {
+    const antes = await getVersionesProductos(positions.map(p => p.id));
+
+    // Actualizar cada producto con su nueva posición
+    const updates = positions.map(({ id, POSICION }) =>
+        supabase
+            .from('Productos')
+            .update({ POSICION })
+            .eq('id', id)
+    );
+
+    await Promise.all(updates);
+
+    await registrarAuditoria(...positions
+        .filter(({ id }) => antes[id])
+        .map(({ id, POSICION }) => ({
+            entidad: 'producto',
+            entidadId: id,
+            accion: 'actualizar',
+            actor,
+            antes: antes[id],
+            despues: { ...antes[id], POSICION }
+        })));
+}
+
+// Actualizar posiciones masivamente
+app.put('/api/pcs/positions', requirePermission('posiciones:escribir'), validar({
+    body: {
+        positions: campo.lista(campo.objeto({
+            id: campo.entero({ requerido: true, min: 1 }),
+            POSICION: campo.entero({ requerido: true, min: 0 })
+        }), { requerido: true, max: 1000 })
+    }
+}), async (req, res) => {
+    try {
+        const { positions } = req.body; // Array de { id, POSICION }
+
+        if (!Array.isArray(positions)) {
+            return res.status(400).json({ error: 'Se requiere un array de posiciones' });
+        }
+
+        await actualizarPosicionesProductos(positions, req.staff.email);
+
+        res.json({ 
+            success: true, 
+            message: 'Posiciones actualizadas correctamente' 
+        });
+    } catch (error) {
+        console.error('Error actualizando posiciones:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener productos relacionados
+app.get('/api/pcs/:id/related', validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    query: { limit: campo.entero({ min: 1, max: 50 }) }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = parseInt(req.query.limit) || 4;
+
+        // Primero obtener el producto para conocer su categoría
+        const { data: product, error: productError } = await supabase
+            .from('Productos')
+            .select('CATEGORIA')
+            .eq('id', id)
+            .single();
+
+        if (productError) throw productError;
+
+        // Obtener productos de la misma categoría
+        const { data, error } = await soloCatalogo(supabase
+            .from('Productos')
+            .select('*'))
+            .eq('CATEGORIA', product.CATEGORIA)
+            .neq('id', id)
+            .limit(limit);
+
+        if (error) throw error;
+        res.json(await preciarProductos(data));
+    } catch (error) {
+        console.error('Error obteniendo productos relacionados:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// IMPORTACIÓN Y EXPORTACIÓN CSV DE PRODUCTOS
+// (Deben ir ANTES de /api/pcs/:id)
+// ============================================
+// Las filas se identifican por id o SKU: con id se actualiza ese producto; con
+// SKU se actualiza el producto que lo tiene o se crea uno nuevo; sin ninguno de
+// los dos se crea. Una celda vacía no modifica el campo. La importación es todo
+// o nada: si una fila tiene errores no se aplica ninguna.
+
+const CSV_COLUMNAS_PRODUCTO = ['id', 'SKU', 'NOMBRE', 'DETALLE', 'PRECIO', 'CATEGORIA', 'SUBCATEGORIA', 'STOCK', 'POSICION', 'PESO_KG'];
+const CSV_MAX_FILAS = parseInt(process.env.CSV_MAX_FILAS || '5000');
+
+// PostgREST corta cada respuesta en max-rows (1000 por defecto en Supabase), así
+// que las lecturas de tablas completas van por páginas. crearQuery() debe devolver
+// una consulta nueva con un orden estable.
+const LECTURA_PAGINA_FILAS = parseInt(process.env.LECTURA_PAGINA_FILAS || '1000');
+
+async function leerTodasLasFilas(crearQuery) {
+    const filas = [];
+    for (let desde = 0; ; desde += LECTURA_PAGINA_FILAS) {
+        const { data, error } = await crearQuery().range(desde, desde + LECTURA_PAGINA_FILAS - 1);
+        if (error) throw error;
+        filas.push(...data);
+        if (data.length < LECTURA_PAGINA_FILAS) return filas;
+    }
+}
+
+const uploadCsv = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// Celda CSV (RFC 4180). Los textos que empiezan con = + - @ se anteponen con '
+// para que una planilla no los ejecute como fórmula.
+function csvCelda(valor, separador) {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+    if (texto.includes(separador) || /["\r\n]/.test(texto)) {
+        return `"${texto.replace(/"/g, '""')}"`;
+    }
+    return texto;
+}
+
+// Separa un CSV en filas de celdas. Acepta comillas, saltos de línea dentro de
+// comillas, CRLF y BOM. El separador (',' o ';') se detecta en el encabezado.
+function parseCsv(texto) {
+    const contenido = texto.replace(/^\uFEFF/, '');
+    const primeraLinea = contenido.split(/\r?\n/, 1)[0];
+    const separador = (primeraLinea.split(';').length > primeraLinea.split(',').length) ? ';' : ',';
+
+    const filas = [];
+    let fila = [];
+    let celda = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < contenido.length; i++) {
+        const c = contenido[i];
+
+        if (entreComillas) {
+            if (c === '"' && contenido[i + 1] === '"') {
+                celda += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                celda += c;
+            }
+        } else if (c === '"' && celda === '') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(celda);
+            celda = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && contenido[i + 1] === '\n') i++;
+            fila.push(celda);
+            filas.push(fila);
+            fila = [];
+            celda = '';
+        } else {
+            celda += c;
+        }
+    }
+
+    if (entreComillas) throw httpError('CSV inválido: hay comillas sin cerrar', 400);
+    if (celda !== '' || fila.length > 0) {
+        fila.push(celda);
+        filas.push(fila);
+    }
+
+    // Las líneas en blanco se ignoran
+    return { separador, filas: filas.filter(f => f.some(c => c.trim() !== '')) };
+}
+
+// Convierte una celda al formato que espera productoCampos: números con
+// separador de miles o signo $ ("$49.990") y decimales con coma ("1,5")
+function valorCeldaProducto(columna, celda) {
+    let valor = celda.trim();
+    if (/^'[=+\-@]/.test(valor)) valor = valor.slice(1);
+
+    if (['id', 'PRECIO', 'STOCK', 'POSICION'].includes(columna)) {
+        valor = valor.replace(/^\$\s*/, '');
+        if (/^\d{1,3}(\.\d{3})+$/.test(valor)) valor = valor.replace(/\./g, '');
+    } else if (columna === 'PESO_KG') {
+        valor = valor.replace(',', '.');
+    }
+    return valor;
+}
+
+// Compara el valor actual de un producto con el importado
+function mismoValorProducto(columna, antes, despues) {
+    if (columna === 'PRECIO') return parsePrecio(antes) === despues;
+    if (antes === null || antes === undefined) return despues === null;
+    if (typeof despues === 'number') return Number(antes) === despues;
+    return String(antes) === String(despues);
+}
+
+// Valida las filas contra el catálogo actual y arma el plan de importación:
+// [{ fila, accion: 'crear' | 'actualizar' | 'sin_cambios' | 'error', id, SKU, datos, cambios, errores }]
+async function planificarImportacion(columnas, filas) {
+    const [productos, categorias, variantes] = await Promise.all([
+        leerTodasLasFilas(() => supabase
+            .from('Productos')
+            .select('id, SKU, NOMBRE, DETALLE, PRECIO, CATEGORIA, SUBCATEGORIA, STOCK, POSICION, PESO_KG')
+            .order('id', { ascending: true })),
+        leerTodasLasFilas(() => supabase.from('categorias').select('id, padre_id, nombre').order('id', { ascending: true })),
+        leerTodasLasFilas(() => supabase.from('producto_variantes').select('producto_id').order('id', { ascending: true }))
+    ]);
+
+    const porId = new Map(productos.map(p => [p.id, p]));
+    const porSku = new Map(productos.filter(p => p.SKU).map(p => [p.SKU, p]));
+    const conVariantes = new Set(variantes.map(v => v.producto_id));
+    const vistos = new Set();
+    const esquemaActualizar = productoCampos();
+    const esquemaCrear = productoCampos({ crear: true });
+
+    const plan = [];
+    for (const [indice, celdas] of filas.entries()) {
+        const numeroFila = indice + 2; // la fila 1 es el encabezado
+        const errores = [];
+        const crudo = {};
+
+        columnas.forEach((columna, i) => {
+            const valor = valorCeldaProducto(columna, celdas[i] || '');
+            if (valor !== '') crudo[columna] = valor;
+        });
+
+        if (celdas.length > columnas.length) {
+            errores.push({ campo: null, mensaje: `tiene ${celdas.length} columnas y el encabezado ${columnas.length}` });
+        }
+
+        const id = crudo.id !== undefined ? validarValor(campo.entero({ min: 1 }), crudo.id, 'id', errores) : undefined;
+        const sku = crudo.SKU !== undefined ? validarValor(esquemaActualizar.SKU, crudo.SKU, 'SKU', errores) : undefined;
+
+        let actual = null;
+        if (id !== undefined) {
+            actual = porId.get(id) || null;
+            if (!actual) errores.push({ campo: 'id', mensaje: `no existe un producto con id ${id}` });
+            else if (sku && porSku.has(sku) && porSku.get(sku).id !== id) {
+                errores.push({ campo: 'SKU', mensaje: `el SKU ${sku} pertenece al producto ${porSku.get(sku).id}` });
+            }
+        } else if (sku) {
+            actual = porSku.get(sku) || null;
+        }
+
+        const clave = actual ? `id:${actual.id}` : (sku ? `sku:${sku}` : null);
+        if (clave && vistos.has(clave)) errores.push({ campo: null, mensaje: 'el producto aparece en más de una fila' });
+        if (clave) vistos.add(clave);
+
+        // Los campos se validan con el mismo esquema que POST/PUT /api/pcs
+        const esquema = actual ? esquemaActualizar : esquemaCrear;
+        let datos = {};
+        Object.entries(esquema).forEach(([columna, sub]) => {
+            if (columna === 'SKU' || !columnas.includes(columna)) {
+                if (columna === 'NOMBRE' && !actual) validarValor(sub, undefined, columna, errores);
+                return;
+            }
+            const valor = validarValor(sub, crudo[columna], columna, errores);
+            if (valor !== undefined) datos[columna] = valor;
+        });
+        if (sku) datos.SKU = sku;
+
+        if (errores.length === 0) {
+            try {
+                datos = await normalizarCategoriasProducto(datos, actual ? actual.id : null, {
+                    actual: actual || {},
+                    categorias
+                });
+            } catch (error) {
+                if (!error.details || !error.details.campos) throw error;
+                error.details.campos.forEach(c => errores.push({ campo: c.campo, mensaje: c.mensaje }));
+            }
+        }
+
+        if (actual && datos.STOCK !== undefined && conVariantes.has(actual.id)
+            && !mismoValorProducto('STOCK', actual.STOCK, datos.STOCK)) {
+            errores.push({ campo: 'STOCK', mensaje: 'el stock de un producto con variantes se gestiona en cada variante' });
+        }
+
+        const base = { fila: numeroFila, id: actual ? actual.id : null, SKU: sku || (actual ? actual.SKU : null) };
+
+        if (errores.length > 0) {
+            plan.push({ ...base, accion: 'error', errores });
+        } else if (!actual) {
+            plan.push({ ...base, accion: 'crear', datos: { STOCK: 0, ...datos } });
+        } else {
+            const cambios = {};
+            Object.entries(datos).forEach(([columna, valor]) => {
+                if (!mismoValorProducto(columna, actual[columna], valor)) {
+                    cambios[columna] = { antes: actual[columna], despues: valor };
+                }
+            });
+            const hayCambios = Object.keys(cambios).length > 0;
+            plan.push({ ...base, accion: hayCambios ? 'actualizar' : 'sin_cambios', ...(hayCambios && { cambios }) });
+        }
+    }
+
+    return plan;
+}
+
+// Exportar el catálogo a CSV (separador ',' por defecto; ';' para Excel en español)
+app.get('/api/pcs/export', requirePermission('productos:escribir'), validar({
+    query: { separador: campo.texto({ enum: [',', ';'], defecto: ',' }) }
+}), async (req, res) => {
+    try {
+        const { separador } = req.query;
+        const data = await leerTodasLasFilas(() => sinArchivados(supabase
+            .from('Productos')
+            .select(CSV_COLUMNAS_PRODUCTO.join(', ')))
+            .order('POSICION', { ascending: true })
+            .order('id', { ascending: true }));
+
+        const lineas = [
+            CSV_COLUMNAS_PRODUCTO.join(separador),
+            ...data.map(p => CSV_COLUMNAS_PRODUCTO
+                .map(c => csvCelda(c === 'PRECIO' ? parsePrecio(p.PRECIO) : p[c], separador))
+                .join(separador))
+        ];
+
+        const fecha = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="productos-${fecha}.csv"`);
+        res.send('\uFEFF' + lineas.join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error('Error exportando productos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Importar productos desde CSV (multipart, campo "file"). Con dry_run=true solo
+// devuelve el plan: qué filas se crearían o actualizarían y qué campos cambiarían.
+app.post('/api/pcs/import', requirePermission('productos:escribir'), uploadCsv.single('file'), validar({
+    query: { dry_run: campo.booleano({ defecto: false }) }
+}), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No se proporcionó archivo' });
+        }
+
+        const { filas } = parseCsv(req.file.buffer.toString('utf8'));
+        if (filas.length < 2) throw httpError('El CSV no tiene filas de productos', 400);
+        if (filas.length - 1 > CSV_MAX_FILAS) throw httpError(`El CSV supera el máximo de ${CSV_MAX_FILAS} filas`, 400);
+
+        const columnas = filas[0].map(c => (c.trim().toLowerCase() === 'id' ? 'id' : c.trim().toUpperCase()));
+        const desconocidas = columnas.filter(c => !CSV_COLUMNAS_PRODUCTO.includes(c));
+        if (desconocidas.length > 0) {
+            throw httpError('El CSV tiene columnas desconocidas', 400, { columnas: desconocidas, permitidas: CSV_COLUMNAS_PRODUCTO });
+        }
+        if (new Set(columnas).size !== columnas.length) throw httpError('El CSV tiene columnas repetidas', 400);
+
+        const plan = await planificarImportacion(columnas, filas.slice(1));
+        const contar = (accion) => plan.filter(f => f.accion === accion).length;
+        const reporte = {
+            dry_run: req.query.dry_run,
+            resumen: {
+                filas: plan.length,
+                crear: contar('crear'),
+                actualizar: contar('actualizar'),
+                sin_cambios: contar('sin_cambios'),
+                errores: contar('error')
+            },
+            filas: plan.map(({ datos, ...fila }) => (fila.accion === 'crear' ? { ...fila, datos } : fila))
+        };
+
+        if (reporte.resumen.errores > 0) {
+            return res.status(400).json({ error: 'El CSV tiene errores; no se aplicó ningún cambio', ...reporte });
+        }
+        if (req.query.dry_run) return res.json(reporte);
+
+        // Crear y actualizar en una sola transacción
+        const actualizar = plan
+            .filter(f => f.accion === 'actualizar')
+            .map(f => ({
+                id: f.id,
+                cambios: Object.fromEntries(Object.entries(f.cambios).map(([c, v]) => [c, v.despues]))
+            }));
+
+        const { data, error } = await supabase.rpc('importar_productos', {
+            p_crear: plan.filter(f => f.accion === 'crear').map(f => f.datos),
+            p_actualizar: actualizar
+        });
+
+        if (error) throw errorSkuProducto(error);
+
+        const creados = (data && data.creados) || [];
+        let i = 0;
+        reporte.filas.forEach(f => {
+            if (f.accion === 'crear') f.id = creados[i++] || null;
+        });
+
+        const versiones = await getVersionesProductos([...creados, ...actualizar.map(f => f.id)]);
+        await registrarAuditoria(
+            ...creados
+                .filter(id => versiones[id])
+                .map(id => ({ entidad: 'producto', entidadId: id, accion: 'crear', actor: req.staff.email, despues: versiones[id] })),
+            ...plan
+                .filter(f => f.accion === 'actualizar' && versiones[f.id])
+                .map(f => ({
+                    entidad: 'producto',
+                    entidadId: f.id,
+                    accion: 'actualizar',
+                    actor: req.staff.email,
+                    antes: {
+                        ...versiones[f.id],
+                        ...Object.fromEntries(Object.entries(f.cambios).map(([c, v]) => [c, v.antes]))
+                    },
+                    despues: versiones[f.id]
+                }))
+        );
+
+        res.json({ message: 'Importación aplicada', ...reporte });
+    } catch (error) {
+        console.error('Error importando productos:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// ============================================
+// PAPELERA DE PRODUCTOS
+// ============================================
+// DELETE /api/pcs/:id archiva el producto (ELIMINADO_EN): deja de verse en el
+// catálogo, la búsqueda y el configurador y no se puede comprar, pero su fila
+// sigue ahí para los pedidos. Desde la papelera se restaura o se purga.
+
+// Lo que se llevaría la purga definitiva (ON DELETE CASCADE) de un producto
+async function dependenciasProducto(id) {
+    const [packsRes, descuentosRes, lineasRes] = await Promise.all([
+        supabase
+            .from('pack_productos')
+            .select('cantidad, pack:pack_id (id, nombre)')
+            .eq('producto_id', id),
+        supabase
+            .from('descuentos_productos')
+            .select('id, porcentaje, fecha_inicio, fecha_fin')
+            .eq('producto_id', id),
+        supabase
+            .from('detalle_carrito')
+            .select('carrito_id, carrito:carrito_id (estado)')
+            .eq('producto_id', id)
+    ]);
+
+    if (packsRes.error) throw packsRes.error;
+    if (descuentosRes.error) throw descuentosRes.error;
+    if (lineasRes.error) throw lineasRes.error;
+
+    const carritos = (pendiente) => new Set(lineasRes.data
+        .filter(l => (l.carrito && l.carrito.estado === 'pendiente') === pendiente)
+        .map(l => l.carrito_id)).size;
+
+    return {
+        packs: packsRes.data.map(pp => ({ ...pp.pack, cantidad: pp.cantidad })),
+        descuentos: descuentosRes.data,
+        carritos_pendientes: carritos(true),
+        pedidos: carritos(false)
+    };
+}
+
+async function getProductoArchivado(id) {
+    const producto = await getVersionEntidad('producto', id);
+    if (!producto) throw httpError('Producto no encontrado', 404);
+    if (!producto.ELIMINADO_EN) throw httpError('El producto no está en la papelera', 409);
+    return producto;
+}
+
+// Listar la papelera, de lo más reciente a lo más antiguo, con lo que arrastraría purgar cada producto
+app.get('/api/pcs/papelera', requirePermission('productos:eliminar'), validar({
+    query: paginacion()
+}), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const { data, error, count } = await supabase
+            .from('Productos')
+            .select('*', { count: 'exact' })
+            .not('ELIMINADO_EN', 'is', null)
+            .order('ELIMINADO_EN', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        const productos = await Promise.all(data.map(async (p) => ({
+            ...p,
+            dependencias: await dependenciasProducto(p.id)
+        })));
+
+        res.json({
+            data: productos,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: offset + limit < count
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo papelera de productos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Restaurar un producto archivado al catálogo
+app.post('/api/pcs/:id/restaurar', requirePermission('productos:eliminar'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) }
+}), async (req, res) => {
+    try {
+        const antes = await getProductoArchivado(req.params.id);
+
+        const { data, error } = await supabase
+            .from('Productos')
+            .update({ ELIMINADO_EN: null, ELIMINADO_POR: null })
+            .eq('id', antes.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: antes.id, accion: 'restaurar', actor: req.staff.email, antes, despues: data });
+        res.json({ message: 'Producto restaurado', data });
+    } catch (error) {
+        console.error('Error restaurando producto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Purgar definitivamente un producto de la papelera. Sin confirmar=true responde
+// 409 con los packs, descuentos y carritos que se verían afectados. Los productos
+// que aparecen en pedidos no se purgan nunca.
+app.delete('/api/pcs/:id/purgar', requirePermission('productos:eliminar'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    query: { confirmar: campo.booleano({ defecto: false }) }
+}), async (req, res) => {
+    try {
+        const antes = await getProductoArchivado(req.params.id);
+        const dependencias = await dependenciasProducto(antes.id);
+
+        if (dependencias.pedidos > 0) {
+            throw httpError('El producto aparece en pedidos y se conserva para su historial', 409, { dependencias });
+        }
+
+        const afectaOtros = dependencias.packs.length > 0 ||
+            dependencias.descuentos.length > 0 ||
+            dependencias.carritos_pendientes > 0;
+
+        if (afectaOtros && !req.query.confirmar) {
+            return res.status(409).json({
+                error: 'La purga quitará el producto de packs, descuentos y carritos; repite con confirmar=true',
+                dependencias
+            });
+        }
+
+        const { error } = await supabase
+            .from('Productos')
+            .delete()
+            .eq('id', antes.id);
+
+        if (error) {
+            if (error.code === '23503') throw httpError('El producto tiene reservas o pedidos asociados y no se puede purgar', 409);
+            throw error;
+        }
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: antes.id, accion: 'eliminar', actor: req.staff.email, antes });
+        res.json({ message: 'Producto purgado', dependencias });
+    } catch (error) {
+        console.error('Error purgando producto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// ============================================
+// RUTAS DE PRODUCTOS INDIVIDUALES
+// (Debe ir DESPUÉS de las rutas específicas)
+// ============================================
+
+// GET por ID
+app.get('/api/pcs/:id', validar({ params: { id: campo.entero({ min: 1, requerido: true }) } }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        // El staff puede previsualizar productos no publicados
+        const vistaPrevia = Boolean(await getStaffOpcional(req, 'productos:escribir'));
+        const query = supabase
+            .from('Productos')
+            .select('*');
+        const { data, error } = await (vistaPrevia ? sinArchivados(query) : soloCatalogo(query))
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Producto no encontrado' });
+        const [producto] = await preciarProductos([data]);
+        const variantes = (await getVariantesPorProducto([producto.id]))[producto.id] || [];
+
+        res.json({
+            ...producto,
+            ...(vistaPrevia ? { publicacion: formatearPublicacion(producto) } : {}),
+            variantes: variantes.map(v => ({ ...v, precio_calculado: calcularPrecioVariante(producto, v) }))
+        });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Crear producto
+app.post('/api/pcs', requirePermission('productos:escribir'), validar({
+    body: productoCampos({ crear: true }),
+    reglas: reglaRango('body', 'PUBLICAR_DESDE', 'PUBLICAR_HASTA', 'debe ser posterior a PUBLICAR_DESDE')
+}), async (req, res) => {
+    try {
+        const { SKU, NOMBRE, DETALLE, PRECIO, STOCK, PESO_KG, ESPECIFICACIONES } = req.body;
+        const { ESTADO_PUBLICACION, PUBLICAR_DESDE, PUBLICAR_HASTA } = req.body;
+        
+        if (!NOMBRE) {
+            return res.status(400).json({ error: 'NOMBRE es requerido' });
+        }
+
+        const { CATEGORIA, SUBCATEGORIA } = await normalizarCategoriasProducto(req.body);
+
+        const { data, error } = await supabase
+            .from('Productos') // Cambiar aquí
+            .insert([{
+                SKU: SKU || null,
+                NOMBRE,
+                DETALLE,
+                PRECIO,
+                CATEGORIA,
+                SUBCATEGORIA,
+                STOCK: STOCK || 0,
+                PESO_KG: PESO_KG !== undefined ? PESO_KG : null,
+                ESPECIFICACIONES: ESPECIFICACIONES || {},
+                ESTADO_PUBLICACION: ESTADO_PUBLICACION || 'publicado',
+                PUBLICAR_DESDE: PUBLICAR_DESDE || null,
+                PUBLICAR_HASTA: PUBLICAR_HASTA || null
+            }])
+            .select();
+
+        if (error) throw errorSkuProducto(error);
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: data[0].id, accion: 'crear', actor: req.staff.email, despues: data[0] });
+
+        res.status(201).json({
+            message: 'Producto creado exitosamente',
+            data: data[0]
+        });
+    } catch (error) {
+        console.error('Error creando producto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// PUT - Actualizar
+app.put('/api/pcs/:id', requirePermission('productos:escribir'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    body: campo.objeto(productoCampos(), { noVacio: true })
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const antes = await getVersionEntidad('producto', id);
+        if (!antes) throw httpError('Producto no encontrado', 404);
+
+        const updates = await normalizarCategoriasProducto(req.body, id, { actual: antes });
+
+        const { PUBLICAR_DESDE: desde, PUBLICAR_HASTA: hasta } = { ...antes, ...updates };
+        if (desde && hasta && new Date(hasta) < new Date(desde)) {
+            throw httpError('Datos inválidos', 400, {
+                campos: [{ ubicacion: 'body', campo: 'PUBLICAR_HASTA', mensaje: 'debe ser posterior a PUBLICAR_DESDE' }]
+            });
+        }
+
+        if (updates.STOCK !== undefined) {
+            const variantes = (await getVariantesPorProducto([id], { incluirInactivas: true }))[id] || [];
+            if (variantes.length > 0) {
+                throw httpError('El stock de un producto con variantes se gestiona en cada variante', 400);
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('Productos') // ✅ Cambiar aquí
+            .update(updates)
+            .eq('id', id)
+            .select();
+
+        if (error) throw errorSkuProducto(error);
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: id, accion: 'actualizar', actor: req.staff.email, antes, despues: data[0] });
+        res.json({ message: 'Producto actualizado', data: data[0] });
+    } catch (error) {
+        console.error('Error:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// DELETE - Archivar (pasa a la papelera; ver PAPELERA DE PRODUCTOS)
+app.delete('/api/pcs/:id', requirePermission('productos:eliminar'), validar({ params: { id: campo.entero({ min: 1, requerido: true }) } }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const antes = await getVersionEntidad('producto', id);
+        if (!antes) throw httpError('Producto no encontrado', 404);
+        if (antes.ELIMINADO_EN) throw httpError('El producto ya está en la papelera', 409);
+
+        const { data, error } = await supabase
+            .from('Productos') // ✅ Cambiar aquí
+            .update({ ELIMINADO_EN: new Date().toISOString(), ELIMINADO_POR: req.staff.email })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: id, accion: 'archivar', actor: req.staff.email, antes, despues: data });
+        res.json({ message: 'Producto eliminado', data });
+    } catch (error) {
+        console.error('Error:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// ============================================
+// VARIANTES DE PRODUCTOS
+// ============================================
+// Los ejes de opción viven en Productos.OPCIONES ([{ nombre, valores }]) y cada
+// variante (producto_variantes) es una combinación de valores con SKU, precio,
+// stock e imágenes propias. El STOCK del producto pasa a ser la suma de sus
+// variantes activas (trigger en la base de datos).
+
+function varianteCampos({ crear = false } = {}) {
+    return {
+        sku: campo.texto({ requerido: crear, max: 64, patron: SKU_REGEX }),
+        opciones: campo.objeto({}, { requerido: crear, libre: true }), // { eje: valor }, se valida contra OPCIONES
+        precio: campo.entero({ min: 0, nulo: true }), // null = PRECIO del producto
+        stock: campo.entero({ min: 0 }),
+        imagenes: campo.lista(campo.texto({ max: 1000 }), { max: 20 }),
+        activo: campo.booleano()
+    };
+}
+
+const varianteParams = {
+    id: campo.entero({ min: 1, requerido: true }),
+    varianteId: campo.uuid({ requerido: true })
+};
+
+async function getProductoConOpciones(id) {
+    const { data, error } = await supabase
+        .from('Productos')
+        .select('id, NOMBRE, PRECIO, OPCIONES')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Producto no encontrado', 404);
+    return data;
+}
+
+// Verifica que opciones tenga exactamente un valor válido por eje y devuelve
+// { opciones, etiqueta } con los ejes en el orden del producto
+function normalizarOpcionesVariante(ejes, opciones) {
+    const campos = [];
+
+    if (ejes.length === 0) {
+        throw httpError('El producto no tiene ejes de opción; defínelos en /api/pcs/:id/opciones', 400);
+    }
+
+    Object.keys(opciones)
+        .filter(nombre => !ejes.some(e => e.nombre === nombre))
+        .forEach(nombre => campos.push({ ubicacion: 'body', campo: `opciones.${nombre}`, mensaje: 'no es un eje del producto' }));
+
+    ejes.forEach(eje => {
+        const valor = opciones[eje.nombre];
+        if (valor === undefined || valor === null || valor === '') {
+            campos.push({ ubicacion: 'body', campo: `opciones.${eje.nombre}`, mensaje: 'es requerido' });
+        } else if (!eje.valores.includes(valor)) {
+            campos.push({ ubicacion: 'body', campo: `opciones.${eje.nombre}`, mensaje: `debe ser uno de: ${eje.valores.join(', ')}` });
+        }
+    });
+
+    if (campos.length > 0) throw httpError('Datos inválidos', 400, { campos });
+
+    return {
+        opciones: ejes.reduce((acc, eje) => { acc[eje.nombre] = opciones[eje.nombre]; return acc; }, {}),
+        etiqueta: ejes.map(eje => opciones[eje.nombre]).join(' / ')
+    };
+}
+
+// Las variantes toman el control del stock del producto (trg_producto_variantes_stock
+// lo recalcula con su suma). Si el producto está en packs o en carritos pendientes sin
+// variante, esas líneas descontarían STOCK directamente y el trigger lo pisaría.
+async function verificarVariantesPermitidas(productoId) {
+    const [packsRes, lineasRes] = await Promise.all([
+        supabase
+            .from('pack_productos')
+            .select('pack:pack_id (id, nombre)')
+            .eq('producto_id', productoId),
+        supabase
+            .from('detalle_carrito')
+            .select('carrito_id, carrito:carrito_id (estado)')
+            .eq('producto_id', productoId)
+            .is('variante_id', null)
+    ]);
+
+    if (packsRes.error) throw packsRes.error;
+    if (lineasRes.error) throw lineasRes.error;
+
+    const packs = packsRes.data.map(pp => pp.pack);
+    const carritosPendientes = new Set(lineasRes.data
+        .filter(l => l.carrito && l.carrito.estado === 'pendiente')
+        .map(l => l.carrito_id)).size;
+
+    if (packs.length > 0 || carritosPendientes > 0) {
+        throw httpError('El producto está en packs o en carritos pendientes sin variante; no se le pueden agregar variantes', 409, {
+            packs,
+            carritos_pendientes: carritosPendientes
+        });
+    }
+}
+
+// Traduce los errores de la base de datos a respuestas HTTP
+function errorVariante(error) {
+    if (error.code === '23505') return httpError('Ya existe una variante con ese SKU o esa combinación de opciones', 409);
+    if (error.code === '23503') {
+        return httpError('La variante tiene pedidos asociados; desactívala (activo: false) en vez de eliminarla', 409);
+    }
+    return error;
+}
+
+// Listar variantes de un producto (incluye las inactivas)
+app.get('/api/pcs/:id/variantes', requirePermission('productos:escribir'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) }
+}), async (req, res) => {
+    try {
+        const producto = await getProductoConOpciones(req.params.id);
+        const variantes = (await getVariantesPorProducto([producto.id], { incluirInactivas: true }))[producto.id] || [];
+
+        res.json({ opciones: producto.OPCIONES || [], variantes });
+    } catch (error) {
+        console.error('Error obteniendo variantes:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Definir los ejes de opción del producto (reemplaza los anteriores). Las
+// variantes existentes deben seguir siendo válidas con los ejes nuevos.
+app.put('/api/pcs/:id/opciones', requirePermission('productos:escribir'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    body: {
+        opciones: campo.lista(campo.objeto({
+            nombre: campo.texto({ requerido: true, min: 1, max: 50 }),
+            valores: campo.lista(campo.texto({ min: 1, max: 50 }), { requerido: true, min: 1, max: 50 })
+        }), { requerido: true, max: 5 })
+    }
+}), async (req, res) => {
+    try {
+        const producto = await getProductoConOpciones(req.params.id);
+        const ejes = req.body.opciones.map(e => ({
+            nombre: e.nombre.trim(),
+            valores: [...new Set(e.valores.map(v => v.trim()))]
+        }));
+
+        const nombres = ejes.map(e => normalizarTexto(e.nombre));
+        if (new Set(nombres).size !== nombres.length) {
+            throw httpError('Los ejes de opción no pueden repetirse', 400);
+        }
+
+        const variantes = (await getVariantesPorProducto([producto.id], { incluirInactivas: true }))[producto.id] || [];
+        const invalidas = variantes.filter(v => {
+            try {
+                normalizarOpcionesVariante(ejes, v.opciones);
+                return false;
+            } catch (e) {
+                return true;
+            }
+        });
+
+        if (invalidas.length > 0) {
+            throw httpError('Hay variantes que no calzan con los ejes nuevos; actualízalas o elimínalas primero', 409, {
+                variantes: invalidas.map(v => ({ id: v.id, sku: v.sku, opciones: v.opciones }))
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('Productos')
+            .update({ OPCIONES: ejes })
+            .eq('id', producto.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await registrarAuditoria({
+            entidad: 'producto',
+            entidadId: producto.id,
+            accion: 'actualizar',
+            actor: req.staff.email,
+            antes: { ...data, OPCIONES: producto.OPCIONES },
+            despues: data
+        });
+        res.json({ message: 'Opciones actualizadas', opciones: data.OPCIONES });
+    } catch (error) {
+        console.error('Error actualizando opciones del producto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Crear variante
+app.post('/api/pcs/:id/variantes', requirePermission('productos:escribir'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    body: varianteCampos({ crear: true })
+}), async (req, res) => {
+    try {
+        const producto = await getProductoConOpciones(req.params.id);
+        const { sku, precio, stock, imagenes, activo } = req.body;
+        const { opciones, etiqueta } = normalizarOpcionesVariante(producto.OPCIONES || [], req.body.opciones);
+        await verificarVariantesPermitidas(producto.id);
+
+        const { data, error } = await supabase
+            .from('producto_variantes')
+            .insert([{
+                producto_id: producto.id,
+                sku,
+                opciones,
+                etiqueta,
+                precio: precio !== undefined ? precio : null,
+                stock: stock || 0,
+                imagenes: imagenes || [],
+                activo: activo !== undefined ? activo : true
+            }])
+            .select()
+            .single();
+
+        if (error) throw errorVariante(error);
+
+        await registrarAuditoria({ entidad: 'variante', entidadId: data.id, accion: 'crear', actor: req.staff.email, despues: data });
+        res.status(201).json(data);
+    } catch (error) {
+        console.error('Error creando variante:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Actualizar variante
+app.put('/api/pcs/:id/variantes/:varianteId', requirePermission('productos:escribir'), validar({
+    params: varianteParams,
+    body: campo.objeto(varianteCampos(), { noVacio: true })
+}), async (req, res) => {
+    try {
+        const { id, varianteId } = req.params;
+        const updates = { ...req.body };
+
+        const antes = await getVersionEntidad('variante', varianteId);
+        if (!antes || String(antes.producto_id) !== String(id)) throw httpError('Variante no encontrada', 404);
+
+        if (updates.opciones !== undefined) {
+            const producto = await getProductoConOpciones(id);
+            Object.assign(updates, normalizarOpcionesVariante(producto.OPCIONES || [], updates.opciones));
+        }
+
+        const { data, error } = await supabase
+            .from('producto_variantes')
+            .update(updates)
+            .eq('id', varianteId)
+            .eq('producto_id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw errorVariante(error);
+        if (!data) throw httpError('Variante no encontrada', 404);
+
+        await registrarAuditoria({ entidad: 'variante', entidadId: varianteId, accion: 'actualizar', actor: req.staff.email, antes, despues: data });
+        res.json(data);
+    } catch (error) {
+        console.error('Error actualizando variante:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Eliminar variante (solo si nunca se agregó a un carrito; si no, desactivarla)
+app.delete('/api/pcs/:id/variantes/:varianteId', requirePermission('productos:escribir'), validar({
+    params: varianteParams
+}), async (req, res) => {
+    try {
+        const { id, varianteId } = req.params;
+
+        const { data, error } = await supabase
+            .from('producto_variantes')
+            .delete()
+            .eq('id', varianteId)
+            .eq('producto_id', id)
+            .select();
+
+        if (error) throw errorVariante(error);
+        if (!data || data.length === 0) throw httpError('Variante no encontrada', 404);
+
+        await registrarAuditoria({ entidad: 'variante', entidadId: varianteId, accion: 'eliminar', actor: req.staff.email, antes: data[0] });
+        res.json({ message: 'Variante eliminada' });
+    } catch (error) {
+        console.error('Error eliminando variante:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// ============================================
+// RUTAS DE AUTENTICACIÓN
+// ============================================
+
+// Login
+app.post('/api/auth/login', limitarLogin('staff'), validar({
+    body: { email: campo.email({ requerido: true }), password: campo.texto({ requerido: true, max: 200 }) }
+}), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email y contraseña requeridos' });
+        }
+
+        const { data, error } = await supabase.auth.signInWithPassword({
+            email,
+            password
+        });
+
+        if (error) {
+            // Solo cuentan como fallo las credenciales rechazadas, no las caídas de Supabase
+            if (error.status && error.status < 500) await registrarFalloLogin('staff', email);
+            throw error;
+        }
+
+        await limpiarFallosLogin('staff', email);
+
+        res.json({
+            success: true,
+            session: data.session,
+            user: data.user
+        });
+    } catch (error) {
+        console.error('Error en login:', error);
+        res.status(401).json({ error: error.message });
+    }
+});
+
+// Logout
+app.post('/api/auth/logout', validar(), async (req, res) => {
+    try {
+        const { error } = await supabase.auth.signOut();
+        if (error) throw error;
+        
+        res.json({ success: true, message: 'Sesión cerrada' });
+    } catch (error) {
+        console.error('Error en logout:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Verificar sesión
+app.get('/api/auth/session', validar(), async (req, res) => {
+    try {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'No autorizado' });
+        }
+
+        const { data, error } = await supabase.auth.getUser(token);
+
+        if (error) throw error;
+
+        const role = (data.user.app_metadata && data.user.app_metadata.role) || null;
+        res.json({
+            user: data.user,
+            role,
+            permissions: ROLE_PERMISSIONS[role] || []
+        });
+    } catch (error) {
+        console.error('Error verificando sesión:', error);
+        res.status(401).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RUTAS DE UPLOAD DE ARCHIVOS
+// ============================================
+
+// Procesamiento de imágenes: el tipo real se detecta por los primeros bytes
+// (no se confía en la extensión ni en el mimetype del cliente), se descartan
+// los metadatos EXIF y se generan variantes WebP. Cada imagen queda en
+// images/<id>/: original.<ext> y <clave>-<tamaño>.webp, donde clave es 'full'
+// o un hash del recorte aplicado.
+
+// Lado mayor (px) de cada variante
+const IMAGEN_TAMANOS = { thumb: 200, medium: 600, large: 1200 };
+const IMAGEN_CALIDAD_WEBP = 80;
+// Evita procesar imágenes gigantes (bombas de descompresión)
+const IMAGEN_MAX_PIXELES = 40 * 1000 * 1000;
+const IMAGEN_URL_REGEX = /\/images\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\//;
+
+const FIRMAS_IMAGEN = [
+    { formato: 'jpeg', ext: 'jpg', mime: 'image/jpeg', es: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { formato: 'png', ext: 'png', mime: 'image/png', es: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { formato: 'gif', ext: 'gif', mime: 'image/gif', es: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')) },
+    { formato: 'webp', ext: 'webp', mime: 'image/webp', es: (b) => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' },
+    { formato: 'avif', ext: 'avif', mime: 'image/avif', es: (b) => b.subarray(4, 8).toString('ascii') === 'ftyp' && ['avif', 'avis'].includes(b.subarray(8, 12).toString('ascii')) }
+];
+
+function detectarTipoImagen(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    return FIRMAS_IMAGEN.find(f => f.es(buffer)) || null;
+}
+
+// Recorte de imageCropData: { x, y, width, height, unit: '%' | 'px' } (por defecto %)
+// o el formato de react-easy-crop ({ croppedAreaPixels } o { croppedArea }).
+// Devuelve { left, top, width, height } en píxeles dentro de la imagen, o null.
+function normalizarRecorte(recorte, ancho, alto) {
+    if (!recorte || typeof recorte !== 'object') return null;
+
+    let area = recorte;
+    let unidad = recorte.unit === 'px' ? 'px' : '%';
+    if (recorte.croppedAreaPixels) {
+        area = recorte.croppedAreaPixels;
+        unidad = 'px';
+    } else if (recorte.croppedArea) {
+        area = recorte.croppedArea;
+        unidad = '%';
+    }
+
+    let [x, y, w, h] = ['x', 'y', 'width', 'height'].map(k => Number(area[k]));
+    if (![x, y, w, h].every(Number.isFinite)) return null;
+
+    if (unidad === '%') {
+        x = x * ancho / 100;
+        w = w * ancho / 100;
+        y = y * alto / 100;
+        h = h * alto / 100;
+    }
+
+    const left = Math.min(Math.max(Math.round(x), 0), ancho - 1);
+    const top = Math.min(Math.max(Math.round(y), 0), alto - 1);
+    const width = Math.min(Math.round(w), ancho - left);
+    const height = Math.min(Math.round(h), alto - top);
+
+    if (width < 1 || height < 1) return null;
+    if (left === 0 && top === 0 && width === ancho && height === alto) return null;
+    return { left, top, width, height };
+}
+
+// Reescribe la imagen sin metadatos (aplicando antes la orientación EXIF).
+// Lanza 400 si el archivo no es una imagen soportada o está dañado.
+async function normalizarImagenOriginal(buffer) {
+    const tipo = detectarTipoImagen(buffer);
+    if (!tipo) {
+        throw httpError('El archivo no es una imagen válida (se aceptan JPEG, PNG, GIF, WebP y AVIF)', 400);
+    }
+
+    try {
+        const { data, info } = await sharp(buffer, { limitInputPixels: IMAGEN_MAX_PIXELES })
+            .rotate()
+            .toFormat(tipo.formato)
+            .toBuffer({ resolveWithObject: true });
+
+        return { tipo, data, ancho: info.width, alto: info.height };
+    } catch (error) {
+        throw httpError('No se pudo procesar la imagen', 400, { detalle: error.message });
+    }
+}
+
+// Variantes WebP (thumb, medium, large) de una imagen ya normalizada, con el
+// recorte opcional. Devuelve { clave, recorte, variantes: { nombre: buffer } }.
+async function generarVariantesImagen(original, recorte = null) {
+    const area = normalizarRecorte(recorte, original.ancho, original.alto);
+    const fuente = area ? await sharp(original.data).extract(area).toBuffer() : original.data;
+    const clave = area
+        ? `c${crypto.createHash('sha1').update(JSON.stringify(area)).digest('hex').slice(0, 10)}`
+        : 'full';
+
+    const variantes = {};
+    for (const [nombre, lado] of Object.entries(IMAGEN_TAMANOS)) {
+        variantes[nombre] = await sharp(fuente)
+            .resize(lado, lado, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: IMAGEN_CALIDAD_WEBP })
+            .toBuffer();
+    }
+
+    return { clave, recorte: area, variantes };
+}
+
+async function subirArchivoImagen(ruta, buffer, contentType) {
+    const { error } = await supabase.storage
+        .from('Imagenes')
+        .upload(ruta, buffer, { contentType, cacheControl: '31536000', upsert: true });
+
+    if (error) throw error;
+    return supabase.storage.from('Imagenes').getPublicUrl(ruta).data.publicUrl;
+}
+
+// Sube las variantes generadas y devuelve sus URLs { thumb, medium, large }
+async function subirVariantesImagen(imagenId, { clave, variantes }) {
+    const urls = {};
+    for (const [nombre, buffer] of Object.entries(variantes)) {
+        urls[nombre] = await subirArchivoImagen(`images/${imagenId}/${clave}-${nombre}.webp`, buffer, 'image/webp');
+    }
+    return urls;
+}
+
+// Descarga el original de una imagen subida por el procesador
+async function descargarImagenOriginal(imagenId) {
+    const { data: archivos, error } = await supabase.storage
+        .from('Imagenes')
+        .list(`images/${imagenId}`);
+
+    if (error) throw error;
+
+    const archivo = (archivos || []).find(a => a.name.startsWith('original.'));
+    if (!archivo) return null;
+
+    const { data, error: descargaError } = await supabase.storage
+        .from('Imagenes')
+        .download(`images/${imagenId}/${archivo.name}`);
+
+    if (descargaError) throw descargaError;
+    return normalizarImagenOriginal(Buffer.from(await data.arrayBuffer()));
+}
+
+// Upload de imágenes. Campo opcional crop (JSON, mismo formato que imageCropData).
+// Responde con el original sin metadatos y las URLs de las variantes; url es la variante large.
+app.post('/api/upload/image', requirePermission('archivos:subir'), upload.single('file'), validar({
+    body: { crop: campo.texto({ max: 1000 }) }
+}), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No se proporcionó archivo' });
+        }
+
+        let recorte = null;
+        if (req.body.crop) {
+            try {
+                recorte = JSON.parse(req.body.crop);
+            } catch (parseError) {
+                return res.status(400).json({ error: 'crop debe ser un JSON válido' });
+            }
+        }
+
+        const original = await normalizarImagenOriginal(req.file.buffer);
+        const generadas = await generarVariantesImagen(original, recorte);
+
+        const imagenId = crypto.randomUUID();
+        const originalUrl = await subirArchivoImagen(
+            `images/${imagenId}/original.${original.tipo.ext}`,
+            original.data,
+            original.tipo.mime
+        );
+        const variantes = await subirVariantesImagen(imagenId, generadas);
+
+        res.json({ 
+            success: true, 
+            url: variantes.large,
+            id: imagenId,
+            original: originalUrl,
+            variantes,
+            formato: original.tipo.formato,
+            ancho: original.ancho,
+            alto: original.alto,
+            recorte: generadas.recorte
+        });
+    } catch (error) {
+        console.error('Error subiendo imagen:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Aplicar en el servidor los recortes de IMAGENES.imageCropData (por índice o URL
+// de la imagen) y guardar las URLs resultantes en IMAGENES.imageVariants
+app.post('/api/pcs/:id/imagenes/recortes', requirePermission('productos:escribir'), validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) }
+}), async (req, res) => {
+    try {
+        const producto = await getVersionEntidad('producto', req.params.id);
+        if (!producto) throw httpError('Producto no encontrado', 404);
+
+        const imagenes = producto.IMAGENES || {};
+        const urls = imagenes.images || [];
+        const recortes = imagenes.imageCropData || {};
+        const imageVariants = [];
+        const resultados = [];
+
+        for (const [indice, url] of urls.entries()) {
+            const match = IMAGEN_URL_REGEX.exec(url || '');
+            const anterior = (imagenes.imageVariants || [])[indice] || null;
+
+            if (!match) {
+                imageVariants.push(anterior);
+                resultados.push({ indice, url, estado: 'omitida', motivo: 'la imagen no se subió con el procesador de imágenes' });
+                continue;
+            }
+
+            const original = await descargarImagenOriginal(match[1]);
+            if (!original) {
+                imageVariants.push(anterior);
+                resultados.push({ indice, url, estado: 'omitida', motivo: 'no se encontró el original' });
+                continue;
+            }
+
+            const recorte = recortes[indice] !== undefined ? recortes[indice] : recortes[url];
+            const generadas = await generarVariantesImagen(original, recorte);
+            imageVariants.push(await subirVariantesImagen(match[1], generadas));
+            resultados.push({ indice, url, estado: generadas.recorte ? 'recortada' : 'sin_recorte', recorte: generadas.recorte });
+        }
+
+        const { data: actualizado, error: updateError } = await supabase
+            .from('Productos')
+            .update({ IMAGENES: { ...imagenes, imageVariants } })
+            .eq('id', producto.id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        await registrarAuditoria({ entidad: 'producto', entidadId: producto.id, accion: 'actualizar', actor: req.staff.email, antes: producto, despues: actualizado });
+        res.json({ IMAGENES: actualizado.IMAGENES, resultados });
+    } catch (error) {
+        console.error('Error aplicando recortes de imágenes:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Contenedores de video aceptados, detectados por sus primeros bytes.
+// Las marcas ftyp de imágenes (AVIF, HEIC) comparten la caja ftyp y se excluyen.
+const FIRMAS_VIDEO = [
+    {
+        contenedor: 'mp4',
+        mimes: ['video/mp4', 'video/quicktime', 'video/x-m4v'],
+        es: (b) => b.subarray(4, 8).toString('ascii') === 'ftyp' &&
+            !['avif', 'avis', 'heic', 'heix', 'mif1', 'msf1'].includes(b.subarray(8, 12).toString('ascii'))
+    },
+    { contenedor: 'webm', mimes: ['video/webm', 'video/x-matroska'], es: (b) => b.readUInt32BE(0) === 0x1a45dfa3 },
+    { contenedor: 'ogg', mimes: ['video/ogg'], es: (b) => b.subarray(0, 4).toString('ascii') === 'OggS' }
+];
+
+const EXTENSIONES_VIDEO = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/x-m4v': 'm4v',
+    'video/webm': 'webm',
+    'video/x-matroska': 'mkv',
+    'video/ogg': 'ogv'
+};
+
+function detectarTipoVideo(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    return FIRMAS_VIDEO.find(f => f.es(buffer)) || null;
+}
+
+// Upload de videos en una sola petición. Obsoleto: el archivo completo queda en
+// memoria, así que solo acepta clips cortos; lo demás va por las subidas reanudables.
+const VIDEO_SIMPLE_MAX_MB = 10;
+const uploadVideoSimple = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: VIDEO_SIMPLE_MAX_MB * 1024 * 1024 }
+});
+
+function recibirVideoSimple(req, res, next) {
+    res.set('Deprecation', 'true');
+    res.set('Link', '</api/upload/video/sesiones>; rel="successor-version"');
+
+    uploadVideoSimple.single('file')(req, res, (error) => {
+        if (error && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `El video supera ${VIDEO_SIMPLE_MAX_MB}MB; usa las subidas reanudables (/api/upload/video/sesiones)`,
+                max_mb: VIDEO_SIMPLE_MAX_MB
+            });
+        }
+        next(error);
+    });
+}
+
+app.post('/api/upload/video', requirePermission('archivos:subir'), recibirVideoSimple, validar(), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No se proporcionó archivo' });
+        }
+
+        const tipo = detectarTipoVideo(req.file.buffer);
+        if (!tipo) {
+            return res.status(400).json({ error: 'El archivo no es un video válido (se aceptan MP4, MOV, WebM, MKV y Ogg)' });
+        }
+
+        const file = req.file;
+        const mime = tipo.mimes.includes(file.mimetype) ? file.mimetype : tipo.mimes[0];
+        const fileName = `${Math.random().toString(36).substring(2)}_${Date.now()}.${EXTENSIONES_VIDEO[mime]}`;
+        const filePath = `videos/${fileName}`;
+
+        const { error: uploadError } = await supabase.storage
+            .from('Imagenes')
+            .upload(filePath, file.buffer, {
+                contentType: mime,
+                cacheControl: '3600',
+                upsert: false
+            });
+
+        if (uploadError) throw uploadError;
+
+        const { data } = supabase.storage
+            .from('Imagenes')
+            .getPublicUrl(filePath);
+
+        res.json({ 
+            success: true, 
+            url: data.publicUrl 
+        });
+    } catch (error) {
+        console.error('Error subiendo video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ---- Subidas reanudables de video ----
+// Protocolo: iniciar sesión -> PUT de cada chunk numerado (cuerpo binario) ->
+// consultar progreso cuando se corta la conexión -> completar. Cada chunk se
+// reenvía en streaming a la subida reanudable (TUS) de Supabase Storage, así que
+// el servidor nunca tiene en memoria más que lo que está en tránsito.
+
+const VIDEO_MAX_BYTES = parseInt(process.env.VIDEO_MAX_MB || '500') * 1024 * 1024;
+// Supabase Storage exige chunks de 6MB en las subidas TUS (salvo el último)
+const VIDEO_CHUNK_BYTES = 6 * 1024 * 1024;
+// Supabase descarta las subidas TUS sin completar pasadas 24 horas
+const SUBIDA_VIDEO_EXPIRA_HORAS = 24;
+const TUS_ENDPOINT = `${process.env.SUPABASE_URL}/storage/v1/upload/resumable`;
+
+function cabecerasTus(extra = {}) {
+    return {
+        authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        apikey: process.env.SUPABASE_ANON_KEY,
+        'Tus-Resumable': '1.0.0',
+        ...extra
+    };
+}
+
+async function errorTus(respuesta, accion) {
+    const detalle = await respuesta.text().catch(() => '');
+    return new Error(`Storage respondió ${respuesta.status} al ${accion}${detalle ? `: ${detalle}` : ''}`);
+}
+
+// Crea la subida TUS y devuelve su URL
+async function crearSubidaTus({ ruta, tamano, mime }) {
+    const metadata = { bucketName: 'Imagenes', objectName: ruta, contentType: mime, cacheControl: '3600' };
+    const respuesta = await fetch(TUS_ENDPOINT, {
+        method: 'POST',
+        headers: cabecerasTus({
+            'Upload-Length': String(tamano),
+            'Upload-Metadata': Object.entries(metadata)
+                .map(([clave, valor]) => `${clave} ${Buffer.from(valor).toString('base64')}`)
+                .join(','),
+            'x-upsert': 'false'
+        })
+    });
+
+    if (respuesta.status !== 201) throw await errorTus(respuesta, 'crear la subida');
+    return new URL(respuesta.headers.get('location'), TUS_ENDPOINT).toString();
+}
+
+// Offset confirmado por Storage, o null si la subida ya no existe
+async function offsetSubidaTus(url) {
+    const respuesta = await fetch(url, { method: 'HEAD', headers: cabecerasTus() });
+    if (respuesta.status === 404 || respuesta.status === 410) return null;
+    if (!respuesta.ok) throw await errorTus(respuesta, 'consultar la subida');
+    return Number(respuesta.headers.get('upload-offset'));
+}
+
+async function enviarChunkTus(url, offset, cuerpo, longitud) {
+    const respuesta = await fetch(url, {
+        method: 'PATCH',
+        headers: cabecerasTus({
+            'Content-Type': 'application/offset+octet-stream',
+            'Content-Length': String(longitud),
+            'Upload-Offset': String(offset)
+        }),
+        body: cuerpo,
+        duplex: 'half'
+    });
+
+    if (respuesta.status === 409) throw httpError('El chunk no coincide con el progreso de la subida; consulta el progreso y reintenta', 409);
+    if (respuesta.status !== 204) throw await errorTus(respuesta, 'enviar el chunk');
+    return Number(respuesta.headers.get('upload-offset'));
+}
+
+async function cancelarSubidaTus(url) {
+    const respuesta = await fetch(url, { method: 'DELETE', headers: cabecerasTus() });
+    if (!respuesta.ok && respuesta.status !== 404 && respuesta.status !== 410) {
+        throw await errorTus(respuesta, 'cancelar la subida');
+    }
+}
+
+// Lee del iterador hasta tener n bytes (o hasta que termine)
+async function leerInicio(iterador, n) {
+    const trozos = [];
+    let total = 0;
+    while (total < n) {
+        const { value, done } = await iterador.next();
+        if (done) break;
+        trozos.push(value);
+        total += value.length;
+    }
+    return Buffer.concat(trozos);
+}
+
+// Reemite lo ya leído y el resto del iterador, descartando los primeros `omitir`
+// bytes (los que Storage ya recibió de un intento anterior cortado a medias)
+async function* cuerpoChunk(inicio, iterador, omitir) {
+    const fuente = (async function* () {
+        if (inicio.length > 0) yield inicio;
+        for (let r = await iterador.next(); !r.done; r = await iterador.next()) yield r.value;
+    })();
+
+    for await (const trozo of fuente) {
+        if (omitir >= trozo.length) {
+            omitir -= trozo.length;
+            continue;
+        }
+        yield omitir > 0 ? trozo.subarray(omitir) : trozo;
+        omitir = 0;
+    }
+}
+
+function tamanoChunkVideo(subida, numero) {
+    return Math.min(subida.tamano_chunk, subida.tamano - numero * subida.tamano_chunk);
+}
+
+function formatearSubidaVideo(subida) {
+    const tamano = Number(subida.tamano);
+    const recibido = Number(subida.recibido);
+    const chunksRecibidos = recibido === tamano
+        ? Math.ceil(tamano / subida.tamano_chunk)
+        : Math.floor(recibido / subida.tamano_chunk);
+
+    return {
+        id: subida.id,
+        estado: subida.estado,
+        nombre: subida.nombre_original,
+        mime: subida.mime,
+        tamano,
+        tamano_chunk: subida.tamano_chunk,
+        total_chunks: Math.ceil(tamano / subida.tamano_chunk),
+        recibido,
+        chunks_recibidos: chunksRecibidos,
+        siguiente_chunk: recibido < tamano ? chunksRecibidos : null,
+        progreso: Math.round((recibido / tamano) * 1000) / 10,
+        expira_en: subida.expira_en,
+        url: subida.estado === 'completada' ? urlArchivoMedia(subida.ruta) : null
+    };
+}
+
+// Sesión de subida; 404 si no existe, 410 si expiró sin completarse
+async function getSubidaVideo(id) {
+    const { data, error } = await supabase
+        .from('subidas_video')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Subida no encontrada', 404);
+    if (data.estado === 'pendiente' && new Date(data.expira_en) < new Date()) {
+        throw httpError('La subida expiró; inicia una nueva', 410);
+    }
+    return data;
+}
+
+async function actualizarSubidaVideo(id, cambios) {
+    const { data, error } = await supabase
+        .from('subidas_video')
+        .update(cambios)
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+// Sincroniza recibido con el offset real de Storage
+async function sincronizarSubidaVideo(subida) {
+    if (subida.estado !== 'pendiente') return subida;
+
+    const offset = await offsetSubidaTus(subida.tus_url);
+    if (offset === null) throw httpError('La subida expiró; inicia una nueva', 410);
+    if (offset === Number(subida.recibido)) return subida;
+    return actualizarSubidaVideo(subida.id, { recibido: offset });
+}
+
+function requireSubidaPendiente(subida) {
+    if (subida.estado !== 'pendiente') {
+        throw httpError(`La subida está ${subida.estado}`, 409, formatearSubidaVideo(subida));
+    }
+}
+
+const subidaVideoParams = { id: campo.uuid({ requerido: true }) };
+
+// Los chunks llegan como binario crudo; con otro Content-Type los parsers de
+// express consumirían el cuerpo antes de reenviarlo
+function requireCuerpoBinario(req, res, next) {
+    if (!req.is('application/octet-stream')) {
+        return res.status(415).json({ error: 'Los chunks deben enviarse con Content-Type: application/octet-stream' });
+    }
+    next();
+}
+
+// Iniciar una subida reanudable
+app.post('/api/upload/video/sesiones', requirePermission('archivos:subir'), validar({
+    body: {
+        nombre: campo.texto({ max: 255 }),
+        tamano: campo.entero({ min: 1, max: VIDEO_MAX_BYTES, requerido: true }),
+        tipo: campo.texto({ enum: Object.keys(EXTENSIONES_VIDEO), requerido: true })
+    }
+}), async (req, res) => {
+    try {
+        const { nombre, tamano, tipo } = req.body;
+        const id = crypto.randomUUID();
+        const ruta = `videos/${id}.${EXTENSIONES_VIDEO[tipo]}`;
+        const tusUrl = await crearSubidaTus({ ruta, tamano, mime: tipo });
+
+        const { data, error } = await supabase
+            .from('subidas_video')
+            .insert({
+                id,
+                ruta,
+                nombre_original: nombre || null,
+                mime: tipo,
+                tamano,
+                tamano_chunk: VIDEO_CHUNK_BYTES,
+                tus_url: tusUrl,
+                creado_por: req.staff.email,
+                expira_en: new Date(Date.now() + SUBIDA_VIDEO_EXPIRA_HORAS * 60 * 60 * 1000).toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.status(201).json(formatearSubidaVideo(data));
+    } catch (error) {
+        console.error('Error iniciando subida de video:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Progreso de una subida (para reanudar desde siguiente_chunk)
+app.get('/api/upload/video/sesiones/:id', requirePermission('archivos:subir'), validar({
+    params: subidaVideoParams
+}), async (req, res) => {
+    try {
+        const subida = await sincronizarSubidaVideo(await getSubidaVideo(req.params.id));
+        res.json(formatearSubidaVideo(subida));
+    } catch (error) {
+        console.error('Error consultando subida de video:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Enviar el chunk número :numero (desde 0) como cuerpo binario
+// (application/octet-stream). Los chunks van en orden; reenviar uno ya
+// recibido no hace nada, y reenviar uno cortado a medias completa lo que falta.
+app.put('/api/upload/video/sesiones/:id/chunks/:numero', requirePermission('archivos:subir'), requireCuerpoBinario, validar({
+    params: { ...subidaVideoParams, numero: campo.entero({ min: 0, requerido: true }) }
+}), async (req, res) => {
+    try {
+        const numero = req.params.numero;
+        const subida = await sincronizarSubidaVideo(await getSubidaVideo(req.params.id));
+        requireSubidaPendiente(subida);
+
+        const totalChunks = Math.ceil(subida.tamano / subida.tamano_chunk);
+        if (numero >= totalChunks) {
+            throw httpError(`La subida tiene ${totalChunks} chunks (0 a ${totalChunks - 1})`, 400);
+        }
+
+        const longitud = tamanoChunkVideo(subida, numero);
+        if (Number(req.headers['content-length']) !== longitud) {
+            throw httpError(`El chunk ${numero} debe medir ${longitud} bytes (Content-Length)`, 400);
+        }
+
+        const inicioChunk = numero * subida.tamano_chunk;
+        const recibido = Number(subida.recibido);
+
+        if (recibido >= inicioChunk + longitud) {
+            req.resume();
+            return res.json(formatearSubidaVideo(subida));
+        }
+        if (recibido < inicioChunk) {
+            throw httpError('Faltan chunks anteriores', 409, formatearSubidaVideo(subida));
+        }
+
+        const iterador = req[Symbol.asyncIterator]();
+        const inicio = await leerInicio(iterador, Math.min(16, longitud));
+
+        // El tipo real se comprueba con el primer chunk
+        if (numero === 0) {
+            const tipo = detectarTipoVideo(inicio);
+            if (!tipo || !tipo.mimes.includes(subida.mime)) {
+                await cancelarSubidaTus(subida.tus_url);
+                await actualizarSubidaVideo(subida.id, { estado: 'cancelada' });
+                throw httpError(`El archivo no es un video ${subida.mime} válido; la subida se canceló`, 400);
+            }
+        }
+
+        const omitir = recibido - inicioChunk;
+        const offset = await enviarChunkTus(
+            subida.tus_url,
+            recibido,
+            cuerpoChunk(inicio, iterador, omitir),
+            longitud - omitir
+        );
+
+        res.json(formatearSubidaVideo(await actualizarSubidaVideo(subida.id, { recibido: offset })));
+    } catch (error) {
+        console.error('Error recibiendo chunk de video:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Completar la subida cuando Storage ya recibió todos los bytes
+app.post('/api/upload/video/sesiones/:id/completar', requirePermission('archivos:subir'), validar({
+    params: subidaVideoParams
+}), async (req, res) => {
+    try {
+        const subida = await sincronizarSubidaVideo(await getSubidaVideo(req.params.id));
+        if (subida.estado === 'completada') {
+            return res.json({ success: true, ...formatearSubidaVideo(subida) });
+        }
+        requireSubidaPendiente(subida);
+
+        if (Number(subida.recibido) < Number(subida.tamano)) {
+            throw httpError('Faltan chunks por subir', 409, formatearSubidaVideo(subida));
+        }
+
+        const completada = await actualizarSubidaVideo(subida.id, {
+            estado: 'completada',
+            completado_en: new Date().toISOString()
+        });
+
+        res.json({ success: true, ...formatearSubidaVideo(completada) });
+    } catch (error) {
+        console.error('Error completando subida de video:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Cancelar una subida pendiente y descartar lo recibido
+app.delete('/api/upload/video/sesiones/:id', requirePermission('archivos:subir'), validar({
+    params: subidaVideoParams
+}), async (req, res) => {
+    try {
+        const subida = await getSubidaVideo(req.params.id);
+        requireSubidaPendiente(subida);
+
+        await cancelarSubidaTus(subida.tus_url);
+        res.json(formatearSubidaVideo(await actualizarSubidaVideo(subida.id, { estado: 'cancelada' })));
+    } catch (error) {
+        console.error('Error cancelando subida de video:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Cancela periódicamente las sesiones que expiraron sin completarse (Storage ya
+// descartó sus bytes)
+setInterval(async () => {
+    const { error } = await supabase
+        .from('subidas_video')
+        .update({ estado: 'cancelada' })
+        .eq('estado', 'pendiente')
+        .lt('expira_en', new Date().toISOString());
+    if (error) console.error('Error cancelando subidas de video expiradas:', error);
+}, 60 * 60 * 1000).unref();
+
+// Obtener productos relacionados
+app.get('/api/pcs/:id/related', validar({
+    params: { id: campo.entero({ min: 1, requerido: true }) },
+    query: { limit: campo.entero({ min: 1, max: 50 }) }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = parseInt(req.query.limit) || 4;
+
+        // Primero obtener el producto para conocer su categoría
+        const { data: product, error: productError } = await supabase
+            .from('Productos')
+            .select('CATEGORIA')
+            .eq('id', id)
+            .single();
+
+        if (productError) throw productError;
+
+        // Obtener productos de la misma categoría
+        const { data, error } = await soloCatalogo(supabase
+            .from('Productos')
+            .select('*'))
+            .eq('CATEGORIA', product.CATEGORIA)
+            .neq('id', id)
+            .limit(limit);
+
+        if (error) throw error;
+        res.json(await preciarProductos(data));
+    } catch (error) {
+        console.error('Error obteniendo productos relacionados:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// BIBLIOTECA DE MEDIOS
+// ============================================
+
+// Los archivos huérfanos más recientes que esto no se eliminan: el panel sube
+// primero el archivo y después guarda el producto que lo referencia.
+const MEDIA_GC_GRACIA_HORAS = parseInt(process.env.MEDIA_GC_GRACIA_HORAS || '24');
+// Cada cuánto se revisa el bucket en busca de huérfanos (0 lo desactiva). Solo informa.
+const MEDIA_GC_INTERVALO_HORAS = parseInt(process.env.MEDIA_GC_INTERVALO_HORAS || '24');
+const TIPOS_MEDIA = ['imagen', 'video'];
+
+function urlArchivoMedia(ruta) {
+    return supabase.storage.from('Imagenes').getPublicUrl(ruta).data.publicUrl;
+}
+
+function formatearAssetMedia(asset) {
+    return {
+        ...asset,
+        archivos: asset.archivos.map(a => ({ ...a, url: urlArchivoMedia(a.ruta) }))
+    };
+}
+
+// Inventario completo del bucket con las referencias de cada asset
+async function getInventarioMedia() {
+    const { data, error } = await supabase.rpc('inventario_media');
+    if (error) throw error;
+    return data || [];
+}
+
+function esHuerfanoMedia(asset, ahora = Date.now()) {
+    return !asset.en_uso &&
+        new Date(asset.creado_en).getTime() <= ahora - MEDIA_GC_GRACIA_HORAS * 60 * 60 * 1000;
+}
+
+function resumenHuerfanosMedia(inventario) {
+    const huerfanos = inventario.filter(a => esHuerfanoMedia(a));
+    return {
+        gracia_horas: MEDIA_GC_GRACIA_HORAS,
+        total: huerfanos.length,
+        tamano_total: huerfanos.reduce((suma, a) => suma + Number(a.tamano || 0), 0),
+        assets: huerfanos.map(formatearAssetMedia)
+    };
+}
+
+// Borra del bucket todos los archivos de los assets indicados
+async function eliminarAssetsMedia(assets) {
+    const rutas = assets.flatMap(a => a.archivos.map(f => f.ruta));
+    for (let i = 0; i < rutas.length; i += 100) {
+        const { error } = await supabase.storage.from('Imagenes').remove(rutas.slice(i, i + 100));
+        if (error) throw error;
+    }
+
+    return {
+        eliminados: assets.map(a => a.asset),
+        archivos: rutas.length,
+        liberado: assets.reduce((suma, a) => suma + Number(a.tamano || 0), 0)
+    };
+}
+
+// Listar assets del bucket con tamaño, tipo y productos, packs o categorías que los usan
+app.get('/api/media', requirePermission('media:gestionar'), validar({
+    query: {
+        ...paginacion(50),
+        tipo: campo.texto({ enum: TIPOS_MEDIA }),
+        en_uso: campo.booleano()
+    }
+}), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+        const { tipo, en_uso } = req.query;
+
+        let query = supabase.rpc('inventario_media', {}, { count: 'exact' });
+        if (tipo) query = query.eq('tipo', tipo);
+        if (en_uso !== undefined) query = query.eq('en_uso', en_uso);
+
+        const { data, error, count } = await query
+            .order('creado_en', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            data: data.map(formatearAssetMedia),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: offset + limit < count
+            }
+        });
+    } catch (error) {
+        console.error('Error listando medios:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Eliminar assets sin uso. Si alguno está referenciado o no existe no se elimina ninguno.
+app.delete('/api/media', requirePermission('media:gestionar'), validar({
+    body: { assets: campo.lista(campo.texto({ max: 500 }), { requerido: true, min: 1, max: 500 }) }
+}), async (req, res) => {
+    try {
+        const solicitados = [...new Set(req.body.assets)];
+        const porAsset = new Map((await getInventarioMedia()).map(a => [a.asset, a]));
+
+        const noEncontrados = solicitados.filter(a => !porAsset.has(a));
+        if (noEncontrados.length > 0) {
+            throw httpError('Algunos assets no existen', 404, { no_encontrados: noEncontrados });
+        }
+
+        const enUso = solicitados.map(a => porAsset.get(a)).filter(a => a.en_uso);
+        if (enUso.length > 0) {
+            throw httpError('Algunos assets están en uso', 409, {
+                en_uso: enUso.map(a => ({ asset: a.asset, productos: a.productos, packs: a.packs, categorias: a.categorias }))
+            });
+        }
+
+        res.json(await eliminarAssetsMedia(solicitados.map(a => porAsset.get(a))));
+    } catch (error) {
+        console.error('Error eliminando medios:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Informe de huérfanos: assets que nadie referencia, con más antigüedad que la gracia
+app.get('/api/media/huerfanos', requirePermission('media:gestionar'), validar(), async (req, res) => {
+    try {
+        res.json(resumenHuerfanosMedia(await getInventarioMedia()));
+    } catch (error) {
+        console.error('Error buscando medios huérfanos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Confirmar la limpieza de un informe de huérfanos. Solo se eliminan los assets
+// indicados que siguen huérfanos; los que entretanto pasaron a usarse se omiten.
+app.post('/api/media/huerfanos/eliminar', requirePermission('media:gestionar'), validar({
+    body: {
+        assets: campo.lista(campo.texto({ max: 500 }), { requerido: true, min: 1, max: 5000 }),
+        confirmar: campo.booleano({ requerido: true })
+    }
+}), async (req, res) => {
+    try {
+        if (req.body.confirmar !== true) {
+            return res.status(400).json({ error: 'Se requiere confirmar: true para eliminar' });
+        }
+
+        const porAsset = new Map((await getInventarioMedia()).map(a => [a.asset, a]));
+        const eliminar = [];
+        const omitidos = [];
+
+        for (const nombre of new Set(req.body.assets)) {
+            const asset = porAsset.get(nombre);
+            if (!asset) {
+                omitidos.push({ asset: nombre, motivo: 'no_existe' });
+            } else if (asset.en_uso) {
+                omitidos.push({ asset: nombre, motivo: 'en_uso' });
+            } else if (!esHuerfanoMedia(asset)) {
+                omitidos.push({ asset: nombre, motivo: 'reciente' });
+            } else {
+                eliminar.push(asset);
+            }
+        }
+
+        const resultado = eliminar.length > 0
+            ? await eliminarAssetsMedia(eliminar)
+            : { eliminados: [], archivos: 0, liberado: 0 };
+
+        res.json({ ...resultado, omitidos });
+    } catch (error) {
+        console.error('Error limpiando medios huérfanos:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Revisión periódica: deja en el log los huérfanos encontrados (no elimina nada)
+if (MEDIA_GC_INTERVALO_HORAS > 0) {
+    setInterval(async () => {
+        try {
+            const { total, tamano_total } = resumenHuerfanosMedia(await getInventarioMedia());
+            if (total > 0) {
+                console.log(`Biblioteca de medios: ${total} asset(s) huérfano(s), ${tamano_total} bytes. Revisar GET /api/media/huerfanos`);
+            }
+        } catch (error) {
+            console.error('Error revisando medios huérfanos:', error);
+        }
+    }, MEDIA_GC_INTERVALO_HORAS * 60 * 60 * 1000).unref();
+}
+
+// ============================================
+// RUTAS DE GESTIÓN DE POSICIONES
+// ============================================
+
+// Actualizar posiciones masivamente
+app.put('/api/pcs/positions', requirePermission('posiciones:escribir'), validar({
+    body: {
+        positions: campo.lista(campo.objeto({
+            id: campo.entero({ requerido: true, min: 1 }),
+            POSICION: campo.entero({ requerido: true, min: 0 })
+        }), { requerido: true, max: 1000 })
+    }
+}), async (req, res) => {
+    try {
+        const { positions } = req.body; // Array de { id, POSICION }
+
+        if (!Array.isArray(positions)) {
+            return res.status(400).json({ error: 'Se requiere un array de posiciones' });
+        }
+
+        await actualizarPosicionesProductos(positions, req.staff.email);
+
+        res.json({ 
+            success: true, 
+            message: 'Posiciones actualizadas correctamente' 
+        });
+    } catch (error) {
+        console.error('Error actualizando posiciones:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RUTAS DE CONTACTO
+// ============================================
+
+// Minutos en que un mismo email + mensaje se considera duplicado
+const CONTACTO_DUPLICADO_MINUTOS = parseInt(process.env.CONTACTO_DUPLICADO_MINUTOS || '10');
+
+// Campo oculto del formulario: los humanos lo dejan vacío, los bots lo llenan
+const CONTACTO_HONEYPOT = 'website';
+
+const ESTADOS_MENSAJE_CONTACTO = ['nuevo', 'en_proceso', 'respondido', 'archivado', 'spam'];
+
+// Huella del mensaje para detectar envíos repetidos (doble clic, reintentos, bots)
+function huellaMensajeContacto(email, message) {
+    const normalizado = `${email.trim().toLowerCase()}|${message.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    return crypto.createHash('sha256').update(normalizado).digest('hex');
+}
+
+// Enviar mensaje de contacto
+app.post('/api/contact', [
+    rateLimit('contacto-ip', RATE_LIMITS.contacto_ip, porIp),
+    rateLimit('contacto-email', RATE_LIMITS.contacto_email, porEmail)
+], validar({
+    body: {
+        name: campo.texto({ requerido: true, max: 120 }),
+        email: campo.email({ requerido: true }),
+        phone: campo.texto({ max: 30, nulo: true }),
+        service: campo.texto({ max: 100, nulo: true }),
+        message: campo.texto({ requerido: true, max: 5000 }),
+        [CONTACTO_HONEYPOT]: campo.texto({ nulo: true })
+    }
+}), async (req, res) => {
+    try {
+        const { name, email, phone, service, message } = req.body;
+
+        // Generar URL de WhatsApp como fallback
+        const buildWhatsappUrl = () => {
+            const whatsappMessage = `Nuevo contacto web:\n\nNombre: ${name}\nEmail: ${email}\nTeléfono: ${phone || 'N/A'}\nServicio: ${service || 'N/A'}\nMensaje: ${message}`;
+            return `https://wa.me/56989142836?text=${encodeURIComponent(whatsappMessage)}`;
+        };
+
+        // Honeypot: responder como si todo saliera bien, sin guardar ni enviar nada
+        if (req.body[CONTACTO_HONEYPOT]) {
+            console.warn('📧 Mensaje de contacto descartado por honeypot');
+            return res.json({
+                success: true,
+                message: 'Mensaje recibido correctamente',
+                whatsappUrl: buildWhatsappUrl(),
+            });
+        }
+
+        // Validación básica
+        if (!name || !email || !message) {
+            return res.status(400).json({ 
+                error: 'Faltan campos requeridos: nombre, email y mensaje son obligatorios' 
+            });
+        }
+
+        // Validar formato de email
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Email inválido' });
+        }
+
+        const huella = huellaMensajeContacto(email, message);
+        const desde = new Date(Date.now() - CONTACTO_DUPLICADO_MINUTOS * 60 * 1000).toISOString();
+
+        const { data: duplicados, error: dupError } = await supabase
+            .from('mensajes_contacto')
+            .select('id')
+            .eq('huella', huella)
+            .gte('creado_en', desde)
+            .limit(1);
+
+        if (dupError) throw dupError;
+
+        // Duplicado reciente: no se guarda ni se vuelve a notificar
+        if (duplicados && duplicados.length > 0) {
+            return res.json({
+                success: true,
+                message: 'Mensaje recibido correctamente',
+                duplicado: true,
+                whatsappUrl: buildWhatsappUrl(),
+            });
+        }
+
+        const { data: mensaje, error } = await supabase
+            .from('mensajes_contacto')
+            .insert([{
+                nombre: name,
+                email: email.trim().toLowerCase(),
+                telefono: phone || null,
+                servicio: service || null,
+                mensaje: message,
+                estado: 'nuevo',
+                huella,
+                ip: req.ip,
+                user_agent: req.headers['user-agent'] || null
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Aviso interno al equipo y acuse de recibo al remitente
+        await encolarEmail('contacto_interno', process.env.CONTACT_EMAIL || 'contacto@pcsystems.cl',
+            { name, email, phone, service, message }, { replyTo: email });
+        await encolarEmail('contacto_respuesta_automatica', email, { nombre: name, mensaje: message });
+
+        res.json({
+            success: true,
+            message: 'Mensaje recibido correctamente',
+            id: mensaje.id,
+            whatsappUrl: buildWhatsappUrl(),
+        });
+
+    } catch (error) {
+        console.error('Error en API de contacto:', error);
+        res.status(500).json({
+            error: 'Error al procesar el mensaje',
+            details: error.message,
+        });
+    }
+});
+
+// ============================================
+// BANDEJA DE MENSAJES DE CONTACTO
+// ============================================
+
+async function getMensajeContacto(id) {
+    const { data, error } = await supabase
+        .from('mensajes_contacto')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Mensaje no encontrado', 404);
+    return data;
+}
+
+// Listar mensajes (filtros: estado, servicio, asignado_a; asignado_a=me para los propios)
+app.get('/api/contacto/mensajes', requirePermission('contacto:gestionar'), validar({
+    query: {
+        ...paginacion(),
+        estado: campo.texto({ enum: ESTADOS_MENSAJE_CONTACTO }),
+        servicio: campo.texto({ max: 100 }),
+        asignado_a: campo.texto({ max: 254 })
+    }
+}), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+        const { estado, servicio, asignado_a } = req.query;
+
+        let query = supabase
+            .from('mensajes_contacto')
+            .select('*', { count: 'exact' });
+
+        if (estado) {
+            query = query.eq('estado', estado);
+        } else {
+            // Por defecto no se muestra el spam
+            query = query.neq('estado', 'spam');
+        }
+        if (servicio) query = query.eq('servicio', servicio);
+        if (asignado_a) query = query.eq('asignado_a', asignado_a === 'me' ? req.staff.email : asignado_a);
+
+        const { data, error, count } = await query
+            .order('creado_en', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            data,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: offset + limit < count
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo mensajes de contacto:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ver un mensaje con sus respuestas
+app.get('/api/contacto/mensajes/:id', requirePermission('contacto:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
+    try {
+        const mensaje = await getMensajeContacto(req.params.id);
+
+        const { data: respuestas, error } = await supabase
+            .from('respuestas_contacto')
+            .select('*')
+            .eq('mensaje_id', mensaje.id)
+            .order('creado_en', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ ...mensaje, respuestas });
+    } catch (error) {
+        console.error('Error obteniendo mensaje de contacto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Asignar mensaje a un miembro del staff (por email; sin body se asigna a quien lo pide, null desasigna)
+app.put('/api/contacto/mensajes/:id/asignar', requirePermission('contacto:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: { asignado_a: campo.email({ nulo: true }) }
+}), async (req, res) => {
+    try {
+        const mensaje = await getMensajeContacto(req.params.id);
+        const asignado_a = req.body.asignado_a === undefined ? req.staff.email : req.body.asignado_a;
+
+        const updateData = { asignado_a, actualizado_en: new Date().toISOString() };
+        if (asignado_a && mensaje.estado === 'nuevo') updateData.estado = 'en_proceso';
+
+        const { data, error } = await supabase
+            .from('mensajes_contacto')
+            .update(updateData)
+            .eq('id', mensaje.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        console.error('Error asignando mensaje de contacto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Cambiar estado (nuevo, en_proceso, respondido, archivado, spam)
+app.put('/api/contacto/mensajes/:id/estado', requirePermission('contacto:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: { estado: campo.texto({ requerido: true, enum: ESTADOS_MENSAJE_CONTACTO }) }
+}), async (req, res) => {
+    try {
+        const { estado } = req.body;
+
+        if (!ESTADOS_MENSAJE_CONTACTO.includes(estado)) {
+            return res.status(400).json({ error: 'Estado inválido', estados: ESTADOS_MENSAJE_CONTACTO });
+        }
+
+        const mensaje = await getMensajeContacto(req.params.id);
+
+        const updateData = { estado, actualizado_en: new Date().toISOString() };
+        if (estado === 'respondido' && !mensaje.respondido_en) updateData.respondido_en = updateData.actualizado_en;
+
+        const { data, error } = await supabase
+            .from('mensajes_contacto')
+            .update(updateData)
+            .eq('id', mensaje.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        console.error('Error actualizando estado del mensaje de contacto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Responder al remitente por email; el mensaje queda como respondido
+app.post('/api/contacto/mensajes/:id/responder', requirePermission('contacto:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: { respuesta: campo.texto({ requerido: true, max: 10000 }) }
+}), async (req, res) => {
+    try {
+        const { respuesta } = req.body;
+
+        if (!respuesta || !respuesta.trim()) {
+            return res.status(400).json({ error: 'respuesta es requerida' });
+        }
+
+        const mensaje = await getMensajeContacto(req.params.id);
+
+        const email = await encolarEmail('contacto_respuesta', mensaje.email, {
+            nombre: mensaje.nombre,
+            respuesta,
+            mensaje_original: mensaje.mensaje
+        }, { replyTo: process.env.CONTACT_EMAIL || 'contacto@pcsystems.cl' });
+
+        if (!email) {
+            throw httpError('No se pudo encolar el email de respuesta', 502);
+        }
+
+        const { data: registro, error: respError } = await supabase
+            .from('respuestas_contacto')
+            .insert([{
+                mensaje_id: mensaje.id,
+                autor: req.staff.email,
+                respuesta,
+                email_id: email.id
+            }])
+            .select()
+            .single();
+
+        if (respError) throw respError;
+
+        const ahora = new Date().toISOString();
+        const { data: actualizado, error } = await supabase
+            .from('mensajes_contacto')
+            .update({
+                estado: 'respondido',
+                respondido_en: ahora,
+                actualizado_en: ahora,
+                asignado_a: mensaje.asignado_a || req.staff.email
+            })
+            .eq('id', mensaje.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({ mensaje: actualizado, respuesta: registro });
+    } catch (error) {
+        console.error('Error respondiendo mensaje de contacto:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// ============================================
+// RUTAS DE EMAILS (outbox)
+// ============================================
+
+// Listar emails del outbox (filtrar por estado: pendiente, enviando, enviado, fallido)
+app.get('/api/emails', requirePermission('emails:gestionar'), validar({
+    query: {
+        ...paginacion(),
+        estado: campo.texto({ enum: ['pendiente', 'enviando', 'enviado', 'fallido'] }),
+        plantilla: campo.texto({ enum: Object.keys(EMAIL_TEMPLATES) })
+    }
+}), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('emails_outbox')
+            .select('id, plantilla, destinatario, asunto, estado, intentos, proximo_intento_en, ultimo_error, enviado_en, creado_en', { count: 'exact' });
+
+        if (req.query.estado) query = query.eq('estado', req.query.estado);
+        if (req.query.plantilla) query = query.eq('plantilla', req.query.plantilla);
+
+        const { data, error, count } = await query
+            .order('creado_en', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            data,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: offset + limit < count
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo emails:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reintentar ahora un email fallido o pendiente
+app.post('/api/emails/:id/reintentar', requirePermission('emails:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('emails_outbox')
+            .update({ estado: 'pendiente', intentos: 0, proximo_intento_en: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .in('estado', ['pendiente', 'fallido'])
+            .select();
+
+        if (error) throw error;
+
+        if (!data || data.length === 0) {
+            return res.status(409).json({ error: 'El email no existe o ya fue enviado' });
+        }
+
+        setImmediate(procesarOutbox);
+        res.json(data[0]);
+    } catch (error) {
+        console.error('Error reintentando email:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RUTAS DE ESTADÍSTICAS
+// ============================================
+
+// ============================================
+// RUTAS DE CUENTAS DE CLIENTES
+// ============================================
+
+// Registro de cliente
+app.post('/api/clientes/registro', validar({
+    body: {
+        nombre: campo.texto({ requerido: true, max: 120 }),
+        email: campo.email({ requerido: true }),
+        password: campo.texto({ requerido: true, min: 8, max: 72 }),
+        telefono: campo.texto({ max: 30, nulo: true }),
+        direccion: campo.texto({ max: 300, nulo: true })
+    }
+}), async (req, res) => {
+    try {
+        const { nombre, email, password, telefono, direccion } = req.body;
+
+        if (!nombre || !email || !password) {
+            return res.status(400).json({ error: 'nombre, email y password son requeridos' });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Email inválido' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'La contraseña debe tener al menos 8 caracteres' });
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+
+        const { data: existing, error: existingError } = await supabase
+            .from('clientes')
+            .select('id, password_hash')
+            .eq('email', normalizedEmail)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+
+        if (existing && existing.password_hash) {
+            return res.status(409).json({ error: 'Ya existe una cuenta con este email' });
+        }
+
+        // Un cliente creado sin cuenta (p. ej. en una compra previa) solo puede
+        // reclamarla demostrando que controla el email: con el enlace de recuperación
+        if (existing) {
+            return res.status(409).json({
+                error: 'Este email ya tiene compras registradas; activa tu cuenta con la recuperación de contraseña',
+                accion: 'recuperar_password'
+            });
+        }
+
+        const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        const clienteData = {
+            nombre,
+            email: normalizedEmail,
+            telefono: telefono || null,
+            direccion: direccion || null,
+            password_hash
+        };
+
+        const { data, error } = await supabase
+            .from('clientes')
+            .insert([clienteData])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({
+            success: true,
+            token: signClienteToken(data),
+            cliente: sanitizeCliente(data)
+        });
+    } catch (error) {
+        console.error('Error registrando cliente:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Login de cliente
+app.post('/api/clientes/login', limitarLogin('cliente'), validar({
+    body: { email: campo.email({ requerido: true }), password: campo.texto({ requerido: true, max: 200 }) }
+}), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email y contraseña requeridos' });
+        }
+
+        const { data: cliente, error } = await supabase
+            .from('clientes')
+            .select('*')
+            .eq('email', email.trim().toLowerCase())
+            .maybeSingle();
+
+        if (error) throw error;
+
+        const valid = cliente && cliente.password_hash
+            ? await bcrypt.compare(password, cliente.password_hash)
+            : false;
+
+        if (!valid) {
+            await registrarFalloLogin('cliente', email);
+            return res.status(401).json({ error: 'Email o contraseña incorrectos' });
+        }
+
+        await limpiarFallosLogin('cliente', email);
+
+        res.json({
+            success: true,
+            token: signClienteToken(cliente),
+            cliente: sanitizeCliente(cliente)
+        });
+    } catch (error) {
+        console.error('Error en login de cliente:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ver perfil del cliente autenticado
+app.get('/api/clientes/perfil', requireCliente, validar(), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('clientes')
+            .select('*')
+            .eq('id', req.cliente.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Cliente no encontrado' });
+
+        res.json(sanitizeCliente(data));
+    } catch (error) {
+        console.error('Error obteniendo perfil:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Actualizar perfil del cliente autenticado
+app.put('/api/clientes/perfil', requireCliente, validar({
+    body: {
+        nombre: campo.texto({ max: 120 }),
+        telefono: campo.texto({ max: 30, nulo: true }),
+        direccion: campo.texto({ max: 300, nulo: true })
+    }
+}), async (req, res) => {
+    try {
+        const { nombre, telefono, direccion } = req.body;
+
+        const updateData = {};
+        if (nombre !== undefined) updateData.nombre = nombre;
+        if (telefono !== undefined) updateData.telefono = telefono;
+        if (direccion !== undefined) updateData.direccion = direccion;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ error: 'No hay campos para actualizar' });
+        }
+
+        const { data, error } = await supabase
+            .from('clientes')
+            .update(updateData)
+            .eq('id', req.cliente.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.json(sanitizeCliente(data));
+    } catch (error) {
+        console.error('Error actualizando perfil:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cambiar contraseña del cliente autenticado
+app.put('/api/clientes/perfil/password', requireCliente, validar({
+    body: {
+        password_actual: campo.texto({ requerido: true, max: 200 }),
+        password_nueva: campo.texto({ requerido: true, min: 8, max: 72 })
+    }
+}), async (req, res) => {
+    try {
+        const { password_actual, password_nueva } = req.body;
+
+        if (!password_actual || !password_nueva) {
+            return res.status(400).json({ error: 'password_actual y password_nueva son requeridos' });
+        }
+
+        if (password_nueva.length < 8) {
+            return res.status(400).json({ error: 'La contraseña debe tener al menos 8 caracteres' });
+        }
+
+        const { data: cliente, error: clienteError } = await supabase
+            .from('clientes')
+            .select('id, password_hash')
+            .eq('id', req.cliente.id)
+            .single();
+
+        if (clienteError) throw clienteError;
+
+        const valid = await bcrypt.compare(password_actual, cliente.password_hash || '');
+        if (!valid) {
+            return res.status(401).json({ error: 'La contraseña actual es incorrecta' });
+        }
+
+        const password_hash = await bcrypt.hash(password_nueva, BCRYPT_ROUNDS);
+        const { error } = await supabase
+            .from('clientes')
+            .update({ password_hash })
+            .eq('id', req.cliente.id);
+
+        if (error) throw error;
+        res.json({ success: true, message: 'Contraseña actualizada' });
+    } catch (error) {
+        console.error('Error cambiando contraseña:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Minutos de validez del enlace para restablecer la contraseña
+const RESET_PASSWORD_MINUTOS = parseInt(process.env.RESET_PASSWORD_MINUTOS || '60');
+
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Solicitar enlace para restablecer la contraseña.
+// Responde lo mismo exista o no la cuenta, para no revelar qué emails están registrados.
+app.post('/api/clientes/recuperar-password', [
+    rateLimit('password-reset-ip', RATE_LIMITS.password_reset_ip, porIp),
+    rateLimit('password-reset-email', RATE_LIMITS.password_reset_email, porEmail)
+], validar({ body: { email: campo.email({ requerido: true }) } }), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email es requerido' });
+        }
+
+        const { data: cliente, error } = await supabase
+            .from('clientes')
+            .select('id, nombre, email, password_hash')
+            .eq('email', email.trim().toLowerCase())
+            .maybeSingle();
+
+        if (error) throw error;
+
+        // También para clientes sin contraseña: así activan la cuenta creada en una compra
+        if (cliente) {
+            const token = crypto.randomBytes(32).toString('hex');
+            const expira = new Date(Date.now() + RESET_PASSWORD_MINUTOS * 60 * 1000);
+
+            const { error: updateError } = await supabase
+                .from('clientes')
+                .update({ reset_token_hash: hashResetToken(token), reset_token_expira_en: expira.toISOString() })
+                .eq('id', cliente.id);
+
+            if (updateError) throw updateError;
+
+            await encolarEmail('recuperar_password', cliente.email, {
+                nombre: cliente.nombre,
+                url: `${FRONTEND_URL}/restablecer-password?token=${token}`,
+                minutos: RESET_PASSWORD_MINUTOS
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+        });
+    } catch (error) {
+        console.error('Error solicitando recuperación de contraseña:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Restablecer la contraseña con el token recibido por email (un solo uso)
+app.post('/api/clientes/restablecer-password', rateLimit('password-reset-ip', RATE_LIMITS.password_reset_ip, porIp), validar({
+    body: {
+        token: campo.texto({ requerido: true, patron: /^[0-9a-f]{64}$/ }),
+        password: campo.texto({ requerido: true, min: 8, max: 72 })
+    }
+}), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'token y password son requeridos' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'La contraseña debe tener al menos 8 caracteres' });
+        }
+
+        const reset_token_hash = hashResetToken(token);
+        const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+        // Condicionado al token vigente: dos usos simultáneos no pueden ganar ambos
+        const { data, error } = await supabase
+            .from('clientes')
+            .update({ password_hash, reset_token_hash: null, reset_token_expira_en: null })
+            .eq('reset_token_hash', reset_token_hash)
+            .gt('reset_token_expira_en', new Date().toISOString())
+            .select();
+
+        if (error) throw error;
+
+        if (!data || data.length === 0) {
+            return res.status(400).json({ error: 'El enlace es inválido o expiró' });
+        }
+
+        res.json({
+            success: true,
+            token: signClienteToken(data[0]),
+            cliente: sanitizeCliente(data[0])
+        });
+    } catch (error) {
+        console.error('Error restableciendo contraseña:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RESERVAS DE STOCK
+// ============================================
+
+// Minutos que el stock queda reservado mientras se confirma el pago
+const RESERVA_STOCK_MINUTOS = parseInt(process.env.RESERVA_STOCK_MINUTOS || '15');
+
+// Reserva (descuenta) el stock de los items del carrito de forma atómica.
+// Lanza un error con status 409 si algún producto no tiene stock suficiente.
+async function reservarStock(carritoId) {
+    const { data, error } = await supabase.rpc('reservar_stock', {
+        p_carrito_id: carritoId,
+        p_minutos: RESERVA_STOCK_MINUTOS
+    });
+
+    if (error) {
+        const archivado = /PRODUCTO_NO_DISPONIBLE:(\d+)/.exec(error.message || '');
+        if (archivado) {
+            throw httpError('Un producto del carrito ya no está disponible', 409, { producto_id: parseInt(archivado[1]) });
+        }
+
+        const match = /STOCK_INSUFICIENTE:(\d+)(?::([0-9a-f-]{36}))?/.exec(error.message || '');
+        if (match) {
+            throw httpError('Stock insuficiente para completar la compra', 409, {
+                producto_id: parseInt(match[1]),
+                ...(match[2] && { variante_id: match[2] })
+            });
+        }
+        throw error;
+    }
+
+    return data || [];
+}
+
+async function liberarReservas(carritoId) {
+    const { error } = await supabase.rpc('liberar_reservas', { p_carrito_id: carritoId });
+    if (error) throw error;
+}
+
+// Confirma las reservas del carrito (suma NUM_VENTAS). Si la reserva ya expiró
+// o se liberó intenta reservar de nuevo antes de confirmar; si ya estaba
+// confirmada (otro proceso confirmó el mismo pago) no se descuenta dos veces.
+async function confirmarReservas(carritoId) {
+    let { error } = await supabase.rpc('confirmar_reservas', { p_carrito_id: carritoId });
+
+    if (error && /RESERVA_NO_ACTIVA/.test(error.message || '')) {
+        const { count, error: countError } = await supabase
+            .from('reservas_stock')
+            .select('id', { count: 'exact', head: true })
+            .eq('carrito_id', carritoId)
+            .eq('estado', 'confirmada');
+
+        if (countError) throw countError;
+        if (count > 0) return;
+
+        await reservarStock(carritoId);
+        ({ error } = await supabase.rpc('confirmar_reservas', { p_carrito_id: carritoId }));
+    }
+
+    if (error) throw error;
+}
+
+async function tieneReservaActiva(carritoId) {
+    const { count, error } = await supabase
+        .from('reservas_stock')
+        .select('id', { count: 'exact', head: true })
+        .eq('carrito_id', carritoId)
+        .eq('estado', 'activa')
+        .gt('expira_en', new Date().toISOString());
+
+    if (error) throw error;
+    return count > 0;
+}
+
+// Marca como rechazado el pago de un checkout que falló a mitad. El error original
+// es el que se informa al cliente; un fallo aquí solo se deja en el log.
+async function rechazarPagoFallido(pagoId) {
+    const { error } = await supabase
+        .from('pagos')
+        .update({ estado: 'rechazado' })
+        .eq('id', pagoId)
+        .eq('estado', 'pendiente');
+
+    if (error) console.error(`Error rechazando el pago ${pagoId}:`, error);
+}
+
+// Un checkout reclama el carrito (checkout_en_curso_desde) mientras rechaza el pago
+// anterior, reserva stock y crea el nuevo pago. La marca vence sola por si el
+// proceso muere a mitad.
+const CHECKOUT_BLOQUEO_MS = 2 * 60 * 1000;
+
+function checkoutEnCurso(cart) {
+    return Boolean(cart.checkout_en_curso_desde) &&
+        new Date(cart.checkout_en_curso_desde).getTime() > Date.now() - CHECKOUT_BLOQUEO_MS;
+}
+
+// Reclama el carrito para un checkout; devuelve la marca o null si otro está en curso
+async function reclamarCheckout(carritoId) {
+    const marca = new Date().toISOString();
+    const vencida = new Date(Date.now() - CHECKOUT_BLOQUEO_MS).toISOString();
+
+    const { data, error } = await supabase
+        .from('carritos')
+        .update({ checkout_en_curso_desde: marca })
+        .eq('id', carritoId)
+        .eq('estado', 'pendiente')
+        .or(`checkout_en_curso_desde.is.null,checkout_en_curso_desde.lt."${vencida}"`)
+        .select('id');
+
+    if (error) throw error;
+    return data && data.length > 0 ? marca : null;
+}
+
+async function liberarCheckout(carritoId, marca) {
+    const { error } = await supabase
+        .from('carritos')
+        .update({ checkout_en_curso_desde: null })
+        .eq('id', carritoId)
+        .eq('checkout_en_curso_desde', marca);
+
+    if (error) console.error(`Error liberando el checkout del carrito ${carritoId}:`, error);
+}
+
+// Solo se pueden modificar carritos pendientes sin un checkout en curso
+async function requireEditableCart(req, res, next) {
+    try {
+        if (req.cart.estado !== 'pendiente') {
+            return res.status(409).json({ error: `El carrito está ${req.cart.estado} y no se puede modificar` });
+        }
+        if (checkoutEnCurso(req.cart)) {
+            return res.status(409).json({ error: 'El carrito tiene un checkout en curso; intenta en unos segundos' });
+        }
+        if (await tieneReservaActiva(req.cart.id)) {
+            return res.status(409).json({
+                error: 'El carrito tiene un pago en curso; espera su confirmación o que expire la reserva'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Error verificando carrito:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Devuelve periódicamente al catálogo el stock de reservas vencidas
+setInterval(async () => {
+    const { error } = await supabase.rpc('liberar_reservas_expiradas');
+    if (error) console.error('Error liberando reservas expiradas:', error);
+}, 60 * 1000).unref();
+
+// ============================================
+// TARIFAS Y COTIZACIÓN DE ENVÍOS
+// ============================================
+
+const REGIONES_CHILE = [
+    'Arica y Parinacota',
+    'Tarapacá',
+    'Antofagasta',
+    'Atacama',
+    'Coquimbo',
+    'Valparaíso',
+    'Metropolitana de Santiago',
+    "Libertador General Bernardo O'Higgins",
+    'Maule',
+    'Ñuble',
+    'Biobío',
+    'La Araucanía',
+    'Los Ríos',
+    'Los Lagos',
+    'Aysén del General Carlos Ibáñez del Campo',
+    'Magallanes y de la Antártica Chilena'
+];
+
+// Peso que se asume para productos sin PESO_KG
+const ENVIO_PESO_DEFAULT_KG = parseFloat(process.env.ENVIO_PESO_DEFAULT_KG || '1');
+
+// Minúsculas y sin tildes, para comparar nombres de regiones y comunas
+function normalizarTexto(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+// Nombre oficial de la región, aceptando variaciones de tildes y mayúsculas
+function resolverRegion(region) {
+    const buscada = normalizarTexto(region);
+    return REGIONES_CHILE.find(r => normalizarTexto(r) === buscada) || null;
+}
+
+// Peso total (kg) de las líneas de un carrito, incluyendo componentes de packs
+function pesoCarrito(lineas) {
+    const productsMap = productosDeLineas(lineas);
+    const unidades = unidadesPorProducto(lineas);
+
+    const peso = Object.entries(unidades).reduce((sum, [productoId, cantidad]) => {
+        const producto = productsMap[productoId];
+        const pesoUnitario = producto && producto.PESO_KG != null
+            ? Number(producto.PESO_KG)
+            : ENVIO_PESO_DEFAULT_KG;
+        return sum + pesoUnitario * cantidad;
+    }, 0);
+
+    return Math.round(peso * 1000) / 1000;
+}
+
+// Opciones de envío para las líneas de un carrito con destino region/comuna.
+// Por courier se usa la tarifa más específica (comuna antes que región completa)
+// cuyo tramo de peso incluye el peso del carrito. El envío es gratis si el
+// subtotal, descontado el cupón, alcanza envio_gratis_desde de la tarifa.
+async function cotizarEnvio(lineas, { region, comuna }, { descuento = 0 } = {}) {
+    const regionOficial = resolverRegion(region);
+    if (!regionOficial) {
+        throw httpError('Región desconocida', 400, { regiones: REGIONES_CHILE });
+    }
+    if (!comuna) {
+        throw httpError('comuna es requerida', 400);
+    }
+
+    const subtotal = lineas.reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+    const peso_kg = pesoCarrito(lineas);
+    const comunaNormalizada = normalizarTexto(comuna);
+
+    const { data: tarifas, error } = await supabase
+        .from('tarifas_envio')
+        .select('*')
+        .eq('region', regionOficial)
+        .eq('activo', true);
+
+    if (error) throw error;
+
+    const porCourier = {};
+    (tarifas || [])
+        .filter(t => !t.comuna || normalizarTexto(t.comuna) === comunaNormalizada)
+        .filter(t => peso_kg >= (Number(t.peso_min_kg) || 0) &&
+            (t.peso_max_kg == null || peso_kg <= Number(t.peso_max_kg)))
+        .forEach(t => {
+            const actual = porCourier[t.courier];
+            if (!actual || (t.comuna && !actual.comuna)) porCourier[t.courier] = t;
+        });
+
+    const opciones = Object.values(porCourier)
+        .map(t => {
+            const gratis = t.envio_gratis_desde != null && subtotal - descuento >= t.envio_gratis_desde;
+            return {
+                tarifa_id: t.id,
+                courier: t.courier,
+                precio: gratis ? 0 : t.precio,
+                precio_lista: t.precio,
+                gratis,
+                dias_min: t.dias_min,
+                dias_max: t.dias_max
+            };
+        })
+        .sort((a, b) => a.precio - b.precio);
+
+    return { region: regionOficial, comuna, peso_kg, subtotal, opciones };
+}
+
+function tarifaCampos({ crear = false } = {}) {
+    return {
+        courier: campo.texto({ requerido: crear, max: 100 }),
+        region: campo.texto({ requerido: crear, max: 100 }),
+        comuna: campo.texto({ max: 100, nulo: true }),
+        peso_min_kg: campo.numero({ min: 0 }),
+        peso_max_kg: campo.numero({ min: 0, nulo: true }),
+        precio: campo.entero({ requerido: crear, min: 0 }),
+        dias_min: campo.entero({ min: 0, nulo: true }),
+        dias_max: campo.entero({ min: 0, nulo: true }),
+        envio_gratis_desde: campo.entero({ min: 0, nulo: true }),
+        activo: campo.booleano()
+    };
+}
+
+const reglasTarifa = combinarReglas(
+    reglaRango('body', 'peso_min_kg', 'peso_max_kg', 'debe ser mayor o igual a peso_min_kg'),
+    reglaRango('body', 'dias_min', 'dias_max', 'debe ser mayor o igual a dias_min')
+);
+
+function pickTarifaFields(body) {
+    const campos = [
+        'courier', 'region', 'comuna', 'peso_min_kg', 'peso_max_kg', 'precio',
+        'dias_min', 'dias_max', 'envio_gratis_desde', 'activo'
+    ];
+    const data = {};
+    campos.forEach(c => {
+        if (body[c] !== undefined) data[c] = body[c];
+    });
+    return data;
+}
+
+// Regiones disponibles para el despacho
+app.get('/api/envios/regiones', validar(), (req, res) => {
+    res.json(REGIONES_CHILE);
+});
+
+// Listar tarifas de envío
+app.get('/api/tarifas-envio', requirePermission('envios:gestionar'), validar({
+    query: { region: campo.texto({ max: 100 }), courier: campo.texto({ max: 100 }) }
+}), async (req, res) => {
+    try {
+        const { region, courier } = req.query;
+
+        let query = supabase.from('tarifas_envio').select('*');
+        if (region) query = query.eq('region', resolverRegion(region) || region);
+        if (courier) query = query.eq('courier', courier);
+
+        const { data, error } = await query
+            .order('region', { ascending: true })
+            .order('courier', { ascending: true })
+            .order('peso_min_kg', { ascending: true });
+
+        if (error) throw error;
+        res.json(data || []);
+    } catch (error) {
+        console.error('Error obteniendo tarifas de envío:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Crear tarifa de envío
+app.post('/api/tarifas-envio', requirePermission('envios:gestionar'), validar({
+    body: tarifaCampos({ crear: true }),
+    reglas: reglasTarifa
+}), async (req, res) => {
+    try {
+        const tarifa = pickTarifaFields(req.body);
+
+        if (!tarifa.courier || !tarifa.region || tarifa.precio === undefined) {
+            return res.status(400).json({ error: 'Faltan datos requeridos (courier, region, precio)' });
+        }
+
+        tarifa.region = resolverRegion(tarifa.region);
+        if (!tarifa.region) {
+            return res.status(400).json({ error: 'Región desconocida', regiones: REGIONES_CHILE });
+        }
+
+        const { data, error } = await supabase
+            .from('tarifas_envio')
+            .insert(tarifa)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.status(201).json(data);
+    } catch (error) {
+        console.error('Error creando tarifa de envío:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Actualizar tarifa de envío
+app.put('/api/tarifas-envio/:id', requirePermission('envios:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: campo.objeto(tarifaCampos(), { noVacio: true }),
+    reglas: reglasTarifa
+}), async (req, res) => {
     try {
         const { id } = req.params;
+        const updateData = pickTarifaFields(req.body);
+
+        if (updateData.region !== undefined) {
+            updateData.region = resolverRegion(updateData.region);
+            if (!updateData.region) {
+                return res.status(400).json({ error: 'Región desconocida', regiones: REGIONES_CHILE });
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('tarifas_envio')
+            .update(updateData)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.json(data);
+    } catch (error) {
+        console.error('Error actualizando tarifa de envío:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Eliminar tarifa de envío
+app.delete('/api/tarifas-envio/:id', requirePermission('envios:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('tarifas_envio')
+            .delete()
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error eliminando tarifa de envío:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// CUPONES (validación y canje en checkout)
+// ============================================
+
+// Busca el cupón y verifica que se pueda usar ahora. Lanza error 404/400 si no.
+async function getCuponValido(codigo) {
+    const { data: cupon, error } = await supabase
+        .from('cupones')
+        .select('*')
+        .eq('codigo', codigo.toUpperCase())
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!cupon) throw httpError('Cupón no encontrado', 404);
+
+    if (!cupon.activo) throw httpError('Cupón inactivo', 400);
+
+    const now = new Date();
+    if (cupon.fecha_inicio && new Date(cupon.fecha_inicio) > now) {
+        throw httpError('Cupón aún no válido', 400);
+    }
+    if (cupon.fecha_fin && new Date(cupon.fecha_fin) < now) {
+        throw httpError('Cupón expirado', 400);
+    }
+    if (cupon.uso_unico && cupon.usos_actuales > 0) {
+        throw httpError('Cupón ya utilizado', 400);
+    }
+    if (cupon.usos_maximos && cupon.usos_actuales >= cupon.usos_maximos) {
+        throw httpError('Cupón sin usos disponibles', 400);
+    }
+
+    return cupon;
+}
+
+// Registra el canje e incrementa usos_actuales de forma atómica (función SQL
+// canjear_cupon). Lanza 409 si otro pedido agotó el cupón entretanto.
+async function canjearCupon(codigo, carritoId, pagoId, montoDescuento) {
+    const { data, error } = await supabase.rpc('canjear_cupon', {
+        p_codigo: codigo,
+        p_carrito_id: carritoId,
+        p_pago_id: pagoId,
+        p_monto_descuento: montoDescuento
+    });
+
+    if (error) {
+        if (/CUPON_NO_DISPONIBLE/.test(error.message || '')) {
+            throw httpError('El cupón ya no tiene usos disponibles', 409);
+        }
+        throw error;
+    }
+    return data;
+}
+
+// ============================================
+// RUTAS DE CARRITO / E-COMMERCE
+// ============================================
+
+const carritoParams = { id: campo.uuid({ requerido: true }) };
+
+// Crear carrito (vinculado al cliente autenticado, o de invitado sin token)
+app.post('/api/carritos', validar({ body: { cliente_id: campo.uuid({ nulo: true }) } }), async (req, res) => {
+    try {
+        let cliente;
+        try {
+            cliente = getClienteFromRequest(req);
+        } catch (tokenError) {
+            return res.status(401).json({ error: 'Token inválido o expirado' });
+        }
+
+        const { cliente_id } = req.body;
+        if (cliente_id && (!cliente || cliente.id !== cliente_id)) {
+            return res.status(403).json({ error: 'No puedes crear carritos para otro cliente' });
+        }
+
+        const { data, error } = await supabase
+            .from('carritos')
+            .insert([{ cliente_id: cliente ? cliente.id : null }])
+            .select();
+
+        if (error) throw error;
+        res.status(201).json(data[0]);
+    } catch (error) {
+        console.error('Error creando carrito:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener (o crear) carrito pendiente de un cliente
+app.get('/api/clientes/:clienteId/carrito', requireCliente, validar({ params: { clienteId: campo.uuid({ requerido: true }) } }), async (req, res) => {
+    try {
+        const { clienteId } = req.params;
+
+        if (req.cliente.id !== clienteId) {
+            return res.status(403).json({ error: 'El carrito pertenece a otro cliente' });
+        }
+
+        // Buscar carrito pendiente
+        const { data: existing, error: existingError } = await supabase
+            .from('carritos')
+            .select('*')
+            .eq('cliente_id', clienteId)
+            .eq('estado', 'pendiente')
+            .limit(1)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+
+        if (existing) {
+            return res.json(existing);
+        }
+
+        // Crear nuevo carrito
         const { data, error } = await supabase
+            .from('carritos')
+            .insert([{ cliente_id: clienteId }])
+            .select();
+
+        if (error) throw error;
+        res.status(201).json(data[0]);
+    } catch (error) {
+        console.error('Error obteniendo/creando carrito del cliente:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Obtener carrito con items y datos de producto
+app.get('/api/carritos/:id', validar({ params: carritoParams }), loadCart, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const cart = req.cart;
+
+        const { data: items, error: itemsError } = await supabase
+            .from('detalle_carrito')
+            .select('*')
+            .eq('carrito_id', id);
+
+        if (itemsError) throw itemsError;
+
+        // Enriquecer items con datos de Productos. Mientras el carrito está pendiente
+        // se muestran los precios vigentes (los mismos que cobrará el checkout);
+        // después, el precio congelado al pagar.
+        const lineas = await preciarItemsCarrito(items, { congelarPrecios: cart.estado !== 'pendiente' });
+        const sinStock = cart.estado === 'pendiente' ? productosSinStock(lineas) : [];
+
+        const subtotal = lineas.reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+        const ahorro = lineas.reduce((sum, it) => {
+            const base = it.pack_id
+                ? (it.pack ? calcularPrecioPack(it.pack, it.componentes).base : it.precio_unitario)
+                : (it.variante && it.variante.precio_calculado ? it.variante.precio_calculado.base
+                    : (it.producto ? it.producto.precio_calculado.base : it.precio_unitario));
+            return sum + Math.max(base - it.precio_unitario, 0) * it.cantidad;
+        }, 0);
+
+        res.json({
+            cart,
+            items: lineas,
+            totales: { subtotal, ahorro },
+            disponibilidad: { ok: sinStock.length === 0, sin_stock: sinStock }
+        });
+    } catch (error) {
+        console.error('Error obteniendo carrito:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Añadir o actualizar item en carrito
+app.post('/api/carritos/:id/items', validar({
+    params: carritoParams,
+    body: {
+        producto_id: campo.entero({ min: 1 }),
+        variante_id: campo.uuid(),
+        pack_id: campo.uuid(),
+        cantidad: campo.entero({ requerido: true, min: 1, max: 999 })
+    }
+}), loadCart, requireEditableCart, async (req, res) => {
+    try {
+        const { id } = req.params; // carrito id
+        const { producto_id, variante_id, pack_id, cantidad } = req.body;
+
+        if ((!producto_id && !pack_id) || !cantidad) {
+            return res.status(400).json({ error: 'producto_id (o pack_id) y cantidad son requeridos' });
+        }
+
+        if (producto_id && pack_id) {
+            return res.status(400).json({ error: 'Indica producto_id o pack_id, no ambos' });
+        }
+
+        if (variante_id && !producto_id) {
+            return res.status(400).json({ error: 'variante_id requiere producto_id' });
+        }
+
+        if (pack_id) {
+            return await addPackToCart(req, res);
+        }
+
+        // Obtener precio efectivo actual del producto
+        const { data: product, error: productError } = await soloCatalogo(supabase
             .from('Productos')
+            .select('*'))
+            .eq('id', producto_id)
+            .maybeSingle();
+
+        if (productError) throw productError;
+        if (!product) return res.status(404).json({ error: 'Producto no encontrado' });
+
+        // Un producto con variantes se agrega siempre con la variante elegida
+        const variantes = (await getVariantesPorProducto([producto_id]))[producto_id] || [];
+        let variante = null;
+        if (variante_id) {
+            variante = variantes.find(v => v.id === variante_id);
+            if (!variante) return res.status(404).json({ error: 'Variante no encontrada o no disponible' });
+        } else if (variantes.length > 0) {
+            return res.status(400).json({
+                error: 'Elige una variante del producto',
+                variantes: variantes.map(v => ({ id: v.id, sku: v.sku, etiqueta: v.etiqueta, opciones: v.opciones }))
+            });
+        }
+
+        // Stock del producto o de la variante contra todo lo que ya consume el carrito
+        // (la misma línea, otras variantes del producto y los packs que lo incluyen)
+        const { data: items, error: itemsError } = await supabase
+            .from('detalle_carrito')
             .select('*')
-            .eq('id', id)
-            .single();
+            .eq('carrito_id', id);
+
+        if (itemsError) throw itemsError;
+
+        const varianteLinea = variante ? variante.id : null;
+        const existing = items.find(i => !i.pack_id && i.producto_id === producto_id && (i.variante_id || null) === varianteLinea);
+        const simulados = existing
+            ? items.map(i => (i.id === existing.id ? { ...i, cantidad: existing.cantidad + cantidad } : i))
+            : [...items, { producto_id, variante_id: varianteLinea, cantidad, precio_unitario: 0 }];
+
+        const sinStock = productosSinStock(await preciarItemsCarrito(simulados))
+            .filter(f => f.producto_id === producto_id);
+        if (sinStock.length > 0) {
+            return res.status(409).json({ error: 'Stock insuficiente', sin_stock: sinStock });
+        }
+
+        const [preciado] = await preciarProductos([product]);
+        const precio_unitario = variante
+            ? calcularPrecioVariante(preciado, variante).final
+            : preciado.precio_calculado.final;
+
+        const { linea, creada } = await guardarLineaProducto(id, {
+            producto_id,
+            variante_id: variante ? variante.id : null,
+            cantidad,
+            precio_unitario
+        });
+
+        res.status(creada ? 201 : 200).json(linea);
+    } catch (error) {
+        console.error('Error añadiendo item al carrito:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Suma cantidad a la línea del mismo producto/variante o crea una nueva.
+// Devuelve { linea, creada }.
+async function guardarLineaProducto(carritoId, { producto_id, variante_id, cantidad, precio_unitario }) {
+    let existingQuery = supabase
+        .from('detalle_carrito')
+        .select('*')
+        .eq('carrito_id', carritoId)
+        .eq('producto_id', producto_id);
+
+    existingQuery = variante_id
+        ? existingQuery.eq('variante_id', variante_id)
+        : existingQuery.is('variante_id', null);
+
+    const { data: existing, error: existingError } = await existingQuery
+        .limit(1)
+        .maybeSingle();
+
+    if (existingError) throw existingError;
+
+    if (existing) {
+        const { data, error } = await supabase
+            .from('detalle_carrito')
+            .update({ cantidad: existing.cantidad + cantidad, precio_unitario })
+            .eq('id', existing.id)
+            .select();
 
         if (error) throw error;
-        res.json(data);
+        return { linea: data[0], creada: false };
+    }
+
+    const { data, error } = await supabase
+        .from('detalle_carrito')
+        .insert([{
+            carrito_id: carritoId,
+            producto_id,
+            variante_id: variante_id || null,
+            cantidad,
+            precio_unitario
+        }])
+        .select();
+
+    if (error) throw error;
+    return { linea: data[0], creada: true };
+}
+
+// Añade un pack como una sola línea al precio del pack, verificando el stock de
+// cada componente contra todo lo que ya consume el carrito
+async function addPackToCart(req, res) {
+    const { id } = req.params;
+    const { pack_id, cantidad } = req.body;
+
+    const packsMap = await getPacksConComponentes([pack_id]);
+    const pack = packsMap[pack_id];
+    if (!pack) {
+        return res.status(404).json({ error: 'Pack no encontrado' });
+    }
+
+    const { data: items, error: itemsError } = await supabase
+        .from('detalle_carrito')
+        .select('*')
+        .eq('carrito_id', id);
+
+    if (itemsError) throw itemsError;
+
+    const existing = items.find(i => i.pack_id === pack_id) || null;
+    const nuevaCantidad = (existing ? existing.cantidad : 0) + cantidad;
+
+    const simulados = existing
+        ? items.map(i => (i.id === existing.id ? { ...i, cantidad: nuevaCantidad } : i))
+        : [...items, { pack_id, cantidad, precio_unitario: 0 }];
+
+    const lineas = await preciarItemsCarrito(simulados);
+    const sinStock = productosSinStock(lineas);
+    if (sinStock.length > 0) {
+        return res.status(409).json({ error: 'Stock insuficiente para los productos del pack', sin_stock: sinStock });
+    }
+
+    const precio_unitario = lineas.find(l => l.pack_id === pack_id).precio_unitario;
+
+    if (existing) {
+        const { data, error } = await supabase
+            .from('detalle_carrito')
+            .update({ cantidad: nuevaCantidad, precio_unitario })
+            .eq('id', existing.id)
+            .select();
+
+        if (error) throw error;
+        return res.json(data[0]);
+    }
+
+    const { data, error } = await supabase
+        .from('detalle_carrito')
+        .insert([{
+            carrito_id: id,
+            pack_id,
+            cantidad,
+            precio_unitario
+        }])
+        .select();
+
+    if (error) throw error;
+    res.status(201).json(data[0]);
+}
+
+// Actualizar cantidad de item
+app.put('/api/carritos/:id/items/:itemId', validar({
+    params: { ...carritoParams, itemId: campo.uuid({ requerido: true }) },
+    body: { cantidad: campo.entero({ requerido: true, min: 1, max: 999 }) }
+}), loadCart, requireEditableCart, async (req, res) => {
+    try {
+        const { id, itemId } = req.params;
+        const { cantidad } = req.body;
+
+        if (cantidad === undefined) return res.status(400).json({ error: 'cantidad requerida' });
+
+        const { data, error } = await supabase
+            .from('detalle_carrito')
+            .update({ cantidad })
+            .eq('id', itemId)
+            .eq('carrito_id', id)
+            .select();
+
+        if (error) throw error;
+        res.json(data[0]);
     } catch (error) {
-        console.error('Error:', error);
+        console.error('Error actualizando item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Eliminar item del carrito
+app.delete('/api/carritos/:id/items/:itemId', validar({
+    params: { ...carritoParams, itemId: campo.uuid({ requerido: true }) }
+}), loadCart, requireEditableCart, async (req, res) => {
+    try {
+        const { id, itemId } = req.params;
+
+        const { error } = await supabase
+            .from('detalle_carrito')
+            .delete()
+            .eq('id', itemId)
+            .eq('carrito_id', id);
+
+        if (error) throw error;
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error eliminando item:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST - Crear producto
-app.post('/api/pcs', async (req, res) => {
+// Previsualizar un cupón sobre el carrito (no lo canjea; eso ocurre en el checkout)
+app.post('/api/carritos/:id/apply-discount', rateLimit('cupones-ip', RATE_LIMITS.cupones_ip, porIp), validar({
+    params: carritoParams,
+    body: { codigo: campo.texto({ requerido: true, max: 50 }) }
+}), loadCart, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { codigo } = req.body;
+
+        if (!codigo) return res.status(400).json({ error: 'codigo requerido' });
+
+        const cupon = await getCuponValido(codigo);
+
+        // Calcular total del carrito con los precios vigentes
+        const { data: items, error: itemsError } = await supabase
+            .from('detalle_carrito')
+            .select('*')
+            .eq('carrito_id', id);
+
+        if (itemsError) throw itemsError;
+
+        const preciados = await preciarItemsCarrito(items || []);
+        const subtotal = preciados.reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+        const descuentoMonto = calcularDescuentoCupon(cupon, subtotal);
+        const total = subtotal - descuentoMonto;
+
+        res.json({
+            subtotal,
+            descuento: descuentoMonto,
+            total,
+            cupon: {
+                codigo: cupon.codigo,
+                tipo_descuento: cupon.tipo_descuento,
+                valor_descuento: cupon.valor_descuento
+            }
+        });
+    } catch (error) {
+        console.error('Error aplicando descuento:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Cotizar opciones de envío para el carrito
+app.get('/api/carritos/:id/envio/opciones', rateLimit('cupones-ip', RATE_LIMITS.cupones_ip, porIpConCupon), validar({
+    params: carritoParams,
+    query: {
+        region: campo.texto({ requerido: true, max: 100 }),
+        comuna: campo.texto({ requerido: true, max: 100 }),
+        codigo_cupon: campo.texto({ max: 50 })
+    }
+}), loadCart, async (req, res) => {
+    try {
+        const { region, comuna, codigo_cupon } = req.query;
+
+        const { data: items, error: itemsError } = await supabase
+            .from('detalle_carrito')
+            .select('*')
+            .eq('carrito_id', req.params.id);
+
+        if (itemsError) throw itemsError;
+
+        if (!items || items.length === 0) {
+            return res.status(400).json({ error: 'El carrito está vacío' });
+        }
+
+        // Con cupón el umbral de envío gratis se compara como en el checkout
+        const lineas = await preciarItemsCarrito(items);
+        let descuento = 0;
+        if (codigo_cupon) {
+            const subtotal = lineas.reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+            descuento = calcularDescuentoCupon(await getCuponValido(codigo_cupon), subtotal);
+        }
+
+        res.json(await cotizarEnvio(lineas, { region, comuna }, { descuento }));
+    } catch (error) {
+        console.error('Error cotizando envío:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Checkout (reserva stock, crea pago pendiente, inicia la transacción en la pasarela y crea envio)
+app.post('/api/carritos/:id/checkout', rateLimit('cupones-ip', RATE_LIMITS.cupones_ip, porIpConCupon), validar({
+    params: carritoParams,
+    body: {
+        metodo: campo.texto({ requerido: true, max: 50 }),
+        email: campo.email(),
+        codigo_cupon: campo.texto({ max: 50 }),
+        envio: campo.objeto({
+            direccion: campo.texto({ requerido: true, max: 300 }),
+            region: campo.texto({ requerido: true, max: 100 }),
+            comuna: campo.texto({ requerido: true, max: 100 }),
+            tarifa_id: campo.uuid({ requerido: true }),
+            precio: campo.entero({ requerido: true, min: 0 })
+        })
+    }
+}), loadCart, async (req, res) => {
     try {
-        const { NOMBRE, DETALLE, PRECIO, CATEGORIA, SUBCATEGORIA, STOCK } = req.body;
-        
-        if (!NOMBRE) {
-            return res.status(400).json({ error: 'NOMBRE es requerido' });
+        const { id } = req.params;
+        const { metodo, envio, codigo_cupon } = req.body; // envio: { direccion, region, comuna, tarifa_id }
+
+        const provider = getPaymentProvider(metodo);
+        if (!provider) {
+            return res.status(400).json({
+                error: 'metodo de pago no disponible',
+                metodos: Object.keys(getEnabledPaymentProviders())
+            });
         }
 
-        const { data, error } = await supabase
-            .from('Productos') // Cambiar aquí
-            .insert([{
-                NOMBRE,
-                DETALLE,
-                PRECIO,
-                CATEGORIA,
-                SUBCATEGORIA,
-                STOCK: STOCK || 0
-            }])
-            .select();
+        if (req.cart.estado !== 'pendiente') {
+            return res.status(409).json({ error: `El carrito está ${req.cart.estado}` });
+        }
 
-        if (error) throw error;
+        // Email de contacto del pedido: el de la cuenta o el indicado por el invitado
+        const email_contacto = ((req.cliente ? req.cliente.email : req.body.email) || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email_contacto)) {
+            return res.status(400).json({ error: 'email es requerido para compras sin cuenta' });
+        }
 
-        res.status(201).json({
-            message: 'Producto creado exitosamente',
-            data: data[0]
-        });
+        // Dos checkouts simultáneos del mismo carrito dejarían dos pagos pendientes
+        // y uno liberaría la reserva del otro: solo sigue el que reclama el carrito
+        const marcaCheckout = await reclamarCheckout(id);
+        if (!marcaCheckout) {
+            return res.status(409).json({ error: 'Ya hay un checkout en curso para este carrito' });
+        }
+
+        try {
+            // Obtener items
+            const { data: items, error: itemsError } = await supabase
+                .from('detalle_carrito')
+                .select('*')
+                .eq('carrito_id', id);
+
+            if (itemsError) throw itemsError;
+
+            if (!items || items.length === 0) {
+                return res.status(400).json({ error: 'El carrito está vacío' });
+            }
+
+            // Congelar en el pedido los precios vigentes del motor de precios
+            const preciados = await preciarItemsCarrito(items);
+            const cambiados = preciados.filter(it => it.precio_anterior !== undefined);
+            await Promise.all(cambiados.map(async (it) => {
+                const { error } = await supabase
+                    .from('detalle_carrito')
+                    .update({ precio_unitario: it.precio_unitario })
+                    .eq('id', it.id);
+                if (error) throw error;
+            }));
+
+            const subtotal = preciados.reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+
+            // El cupón se valida antes de reservar stock para fallar rápido
+            let cupon = null;
+            let monto_descuento = 0;
+            if (codigo_cupon) {
+                cupon = await getCuponValido(codigo_cupon);
+                monto_descuento = calcularDescuentoCupon(cupon, subtotal);
+            }
+
+            // El costo del envío se recalcula en el servidor a partir de la tarifa elegida
+            let opcionEnvio = null;
+            let cotizacion = null;
+            if (envio) {
+                if (!envio.direccion || !envio.tarifa_id) {
+                    return res.status(400).json({ error: 'envio requiere direccion, region, comuna y tarifa_id' });
+                }
+                cotizacion = await cotizarEnvio(preciados, envio, { descuento: monto_descuento });
+                opcionEnvio = cotizacion.opciones.find(o => o.tarifa_id === envio.tarifa_id);
+                if (!opcionEnvio) {
+                    return res.status(400).json({
+                        error: 'La tarifa de envío elegida no está disponible para este destino',
+                        opciones: cotizacion.opciones
+                    });
+                }
+                // envio.precio es el que vio el cliente al cotizar (p. ej. gratis sin el cupón)
+                if (opcionEnvio.precio !== envio.precio) {
+                    return res.status(409).json({
+                        error: 'El costo del envío cambió, revisa las opciones',
+                        opciones: cotizacion.opciones
+                    });
+                }
+            }
+
+            const costo_envio = opcionEnvio ? opcionEnvio.precio : 0;
+            const monto_total = subtotal - monto_descuento + costo_envio;
+
+            // Un checkout repetido reemplaza al anterior: reservar_stock libera la reserva
+            // previa antes de crear la nueva y, solo si lo logra, el pago pendiente anterior
+            // queda rechazado. Si la reserva falla el pago anterior sigue vivo con su reserva.
+            const reservas = await reservarStock(id);
+
+            const { error: prevError } = await supabase
+                .from('pagos')
+                .update({ estado: 'rechazado' })
+                .eq('carrito_id', id)
+                .eq('estado', 'pendiente');
+
+            if (prevError) {
+                await liberarReservas(id);
+                throw prevError;
+            }
+
+            const { data: carritoActualizado, error: emailError } = await supabase
+                .from('carritos')
+                .update({ email_contacto })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (emailError) {
+                await liberarReservas(id);
+                throw emailError;
+            }
+
+            // Crear pago
+            const { data: pago, error: pagoError } = await supabase
+                .from('pagos')
+                .insert([{ carrito_id: id, monto_total, metodo, estado: 'pendiente' }])
+                .select();
+
+            if (pagoError) {
+                await liberarReservas(id);
+                throw pagoError;
+            }
+
+            // Canje atómico del cupón (se libera junto con la reserva si el pago no se completa)
+            if (cupon) {
+                try {
+                    await canjearCupon(cupon.codigo, id, pago[0].id, monto_descuento);
+                } catch (cuponError) {
+                    await liberarReservas(id);
+                    await rechazarPagoFallido(pago[0].id);
+                    throw cuponError;
+                }
+                pago[0].monto_descuento = monto_descuento;
+            }
+
+            // El envío de un checkout anterior se reemplaza, o se borra si este es retiro en tienda.
+            // Se guarda antes de iniciar la transacción: si falla, el pago aún no existe en la pasarela.
+            let envioData = null;
+            try {
+                const { error: delError } = await supabase
+                    .from('envios')
+                    .delete()
+                    .eq('carrito_id', id);
+
+                if (delError) throw delError;
+
+                if (opcionEnvio) {
+                    const { data: env, error: envError } = await supabase
+                        .from('envios')
+                        .insert([{
+                            carrito_id: id,
+                            direccion: envio.direccion,
+                            region: cotizacion.region,
+                            comuna: envio.comuna,
+                            courier: opcionEnvio.courier,
+                            tarifa_id: opcionEnvio.tarifa_id,
+                            costo: costo_envio,
+                            peso_kg: cotizacion.peso_kg
+                        }])
+                        .select();
+
+                    if (envError) throw envError;
+                    envioData = env[0];
+                }
+            } catch (envioError) {
+                await liberarReservas(id);
+                await rechazarPagoFallido(pago[0].id);
+                throw envioError;
+            }
+
+            // Iniciar la transacción en la pasarela
+            let accion;
+            try {
+                accion = await provider.crearTransaccion(pago[0]);
+            } catch (providerError) {
+                await liberarReservas(id);
+                await rechazarPagoFallido(pago[0].id);
+                throw providerError;
+            }
+
+            const { error: txError } = await supabase
+                .from('pagos')
+                .update({ transaccion_id: accion.transaccion_id })
+                .eq('id', pago[0].id);
+
+            if (txError) {
+                await liberarReservas(id);
+                await rechazarPagoFallido(pago[0].id);
+                throw txError;
+            }
+            pago[0].transaccion_id = accion.transaccion_id;
+
+            await encolarEmail('pedido_confirmado', email_contacto, {
+                codigo: carritoActualizado.codigo,
+                items: preciados.map(it => ({
+                    nombre: it.pack ? it.pack.nombre : nombreLineaProducto(it),
+                    cantidad: it.cantidad,
+                    precio_unitario: it.precio_unitario
+                })),
+                subtotal,
+                descuento: monto_descuento,
+                costo_envio,
+                total: monto_total,
+                seguimiento_url: `${FRONTEND_URL}/seguimiento?codigo=${encodeURIComponent(carritoActualizado.codigo)}`
+            });
+
+            // El carrito sigue 'pendiente' hasta que el pago se confirme
+            res.json({
+                codigo: carritoActualizado.codigo,
+                pago: pago[0],
+                envio: envioData,
+                reserva_expira_en: reservas.length > 0 ? reservas[0].expira_en : null,
+                subtotal,
+                cupon: cupon ? { codigo: cupon.codigo, descuento: monto_descuento } : null,
+                costo_envio,
+                pago_accion: accion.accion // { tipo: 'redirect', url } o { tipo: 'instrucciones', ... }
+            });
+        } finally {
+            await liberarCheckout(id, marcaCheckout);
+        }
     } catch (error) {
-        console.error('Error creando producto:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error en checkout:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// PUT - Actualizar
-app.put('/api/pcs/:id', async (req, res) => {
+// ============================================
+// CONFIGURADOR DE PC
+// ============================================
+// Arma un PC con componentes de Productos. Cada componente declara sus datos
+// técnicos en ESPECIFICACIONES ({ componente: 'cpu', socket: 'AM5', tdp_w: 105, ... })
+// y evaluarConfiguracion revisa la compatibilidad: los errores impiden agregar
+// el armado al carrito, las advertencias solo informan.
+
+// Consumo estimado (W): placa madre y ventiladores, cada módulo de RAM y cada
+// unidad de almacenamiento sin consumo_w declarado
+const CONSUMO_BASE_W = 60;
+const CONSUMO_RAM_W = 5;
+const CONSUMO_ALMACENAMIENTO_W = 8;
+
+// La fuente debería superar el consumo estimado en este factor (picos y eficiencia)
+const MARGEN_FUENTE = 1.3;
+
+const configuracionCampos = {
+    componentes: campo.lista(campo.objeto({
+        tipo: campo.texto({ requerido: true, enum: Object.keys(COMPONENTES_PC) }),
+        producto_id: campo.entero({ requerido: true, min: 1 }),
+        variante_id: campo.uuid(),
+        cantidad: campo.entero({ min: 1, max: 8, defecto: 1 })
+    }), { requerido: true, min: 1, max: 20 })
+};
+
+// Carga y precia los productos (y variantes) elegidos. Devuelve las líneas
+// { tipo, cantidad, producto, variante, especificaciones, precio_unitario, precio_base, stock }
+async function cargarComponentesPC(componentes) {
+    const ids = [...new Set(componentes.map(c => c.producto_id))];
+
+    const { data: productos, error } = await soloCatalogo(supabase
+        .from('Productos')
+        .select('*'))
+        .in('id', ids);
+
+    if (error) throw error;
+
+    const preciados = await preciarProductos(productos);
+    const porId = preciados.reduce((acc, p) => { acc[p.id] = p; return acc; }, {});
+    const variantes = await getVariantesPorProducto(ids);
+
+    return componentes.map(c => {
+        const producto = porId[c.producto_id];
+        if (!producto) throw httpError('Producto no encontrado', 404, { producto_id: c.producto_id });
+
+        const disponibles = variantes[producto.id] || [];
+        let variante = null;
+        if (c.variante_id) {
+            variante = disponibles.find(v => v.id === c.variante_id);
+            if (!variante) throw httpError('Variante no encontrada o no disponible', 404, { variante_id: c.variante_id });
+        } else if (disponibles.length > 0) {
+            throw httpError('Elige una variante del producto', 400, { producto_id: producto.id });
+        }
+
+        const precio = variante ? calcularPrecioVariante(producto, variante) : producto.precio_calculado;
+
+        return {
+            tipo: c.tipo,
+            cantidad: c.cantidad,
+            producto,
+            variante,
+            especificaciones: producto.ESPECIFICACIONES || {},
+            precio_unitario: precio.final,
+            precio_base: precio.base,
+            stock: variante ? variante.stock : (producto.STOCK || 0)
+        };
+    });
+}
+
+// Revisa la compatibilidad de las líneas de cargarComponentesPC.
+// Devuelve { errores, advertencias, consumo_estimado_w, potencia_recomendada_w };
+// cada problema es { codigo, mensaje, componentes: [tipos] }.
+function evaluarConfiguracion(lineas) {
+    const errores = [];
+    const advertencias = [];
+    const problema = (lista, codigo, mensaje, componentes) => lista.push({ codigo, mensaje, componentes });
+    const sinDatos = (tipo, dato) => problema(
+        advertencias, 'datos_incompletos', `No se pudo verificar ${dato}: falta en las especificaciones del componente`, [tipo]
+    );
+
+    const porTipo = Object.keys(COMPONENTES_PC).reduce((acc, tipo) => {
+        acc[tipo] = lineas.filter(l => l.tipo === tipo);
+        return acc;
+    }, {});
+    const unico = (tipo) => (porTipo[tipo][0] ? porTipo[tipo][0].especificaciones : null);
+
+    Object.entries(COMPONENTES_PC).forEach(([tipo, regla]) => {
+        if (regla.requerido && porTipo[tipo].length === 0) {
+            problema(errores, 'componente_faltante', `Falta elegir ${tipo.replace('_', ' ')}`, [tipo]);
+        }
+        if (porTipo[tipo].length > regla.max) {
+            problema(errores, 'demasiados_componentes', `Solo se admite${regla.max > 1 ? 'n' : ''} ${regla.max} ${tipo.replace('_', ' ')}`, [tipo]);
+        }
+    });
+
+    lineas.forEach(l => {
+        if (l.especificaciones.componente !== l.tipo) {
+            problema(errores, 'tipo_incorrecto', `"${l.producto.NOMBRE}" no es un componente de tipo ${l.tipo}`, [l.tipo]);
+        }
+        if (l.stock < l.cantidad) {
+            problema(advertencias, 'sin_stock', `"${l.producto.NOMBRE}" no tiene stock suficiente`, [l.tipo]);
+        }
+    });
+
+    const cpu = unico('cpu');
+    const placa = unico('placa_madre');
+    const gabinete = unico('gabinete');
+    const fuente = unico('fuente');
+
+    // Socket CPU <-> placa madre
+    if (cpu && placa) {
+        if (!cpu.socket) sinDatos('cpu', 'el socket');
+        else if (!placa.socket) sinDatos('placa_madre', 'el socket');
+        else if (cpu.socket !== placa.socket) {
+            problema(errores, 'socket', `El procesador usa socket ${cpu.socket} y la placa madre ${placa.socket}`, ['cpu', 'placa_madre']);
+        }
+    }
+
+    // Generación de RAM y cantidad de módulos
+    if (placa) {
+        porTipo.ram.forEach(l => {
+            const ram = l.especificaciones;
+            if (!ram.tipo_memoria) sinDatos('ram', 'el tipo de memoria');
+            else if (!placa.tipo_memoria) sinDatos('placa_madre', 'el tipo de memoria');
+            else if (ram.tipo_memoria !== placa.tipo_memoria) {
+                problema(errores, 'tipo_memoria', `La memoria "${l.producto.NOMBRE}" es ${ram.tipo_memoria} y la placa madre admite ${placa.tipo_memoria}`, ['ram', 'placa_madre']);
+            }
+        });
+
+        const modulos = porTipo.ram.reduce((sum, l) => sum + l.cantidad * (l.especificaciones.modulos || 1), 0);
+        if (placa.slots_ram && modulos > placa.slots_ram) {
+            problema(errores, 'slots_ram', `La placa madre tiene ${placa.slots_ram} ranuras de RAM y se eligieron ${modulos} módulos`, ['ram', 'placa_madre']);
+        }
+    }
+
+    // Factor de forma placa madre <-> gabinete
+    if (placa && gabinete) {
+        if (!placa.factor_forma) sinDatos('placa_madre', 'el factor de forma');
+        else if (!Array.isArray(gabinete.factores_forma)) sinDatos('gabinete', 'los factores de forma');
+        else if (!gabinete.factores_forma.includes(placa.factor_forma)) {
+            problema(errores, 'factor_forma', `El gabinete no admite placas ${placa.factor_forma}`, ['placa_madre', 'gabinete']);
+        }
+    }
+
+    // Largo de la tarjeta de video
+    porTipo.gpu.forEach(l => {
+        if (gabinete && l.especificaciones.largo_mm && gabinete.gpu_largo_max_mm
+            && l.especificaciones.largo_mm > gabinete.gpu_largo_max_mm) {
+            problema(errores, 'largo_gpu', `La tarjeta de video mide ${l.especificaciones.largo_mm} mm y el gabinete admite hasta ${gabinete.gpu_largo_max_mm} mm`, ['gpu', 'gabinete']);
+        }
+    });
+
+    if (cpu && porTipo.gpu.length === 0 && cpu.graficos_integrados !== true) {
+        problema(advertencias, 'sin_video', 'El procesador no tiene gráficos integrados y no se eligió tarjeta de video', ['cpu', 'gpu']);
+    }
+
+    // Consumo estimado frente a la potencia de la fuente
+    const consumo = (tipo, dato, porDefecto) => porTipo[tipo].reduce((sum, l) => {
+        const watts = l.especificaciones[dato];
+        if (watts == null && porDefecto === null) sinDatos(tipo, 'el consumo');
+        return sum + (watts != null ? watts : porDefecto || 0) * l.cantidad;
+    }, 0);
+
+    const consumo_estimado_w = CONSUMO_BASE_W
+        + consumo('cpu', 'tdp_w', null)
+        + consumo('gpu', 'tdp_w', null)
+        + porTipo.ram.reduce((sum, l) => sum + l.cantidad * (l.especificaciones.modulos || 1) * CONSUMO_RAM_W, 0)
+        + consumo('almacenamiento', 'consumo_w', CONSUMO_ALMACENAMIENTO_W);
+    const potencia_recomendada_w = Math.ceil(consumo_estimado_w * MARGEN_FUENTE / 50) * 50;
+
+    if (fuente) {
+        if (!fuente.potencia_w) sinDatos('fuente', 'la potencia');
+        else if (fuente.potencia_w < consumo_estimado_w) {
+            problema(errores, 'potencia_fuente', `La fuente de ${fuente.potencia_w} W no alcanza el consumo estimado de ${consumo_estimado_w} W`, ['fuente']);
+        } else if (fuente.potencia_w < potencia_recomendada_w) {
+            problema(advertencias, 'margen_fuente', `Se recomienda una fuente de al menos ${potencia_recomendada_w} W`, ['fuente']);
+        }
+    }
+
+    return { errores, advertencias, consumo_estimado_w, potencia_recomendada_w };
+}
+
+// Resultado completo de un armado: compatibilidad, líneas y totales
+async function revisarConfiguracion(componentes) {
+    const lineas = await cargarComponentesPC(componentes);
+    const evaluacion = evaluarConfiguracion(lineas);
+
+    const total = lineas.reduce((sum, l) => sum + l.precio_unitario * l.cantidad, 0);
+    const ahorro = lineas.reduce((sum, l) => sum + Math.max(l.precio_base - l.precio_unitario, 0) * l.cantidad, 0);
+
+    return {
+        compatible: evaluacion.errores.length === 0,
+        ...evaluacion,
+        componentes: lineas.map(l => ({
+            tipo: l.tipo,
+            producto_id: l.producto.id,
+            variante_id: l.variante ? l.variante.id : null,
+            nombre: nombreLineaProducto(l),
+            cantidad: l.cantidad,
+            precio_unitario: l.precio_unitario,
+            subtotal: l.precio_unitario * l.cantidad,
+            stock: l.stock
+        })),
+        totales: { total, ahorro }
+    };
+}
+
+// Productos de un tipo de componente, opcionalmente filtrados por compatibilidad
+app.get('/api/configurador/componentes/:tipo', validar({
+    params: { tipo: campo.texto({ requerido: true, enum: Object.keys(COMPONENTES_PC) }) },
+    query: {
+        socket: campo.texto({ max: 30 }),
+        tipo_memoria: campo.texto({ enum: TIPOS_MEMORIA }),
+        factor_forma: campo.texto({ enum: FACTORES_FORMA }),
+        inStock: campo.booleano()
+    }
+}), async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        const { tipo } = req.params;
+        const { socket, tipo_memoria, factor_forma, inStock } = req.query;
 
-        const { data, error } = await supabase
-            .from('Productos') // ✅ Cambiar aquí
-            .update(updates)
-            .eq('id', id)
-            .select();
+        let query = soloCatalogo(supabase
+            .from('Productos')
+            .select('*'))
+            .eq('ESPECIFICACIONES->>componente', tipo)
+            .order('POSICION', { ascending: true });
+
+        if (inStock === true) query = query.gt('STOCK', 0);
 
+        const { data, error } = await query;
         if (error) throw error;
-        res.json({ message: 'Producto actualizado', data: data[0] });
+
+        const compatibles = data.filter(p => {
+            const e = p.ESPECIFICACIONES || {};
+            if (socket && e.socket !== undefined && e.socket !== socket) return false;
+            if (tipo_memoria && e.tipo_memoria !== undefined && e.tipo_memoria !== tipo_memoria) return false;
+            if (factor_forma) {
+                if (Array.isArray(e.factores_forma) && !e.factores_forma.includes(factor_forma)) return false;
+                if (e.factor_forma !== undefined && e.factor_forma !== factor_forma) return false;
+            }
+            return true;
+        });
+
+        res.json(await preciarProductos(compatibles));
     } catch (error) {
-        console.error('Error:', error);
+        console.error('Error obteniendo componentes:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// DELETE
-app.delete('/api/pcs/:id', async (req, res) => {
+// Validar un armado y calcular su precio (no modifica nada)
+app.post('/api/configurador/validar', validar({ body: configuracionCampos }), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { error } = await supabase
-            .from('Productos') // ✅ Cambiar aquí
-            .delete()
-            .eq('id', id);
-
-        if (error) throw error;
-        res.json({ message: 'Producto eliminado' });
+        res.json(await revisarConfiguracion(req.body.componentes));
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error validando configuración:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// ============================================
-// RUTAS DE AUTENTICACIÓN
-// ============================================
+// Escribe las líneas de un armado: inserta las nuevas en una sola llamada y luego
+// actualiza las existentes. Si una escritura falla deshace las anteriores para no
+// dejar medio armado en el carrito.
+async function guardarLineasArmado(items, actualizadas, nuevas) {
+    let insertadas = [];
+    const hechas = [];
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        if (nuevas.length > 0) {
+            const { data, error } = await supabase
+                .from('detalle_carrito')
+                .insert(nuevas)
+                .select();
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email y contraseña requeridos' });
+            if (error) throw error;
+            insertadas = data;
         }
 
-        const { data, error } = await supabase.auth.signInWithPassword({
-            email,
-            password
-        });
+        for (const fila of actualizadas) {
+            const { data, error } = await supabase
+                .from('detalle_carrito')
+                .update({ cantidad: fila.cantidad, precio_unitario: fila.precio_unitario })
+                .eq('id', fila.id)
+                .select();
 
-        if (error) throw error;
+            if (error) throw error;
+            hechas.push(data[0]);
+        }
+    } catch (error) {
+        if (insertadas.length > 0) {
+            const { error: delError } = await supabase
+                .from('detalle_carrito')
+                .delete()
+                .in('id', insertadas.map(l => l.id));
+            if (delError) console.error('Error deshaciendo líneas del armado:', delError);
+        }
+        for (const linea of hechas) {
+            const original = items.find(i => i.id === linea.id);
+            const { error: restError } = await supabase
+                .from('detalle_carrito')
+                .update({ cantidad: original.cantidad, precio_unitario: original.precio_unitario })
+                .eq('id', linea.id);
+            if (restError) console.error('Error deshaciendo líneas del armado:', restError);
+        }
+        throw error;
+    }
 
-        res.json({
-            success: true,
-            session: data.session,
-            user: data.user
+    return [...hechas, ...insertadas];
+}
+
+// Agregar un armado completo al carrito (solo si no tiene errores de compatibilidad)
+app.post('/api/carritos/:id/configuracion', validar({
+    params: carritoParams,
+    body: configuracionCampos
+}), loadCart, requireEditableCart, async (req, res) => {
+    try {
+        const resultado = await revisarConfiguracion(req.body.componentes);
+
+        if (!resultado.compatible) {
+            return res.status(409).json({ error: 'La configuración tiene componentes incompatibles', ...resultado });
+        }
+
+        const { id } = req.params;
+        const { data: items, error: itemsError } = await supabase
+            .from('detalle_carrito')
+            .select('*')
+            .eq('carrito_id', id);
+
+        if (itemsError) throw itemsError;
+
+        // Cada componente se suma a la línea del mismo producto/variante o crea una nueva
+        const actualizadas = new Map();
+        const nuevas = [];
+        resultado.componentes.forEach(c => {
+            const existing = items.find(i => !i.pack_id && i.producto_id === c.producto_id && (i.variante_id || null) === c.variante_id);
+            const nueva = nuevas.find(n => n.producto_id === c.producto_id && n.variante_id === c.variante_id);
+
+            if (existing) {
+                const fila = actualizadas.get(existing.id) || { ...existing };
+                fila.cantidad += c.cantidad;
+                fila.precio_unitario = c.precio_unitario;
+                actualizadas.set(existing.id, fila);
+            } else if (nueva) {
+                nueva.cantidad += c.cantidad;
+            } else {
+                nuevas.push({
+                    carrito_id: id,
+                    producto_id: c.producto_id,
+                    variante_id: c.variante_id,
+                    cantidad: c.cantidad,
+                    precio_unitario: c.precio_unitario
+                });
+            }
         });
+
+        // Stock de los componentes contra todo lo que ya consume el carrito
+        const simulados = [...items.map(i => actualizadas.get(i.id) || i), ...nuevas];
+        const productosArmado = new Set(resultado.componentes.map(c => c.producto_id));
+        const sinStock = productosSinStock(await preciarItemsCarrito(simulados))
+            .filter(f => productosArmado.has(f.producto_id));
+        if (sinStock.length > 0) {
+            return res.status(409).json({ error: 'Stock insuficiente', ...resultado, sin_stock: sinStock });
+        }
+
+        const lineas = await guardarLineasArmado(items, [...actualizadas.values()], nuevas);
+
+        res.status(201).json({ ...resultado, lineas });
     } catch (error) {
-        console.error('Error en login:', error);
-        res.status(401).json({ error: error.message });
+        console.error('Error agregando configuración al carrito:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// Logout
-app.post('/api/auth/logout', async (req, res) => {
+// ============================================
+// CICLO DE VIDA DE PEDIDOS
+// ============================================
+
+// Transiciones permitidas del estado del carrito/pedido
+const TRANSICIONES_PEDIDO = {
+    pendiente: ['pagado', 'cancelado'],
+    pagado: ['preparando', 'reembolsado'],
+    preparando: ['enviado', 'reembolsado'],
+    enviado: ['entregado', 'reembolsado'],
+    entregado: ['reembolsado'],
+    cancelado: [],
+    reembolsado: []
+};
+
+const ESTADOS_PEDIDO = Object.keys(TRANSICIONES_PEDIDO);
+
+// Error con status HTTP y datos extra para la respuesta (ver sendErrorResponse)
+function httpError(message, status, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Mueve un pedido a un nuevo estado validando la transición, aplica los
+// efectos sobre stock, pagos y envíos, y registra el cambio en el historial.
+// opciones: { actor, nota, reponer_stock }
+async function transicionarPedido(carritoId, nuevoEstado, opciones = {}) {
+    if (!ESTADOS_PEDIDO.includes(nuevoEstado)) {
+        throw httpError(`Estado desconocido: ${nuevoEstado}`, 400, { estados: ESTADOS_PEDIDO });
+    }
+
+    const { data: cart, error: cartError } = await supabase
+        .from('carritos')
+        .select('*')
+        .eq('id', carritoId)
+        .maybeSingle();
+
+    if (cartError) throw cartError;
+    if (!cart) throw httpError('Pedido no encontrado', 404);
+
+    const estadoActual = cart.estado;
+    const permitidos = TRANSICIONES_PEDIDO[estadoActual] || [];
+    if (!permitidos.includes(nuevoEstado)) {
+        throw httpError(
+            `Transición no permitida: ${estadoActual} → ${nuevoEstado}`,
+            409,
+            { estado_actual: estadoActual, permitidos }
+        );
+    }
+
+    // Se reclama la transición antes de tocar stock o pagos: el update va
+    // condicionado al estado leído, así que si dos procesos compiten (webhook y
+    // retorno de la pasarela, doble confirmación, confirmar y cancelar) solo uno
+    // aplica los efectos y el otro recibe 409
+    const { data: updated, error: updateError } = await supabase
+        .from('carritos')
+        .update({ estado: nuevoEstado })
+        .eq('id', carritoId)
+        .eq('estado', estadoActual)
+        .select();
+
+    if (updateError) throw updateError;
+    if (!updated || updated.length === 0) {
+        throw httpError('El pedido cambió de estado mientras se procesaba; reintenta', 409);
+    }
+
     try {
-        const { error } = await supabase.auth.signOut();
-        if (error) throw error;
-        
-        res.json({ success: true, message: 'Sesión cerrada' });
+        if (nuevoEstado === 'pagado') {
+            await confirmarReservas(carritoId);
+        } else if (nuevoEstado === 'cancelado') {
+            await liberarReservas(carritoId);
+            const { error } = await supabase
+                .from('pagos')
+                .update({ estado: 'rechazado' })
+                .eq('carrito_id', carritoId)
+                .eq('estado', 'pendiente');
+            if (error) throw error;
+        } else if (nuevoEstado === 'reembolsado') {
+            // Si el pedido no ha salido de bodega el stock vuelve por defecto
+            const reponerStock = opciones.reponer_stock !== undefined
+                ? Boolean(opciones.reponer_stock)
+                : ['pagado', 'preparando'].includes(estadoActual);
+
+            const { error: rpcError } = await supabase.rpc('revertir_reservas', {
+                p_carrito_id: carritoId,
+                p_reponer_stock: reponerStock
+            });
+            if (rpcError) throw rpcError;
+
+            const { error } = await supabase
+                .from('pagos')
+                .update({ estado: 'reembolsado' })
+                .eq('carrito_id', carritoId)
+                .eq('estado', 'aprobado');
+            if (error) throw error;
+        }
     } catch (error) {
-        console.error('Error en logout:', error);
-        res.status(500).json({ error: error.message });
+        // Los efectos fallaron: el pedido vuelve al estado anterior
+        const { error: rollbackError } = await supabase
+            .from('carritos')
+            .update({ estado: estadoActual })
+            .eq('id', carritoId)
+            .eq('estado', nuevoEstado);
+        if (rollbackError) console.error(`Error devolviendo el pedido ${carritoId} a ${estadoActual}:`, rollbackError);
+        throw error;
     }
-});
 
-// Verificar sesión
-app.get('/api/auth/session', async (req, res) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            return res.status(401).json({ error: 'No autorizado' });
+    // envios.estado nace como 'preparando'; se sincroniza al despachar y entregar
+    if (nuevoEstado === 'enviado' || nuevoEstado === 'entregado') {
+        const { error } = await supabase
+            .from('envios')
+            .update({ estado: nuevoEstado })
+            .eq('carrito_id', carritoId);
+        if (error) throw error;
+    }
+
+    const { error: historialError } = await supabase
+        .from('historial_estados_carrito')
+        .insert([{
+            carrito_id: carritoId,
+            estado_anterior: estadoActual,
+            estado_nuevo: nuevoEstado,
+            nota: opciones.nota || null,
+            actor: opciones.actor || 'sistema'
+        }]);
+
+    if (historialError) throw historialError;
+
+    return updated[0];
+}
+
+function sendErrorResponse(res, error) {
+    res.status(error.status || 500).json({
+        error: error.message,
+        ...(error.details || {})
+    });
+}
+
+// ============================================
+// PASARELAS DE PAGO
+// ============================================
+
+// Firma HMAC-SHA256 (hex) usada por los webhooks y por el retorno del proveedor mock
+function firmarPago(payload) {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET no configurado');
+    }
+    return crypto
+        .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+        .update(payload)
+        .digest('hex');
+}
+
+function verificarFirmaPago(payload, firma) {
+    if (!firma || typeof firma !== 'string') return false;
+    const esperada = Buffer.from(firmarPago(payload), 'hex');
+    const recibida = Buffer.from(firma, 'hex');
+    return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+}
+
+// Cada proveedor implementa:
+//   crearTransaccion(pago) -> { transaccion_id, accion }
+//   verificarRetorno(params) -> { transaccion_id, aprobado }   (solo flujos con redirect)
+// Todos aceptan además el webhook firmado genérico de POST /api/pagos/webhook/:proveedor
+const PAYMENT_PROVIDERS = {
+    // Simula una pasarela con redirect, sin red. Solo se habilita explícitamente
+    // con PAYMENT_MOCK_ENABLED=true (aprueba pagos sin cobrar)
+    mock: {
+        enabled: () => process.env.PAYMENT_MOCK_ENABLED === 'true',
+
+        async crearTransaccion(pago) {
+            const transaccion_id = `mock_${crypto.randomBytes(12).toString('hex')}`;
+            return {
+                transaccion_id,
+                accion: { tipo: 'redirect', url: `${BACKEND_URL}/api/pagos/mock/${transaccion_id}` }
+            };
+        },
+
+        async verificarRetorno(params) {
+            const { transaccion_id, resultado, firma } = params;
+            if (!verificarFirmaPago(`${transaccion_id}:${resultado}`, firma)) {
+                throw httpError('Firma inválida', 401);
+            }
+            return { transaccion_id, aprobado: resultado === 'aprobado' };
         }
+    },
+
+    // Transferencia bancaria: se entregan los datos de la cuenta y el staff
+    // confirma el pago manualmente (o la conciliación del banco llama al webhook)
+    transferencia: {
+        enabled: () => true,
+
+        async crearTransaccion(pago) {
+            // El id completo: una referencia truncada puede repetirse entre pagos
+            const transaccion_id = `TRF-${pago.id.toUpperCase()}`;
+            return {
+                transaccion_id,
+                accion: {
+                    tipo: 'instrucciones',
+                    banco: process.env.TRANSFERENCIA_BANCO || null,
+                    tipo_cuenta: process.env.TRANSFERENCIA_TIPO_CUENTA || null,
+                    numero_cuenta: process.env.TRANSFERENCIA_NUMERO_CUENTA || null,
+                    titular: process.env.TRANSFERENCIA_TITULAR || null,
+                    rut: process.env.TRANSFERENCIA_RUT || null,
+                    email: process.env.TRANSFERENCIA_EMAIL || process.env.CONTACT_EMAIL || null,
+                    monto: pago.monto_total,
+                    referencia: transaccion_id
+                }
+            };
+        }
+    },
+
+    // Webpay Plus (Transbank) vía API REST: crea la transacción, redirige al
+    // formulario de Webpay y al volver confirma (commit) con el token_ws
+    webpay: {
+        enabled: () => Boolean(process.env.WEBPAY_COMMERCE_CODE && process.env.WEBPAY_API_KEY),
+
+        async request(method, path, body) {
+            const baseUrl = process.env.WEBPAY_API_URL || 'https://webpay3gint.transbank.cl';
+            const response = await fetch(`${baseUrl}/rswebpaytransaction/api/webpay/v1.2/transactions${path}`, {
+                method,
+                headers: {
+                    'Tbk-Api-Key-Id': process.env.WEBPAY_COMMERCE_CODE,
+                    'Tbk-Api-Key-Secret': process.env.WEBPAY_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
 
-        const token = authHeader.replace('Bearer ', '');
-        const { data, error } = await supabase.auth.getUser(token);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(`Webpay respondió ${response.status}: ${data.error_message || 'error desconocido'}`);
+            }
+            return data;
+        },
+
+        async crearTransaccion(pago) {
+            const data = await this.request('POST', '', {
+                buy_order: pago.id.replace(/-/g, '').slice(0, 26),
+                session_id: pago.carrito_id,
+                amount: pago.monto_total,
+                return_url: `${BACKEND_URL}/api/pagos/retorno/webpay`
+            });
+            return {
+                transaccion_id: data.token,
+                accion: { tipo: 'redirect', url: `${data.url}?token_ws=${data.token}` }
+            };
+        },
 
-        if (error) throw error;
+        async verificarRetorno(params) {
+            // Pago abortado por el usuario en el formulario de Webpay
+            if (!params.token_ws && params.TBK_TOKEN) {
+                return { transaccion_id: params.TBK_TOKEN, aprobado: false };
+            }
+            if (!params.token_ws) {
+                throw httpError('token_ws requerido', 400);
+            }
 
-        res.json({ user: data.user });
-    } catch (error) {
-        console.error('Error verificando sesión:', error);
-        res.status(401).json({ error: error.message });
+            const data = await this.request('PUT', `/${params.token_ws}`);
+            return {
+                transaccion_id: params.token_ws,
+                aprobado: data.status === 'AUTHORIZED' && data.response_code === 0
+            };
+        }
     }
-});
+};
 
-// ============================================
-// RUTAS DE UPLOAD DE ARCHIVOS
-// ============================================
+// La pasarela simulada nunca debe quedar activa en producción
+if (PAYMENT_PROVIDERS.mock.enabled() && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_MOCK_ENABLED=true no está permitido con NODE_ENV=production');
+}
 
-// Upload de imágenes
-app.post('/api/upload/image', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No se proporcionó archivo' });
-        }
+function getEnabledPaymentProviders() {
+    return Object.fromEntries(
+        Object.entries(PAYMENT_PROVIDERS).filter(([, provider]) => provider.enabled())
+    );
+}
 
-        const file = req.file;
-        const fileExt = file.originalname.split('.').pop();
-        const fileName = `${Math.random().toString(36).substring(2)}_${Date.now()}.${fileExt}`;
-        const filePath = `images/${fileName}`;
+function getPaymentProvider(metodo) {
+    return getEnabledPaymentProviders()[metodo] || null;
+}
 
-        const { error: uploadError } = await supabase.storage
-            .from('Imagenes')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype,
-                cacheControl: '3600',
-                upsert: false
-            });
+async function getPago(filtro) {
+    let query = supabase.from('pagos').select('*');
+    for (const [campo, valor] of Object.entries(filtro)) {
+        query = query.eq(campo, valor);
+    }
 
-        if (uploadError) throw uploadError;
+    const { data: pago, error } = await query.maybeSingle();
 
-        const { data } = supabase.storage
-            .from('Imagenes')
-            .getPublicUrl(filePath);
+    if (error) throw error;
+    if (!pago) throw httpError('Pago no encontrado', 404);
+    return pago;
+}
 
-        res.json({ 
-            success: true, 
-            url: data.publicUrl 
-        });
-    } catch (error) {
-        console.error('Error subiendo imagen:', error);
-        res.status(500).json({ error: error.message });
+// Aplica el resultado de un pago: aprobado -> pedido pagado y stock comprometido;
+// rechazado -> stock liberado y carrito de vuelta a pendiente.
+// Es idempotente: las notificaciones repetidas de un pago ya resuelto no cambian nada.
+async function aplicarResultadoPago(pago, aprobado, actor, nota) {
+    const estado = aprobado ? 'aprobado' : 'rechazado';
+
+    // El update condicionado reclama el pago: si el webhook y el retorno llegan a
+    // la vez, o llega un resultado tardío, solo el primero lo aplica
+    const { data: reclamados, error } = await supabase
+        .from('pagos')
+        .update({ estado })
+        .eq('id', pago.id)
+        .eq('estado', 'pendiente')
+        .select();
+
+    if (error) throw error;
+    if (!reclamados || reclamados.length === 0) {
+        return getPago({ id: pago.id });
     }
-});
 
-// Upload de videos
-app.post('/api/upload/video', upload.single('file'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No se proporcionó archivo' });
+        if (aprobado) {
+            await transicionarPedido(pago.carrito_id, 'pagado', { actor, nota });
+        } else {
+            await liberarReservas(pago.carrito_id);
         }
+    } catch (efectoError) {
+        // El pago vuelve a pendiente para que un reintento del proveedor lo aplique
+        const { error: rollbackError } = await supabase
+            .from('pagos')
+            .update({ estado: 'pendiente' })
+            .eq('id', pago.id)
+            .eq('estado', estado);
+        if (rollbackError) console.error(`Error devolviendo el pago ${pago.id} a pendiente:`, rollbackError);
+        throw efectoError;
+    }
 
-        const file = req.file;
-        const fileExt = file.originalname.split('.').pop();
-        const fileName = `${Math.random().toString(36).substring(2)}_${Date.now()}.${fileExt}`;
-        const filePath = `videos/${fileName}`;
-
-        const { error: uploadError } = await supabase.storage
-            .from('Imagenes')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype,
-                cacheControl: '3600',
-                upsert: false
-            });
+    if (aprobado) {
+        await notificarPedido(pago.carrito_id, 'pago_aprobado', (pedido) => ({
+            codigo: pedido.codigo,
+            total: pago.monto_total,
+            metodo: pago.metodo
+        }));
+    }
 
-        if (uploadError) throw uploadError;
+    return reclamados[0];
+}
 
-        const { data } = supabase.storage
-            .from('Imagenes')
-            .getPublicUrl(filePath);
+// ============================================
+// RUTAS DE PAGOS
+// ============================================
 
-        res.json({ 
-            success: true, 
-            url: data.publicUrl 
-        });
-    } catch (error) {
-        console.error('Error subiendo video:', error);
-        res.status(500).json({ error: error.message });
-    }
+// Métodos de pago disponibles
+app.get('/api/pagos/metodos', validar(), (req, res) => {
+    res.json(Object.keys(getEnabledPaymentProviders()));
 });
 
-// Obtener productos relacionados
-app.get('/api/pcs/:id/related', async (req, res) => {
+// Webhook firmado de la pasarela.
+// Header X-Signature: HMAC-SHA256 hex del cuerpo con PAYMENT_WEBHOOK_SECRET.
+// Body: { "transaccion_id": "...", "estado": "aprobado" | "rechazado" }
+app.post('/api/pagos/webhook/:proveedor', validar({
+    params: { proveedor: campo.texto({ requerido: true, max: 50 }) },
+    // La pasarela puede agregar campos propios; solo se exigen los que usamos
+    body: campo.objeto({
+        transaccion_id: campo.texto({ requerido: true, max: 200 }),
+        estado: campo.texto({ requerido: true, enum: ['aprobado', 'rechazado'] })
+    }, { libre: true })
+}), async (req, res) => {
     try {
-        const { id } = req.params;
-        const limit = parseInt(req.query.limit) || 4;
+        const { proveedor } = req.params;
+        if (!getPaymentProvider(proveedor)) {
+            return res.status(404).json({ error: 'Proveedor de pago desconocido' });
+        }
 
-        // Primero obtener el producto para conocer su categoría
-        const { data: product, error: productError } = await supabase
-            .from('Productos')
-            .select('CATEGORIA')
-            .eq('id', id)
-            .single();
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+        if (!verificarFirmaPago(rawBody, req.headers['x-signature'])) {
+            return res.status(401).json({ error: 'Firma inválida' });
+        }
 
-        if (productError) throw productError;
+        const { transaccion_id, estado } = req.body;
+        if (!transaccion_id || !['aprobado', 'rechazado'].includes(estado)) {
+            return res.status(400).json({ error: 'transaccion_id y estado (aprobado|rechazado) son requeridos' });
+        }
 
-        // Obtener productos de la misma categoría
-        const { data, error } = await supabase
-            .from('Productos')
-            .select('*')
-            .eq('CATEGORIA', product.CATEGORIA)
-            .neq('id', id)
-            .limit(limit);
+        const pago = await getPago({ transaccion_id, metodo: proveedor });
+        const actualizado = await aplicarResultadoPago(
+            pago,
+            estado === 'aprobado',
+            proveedor,
+            `Webhook ${proveedor} (${transaccion_id})`
+        );
 
-        if (error) throw error;
-        res.json(data);
+        res.json({ success: true, pago: actualizado });
     } catch (error) {
-        console.error('Error obteniendo productos relacionados:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error procesando webhook de pago:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// ============================================
-// RUTAS DE GESTIÓN DE POSICIONES
-// ============================================
-
-// Actualizar posiciones masivamente
-app.put('/api/pcs/positions', async (req, res) => {
+// Retorno del usuario desde la pasarela (redirect). Verifica el resultado con el
+// proveedor y redirige al frontend con el estado final del pago.
+async function handlePaymentReturn(req, res) {
+    const { proveedor } = req.params;
     try {
-        const { positions } = req.body; // Array de { id, POSICION }
-
-        if (!Array.isArray(positions)) {
-            return res.status(400).json({ error: 'Se requiere un array de posiciones' });
+        const provider = getPaymentProvider(proveedor);
+        if (!provider || !provider.verificarRetorno) {
+            return res.status(404).json({ error: 'Proveedor de pago desconocido' });
         }
 
-        // Actualizar cada producto con su nueva posición
-        const updates = positions.map(({ id, POSICION }) =>
-            supabase
-                .from('Productos')
-                .update({ POSICION })
-                .eq('id', id)
-        );
+        const params = { ...req.query, ...req.body };
+        const { transaccion_id, aprobado } = await provider.verificarRetorno(params);
 
-        await Promise.all(updates);
+        const pago = await getPago({ transaccion_id, metodo: proveedor });
+        const actualizado = await aplicarResultadoPago(
+            pago,
+            aprobado,
+            proveedor,
+            `Retorno ${proveedor} (${transaccion_id})`
+        );
 
-        res.json({ 
-            success: true, 
-            message: 'Posiciones actualizadas correctamente' 
-        });
+        res.redirect(`${FRONTEND_URL}/checkout/resultado?pago=${actualizado.id}&estado=${actualizado.estado}`);
     } catch (error) {
-        console.error('Error actualizando posiciones:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error procesando retorno de pago:', error);
+        res.redirect(`${FRONTEND_URL}/checkout/resultado?estado=error&mensaje=${encodeURIComponent(error.message)}`);
     }
+}
+
+// Los parámetros del retorno dependen de cada pasarela; los verifica provider.verificarRetorno
+const validarRetornoPago = validar({
+    params: { proveedor: campo.texto({ requerido: true, max: 50 }) },
+    query: campo.objeto({}, { libre: true }),
+    body: campo.objeto({}, { libre: true })
 });
 
-// ============================================
-// RUTAS DE CONTACTO
-// ============================================
+app.get('/api/pagos/retorno/:proveedor', validarRetornoPago, handlePaymentReturn);
+app.post('/api/pagos/retorno/:proveedor', validarRetornoPago, handlePaymentReturn);
 
-// Enviar mensaje de contacto
-app.post('/api/contact', async (req, res) => {
+// Página de la pasarela simulada: permite aprobar o rechazar el pago localmente
+app.get('/api/pagos/mock/:transaccionId', validar({ params: { transaccionId: campo.texto({ requerido: true, max: 200 }) } }), async (req, res) => {
     try {
-        const { name, email, phone, service, message } = req.body;
-
-        // Validación básica
-        if (!name || !email || !message) {
-            return res.status(400).json({ 
-                error: 'Faltan campos requeridos: nombre, email y mensaje son obligatorios' 
-            });
+        if (!getPaymentProvider('mock')) {
+            return res.status(404).json({ error: 'Proveedor de pago desconocido' });
         }
 
-        // Validar formato de email
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ error: 'Email inválido' });
-        }
-
-        // Registrar en consola
-        console.log('📧 Nuevo mensaje de contacto:', {
-            name,
-            email,
-            phone,
-            service,
-            message,
-            timestamp: new Date().toISOString(),
-        });
+        const { transaccionId } = req.params;
+        const pago = await getPago({ transaccion_id: transaccionId, metodo: 'mock' });
+
+        const boton = (resultado, texto) => `
+            <form method="POST" action="/api/pagos/retorno/mock">
+                <input type="hidden" name="transaccion_id" value="${transaccionId}">
+                <input type="hidden" name="resultado" value="${resultado}">
+                <input type="hidden" name="firma" value="${firmarPago(`${transaccionId}:${resultado}`)}">
+                <button type="submit">${texto}</button>
+            </form>`;
+
+        res.send(`
+            <h2>Pasarela de pago simulada</h2>
+            <p><strong>Transacción:</strong> ${transaccionId}</p>
+            <p><strong>Monto:</strong> $${pago.monto_total}</p>
+            <p><strong>Estado:</strong> ${pago.estado}</p>
+            ${boton('aprobado', 'Aprobar pago')}
+            ${boton('rechazado', 'Rechazar pago')}
+        `);
+    } catch (error) {
+        console.error('Error en pasarela simulada:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Intentar enviar email si está configurado
-        if (emailTransporter) {
-            try {
-                await emailTransporter.sendMail({
-                    from: process.env.SMTP_USER,
-                    to: process.env.CONTACT_EMAIL || 'contacto@pcsystems.cl',
-                    replyTo: email,
-                    subject: `Nuevo mensaje de contacto - ${name}`,
-                    html: `
-                        <h2>Nuevo mensaje de contacto desde PCSystem</h2>
-                        <p><strong>Nombre:</strong> ${name}</p>
-                        <p><strong>Email:</strong> ${email}</p>
-                        <p><strong>Teléfono:</strong> ${phone || 'No proporcionado'}</p>
-                        <p><strong>Servicio de Interés:</strong> ${service || 'No especificado'}</p>
-                        <p><strong>Mensaje:</strong></p>
-                        <p>${message.replace(/\n/g, '<br>')}</p>
-                    `,
-                });
-            } catch (emailError) {
-                console.error('Error enviando email:', emailError);
-                // No fallar la request si el email falla
-            }
+// Confirmar pago (manual, p. ej. transferencias): compromete el stock y marca el carrito como pagado
+app.post('/api/pagos/:id/confirmar', requirePermission('pagos:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
+    try {
+        const pago = await getPago({ id: req.params.id });
+        if (pago.estado !== 'pendiente') {
+            return res.status(409).json({ error: `El pago ya está ${pago.estado}` });
         }
 
-        // Generar URL de WhatsApp como fallback
-        const whatsappMessage = `Nuevo contacto web:\n\nNombre: ${name}\nEmail: ${email}\nTeléfono: ${phone || 'N/A'}\nServicio: ${service || 'N/A'}\nMensaje: ${message}`;
-        const whatsappUrl = `https://wa.me/56989142836?text=${encodeURIComponent(whatsappMessage)}`;
-
-        res.json({
-            success: true,
-            message: 'Mensaje recibido correctamente',
-            whatsappUrl,
-        });
+        const actualizado = await aplicarResultadoPago(
+            pago,
+            true,
+            req.staff.email,
+            `Pago ${pago.id} confirmado manualmente`
+        );
 
+        res.json({ success: true, pago: actualizado });
     } catch (error) {
-        console.error('Error en API de contacto:', error);
-        res.status(500).json({
-            error: 'Error al procesar el mensaje',
-            details: error.message,
-        });
+        console.error('Error confirmando pago:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// ============================================
-// RUTAS DE ESTADÍSTICAS
-// ============================================
-
-// ============================================
-// RUTAS DE CARRITO / E-COMMERCE
-// ============================================
-
-// Crear carrito (opcionalmente vinculado a cliente)
-app.post('/api/carritos', async (req, res) => {
+// Rechazar pago: libera el stock reservado; el carrito queda pendiente
+app.post('/api/pagos/:id/rechazar', requirePermission('pagos:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
     try {
-        const { cliente_id } = req.body;
+        const pago = await getPago({ id: req.params.id });
+        if (pago.estado !== 'pendiente') {
+            return res.status(409).json({ error: `El pago ya está ${pago.estado}` });
+        }
 
-        const { data, error } = await supabase
-            .from('carritos')
-            .insert([{ cliente_id }])
-            .select();
+        const actualizado = await aplicarResultadoPago(pago, false, req.staff.email);
 
-        if (error) throw error;
-        res.status(201).json(data[0]);
+        res.json({ success: true, pago: actualizado });
     } catch (error) {
-        console.error('Error creando carrito:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error rechazando pago:', error);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Obtener (o crear) carrito pendiente de un cliente
-app.get('/api/clientes/:clienteId/carrito', async (req, res) => {
+// ============================================
+// RUTAS DE PEDIDOS (administración)
+// ============================================
+
+// Listar pedidos (carritos con sus pagos y envíos), opcionalmente por estado
+app.get('/api/pedidos', requirePermission('pedidos:gestionar'), validar({
+    query: { ...paginacion(), estado: campo.texto({ enum: ESTADOS_PEDIDO }) }
+}), async (req, res) => {
     try {
-        const { clienteId } = req.params;
+        const { estado } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
 
-        // Buscar carrito pendiente
-        const { data: existing, error: existingError } = await supabase
+        let query = supabase
             .from('carritos')
-            .select('*')
-            .eq('cliente_id', clienteId)
-            .eq('estado', 'pendiente')
-            .limit(1)
-            .maybeSingle();
-
-        if (existingError) throw existingError;
+            .select('*, pagos(*), envios(*)', { count: 'exact' });
 
-        if (existing) {
-            return res.json(existing);
+        if (estado) {
+            if (!ESTADOS_PEDIDO.includes(estado)) {
+                return res.status(400).json({ error: `Estado desconocido: ${estado}`, estados: ESTADOS_PEDIDO });
+            }
+            query = query.eq('estado', estado);
         }
 
-        // Crear nuevo carrito
-        const { data, error } = await supabase
-            .from('carritos')
-            .insert([{ cliente_id: clienteId }])
-            .select();
+        const { data, error, count } = await query
+            .order('creado_en', { ascending: false })
+            .range(from, to);
 
         if (error) throw error;
-        res.status(201).json(data[0]);
+
+        res.json({
+            data,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: to < count - 1
+            }
+        });
     } catch (error) {
-        console.error('Error obteniendo/creando carrito del cliente:', error);
+        console.error('Error listando pedidos:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Obtener carrito con items y datos de producto
-app.get('/api/carritos/:id', async (req, res) => {
+// Obtener historial de estados de un pedido
+app.get('/api/pedidos/:id/historial', requirePermission('pedidos:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        const { data: cart, error: cartError } = await supabase
-            .from('carritos')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (cartError) throw cartError;
-
-        const { data: items, error: itemsError } = await supabase
-            .from('detalle_carrito')
+        const { data, error } = await supabase
+            .from('historial_estados_carrito')
             .select('*')
-            .eq('carrito_id', id);
-
-        if (itemsError) throw itemsError;
-
-        // Enriquecer items con datos de Productos
-        const productoIds = items.map(i => i.producto_id);
-        let productsMap = {};
-        if (productoIds.length > 0) {
-            const { data: products } = await supabase
-                .from('Productos')
-                .select('*')
-                .in('id', productoIds);
-
-            productsMap = (products || []).reduce((acc, p) => {
-                acc[p.id] = p; return acc;
-            }, {});
-        }
-
-        const enriched = items.map(i => ({
-            ...i,
-            producto: productsMap[i.producto_id] || null
-        }));
+            .eq('carrito_id', req.params.id)
+            .order('creado_en', { ascending: true });
 
-        res.json({ cart, items: enriched });
+        if (error) throw error;
+        res.json(data || []);
     } catch (error) {
-        console.error('Error obteniendo carrito:', error);
+        console.error('Error obteniendo historial del pedido:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Añadir o actualizar item en carrito
-app.post('/api/carritos/:id/items', async (req, res) => {
+// Cambiar estado de un pedido
+app.post('/api/pedidos/:id/estado', requirePermission('pedidos:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: {
+        estado: campo.texto({ requerido: true, enum: ESTADOS_PEDIDO }),
+        nota: campo.texto({ max: 1000 }),
+        reponer_stock: campo.booleano()
+    }
+}), async (req, res) => {
     try {
-        const { id } = req.params; // carrito id
-        const { producto_id, cantidad } = req.body;
+        const { estado, nota, reponer_stock } = req.body;
 
-        if (!producto_id || !cantidad) {
-            return res.status(400).json({ error: 'producto_id y cantidad son requeridos' });
+        if (!estado) {
+            return res.status(400).json({ error: 'estado es requerido' });
         }
 
-        // Obtener precio actual del producto
-        const { data: product, error: productError } = await supabase
-            .from('Productos')
-            .select('PRECIO')
-            .eq('id', producto_id)
-            .single();
-
-        if (productError) throw productError;
-
-        const precio_unitario = typeof product.PRECIO === 'string' ? parseInt(product.PRECIO.replace(/[^\d]/g, '')) : product.PRECIO;
-
-        // Verificar si item ya existe
-        const { data: existing, error: existingError } = await supabase
-            .from('detalle_carrito')
-            .select('*')
-            .eq('carrito_id', id)
-            .eq('producto_id', producto_id)
-            .limit(1)
-            .maybeSingle();
-
-        if (existingError) throw existingError;
-
-        if (existing) {
-            // Actualizar cantidad
-            const newCantidad = existing.cantidad + cantidad;
-            const { data, error } = await supabase
-                .from('detalle_carrito')
-                .update({ cantidad: newCantidad })
-                .eq('id', existing.id)
-                .select();
+        // El paso a pagado depende de un pago real
+        if (estado === 'pagado') {
+            return res.status(400).json({
+                error: 'Para marcar un pedido como pagado confirma su pago con POST /api/pagos/:id/confirmar'
+            });
+        }
 
-            if (error) throw error;
-            return res.json(data[0]);
+        if (estado === 'reembolsado' && !hasPermission(req.staff.role, 'pedidos:reembolsar')) {
+            return res.status(403).json({ error: 'Permisos insuficientes', required: 'pedidos:reembolsar' });
         }
 
-        // Insertar nuevo item
-        const { data, error } = await supabase
-            .from('detalle_carrito')
-            .insert([{
-                carrito_id: id,
-                producto_id,
-                cantidad,
-                precio_unitario
-            }])
-            .select();
+        const pedido = await transicionarPedido(req.params.id, estado, {
+            actor: req.staff.email,
+            nota,
+            reponer_stock
+        });
 
-        if (error) throw error;
-        res.status(201).json(data[0]);
+        res.json({ success: true, pedido });
     } catch (error) {
-        console.error('Error añadiendo item al carrito:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error cambiando estado del pedido:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// Actualizar cantidad de item
-app.put('/api/carritos/:id/items/:itemId', async (req, res) => {
+// ============================================
+// RUTAS DE SEGUIMIENTO DE ENVÍOS
+// ============================================
+
+const eventoEnvioCampos = {
+    descripcion: campo.texto({ max: 500 }),
+    ubicacion: campo.texto({ max: 200 }),
+    ocurrido_en: campo.fecha()
+};
+
+async function getEnvio(id) {
+    const { data: envio, error } = await supabase
+        .from('envios')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!envio) throw httpError('Envío no encontrado', 404);
+    return envio;
+}
+
+async function registrarEventoEnvio(envioId, evento) {
+    const { data, error } = await supabase
+        .from('eventos_envio')
+        .insert([{
+            envio_id: envioId,
+            estado: evento.estado || null,
+            descripcion: evento.descripcion,
+            ubicacion: evento.ubicacion || null,
+            ocurrido_en: evento.ocurrido_en || new Date().toISOString(),
+            actor: evento.actor || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+// Listar envíos (admin)
+app.get('/api/envios', requirePermission('envios:gestionar'), validar({
+    query: { estado: campo.texto({ max: 50 }), courier: campo.texto({ max: 100 }) }
+}), async (req, res) => {
     try {
-        const { id, itemId } = req.params;
-        const { cantidad } = req.body;
+        const { estado, courier } = req.query;
 
-        if (cantidad === undefined) return res.status(400).json({ error: 'cantidad requerida' });
+        let query = supabase
+            .from('envios')
+            .select('*, carrito:carrito_id (id, codigo, estado, email_contacto)');
 
-        const { data, error } = await supabase
-            .from('detalle_carrito')
-            .update({ cantidad })
-            .eq('id', itemId)
-            .eq('carrito_id', id)
-            .select();
+        if (estado) query = query.eq('estado', estado);
+        if (courier) query = query.eq('courier', courier);
+
+        const { data, error } = await query.order('creado_en', { ascending: false });
 
         if (error) throw error;
-        res.json(data[0]);
+        res.json(data || []);
     } catch (error) {
-        console.error('Error actualizando item:', error);
+        console.error('Error listando envíos:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Eliminar item del carrito
-app.delete('/api/carritos/:id/items/:itemId', async (req, res) => {
+// Asignar courier y número de seguimiento
+app.put('/api/envios/:id/despacho', requirePermission('envios:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: {
+        courier: campo.texto({ requerido: true, max: 100 }),
+        numero_seguimiento: campo.texto({ requerido: true, max: 100 }),
+        url_seguimiento: campo.texto({ max: 500, patron: /^https?:\/\//, nulo: true })
+    }
+}), async (req, res) => {
     try {
-        const { id, itemId } = req.params;
+        const { courier, numero_seguimiento, url_seguimiento } = req.body;
 
-        const { error } = await supabase
-            .from('detalle_carrito')
-            .delete()
-            .eq('id', itemId)
-            .eq('carrito_id', id);
+        if (!courier || !numero_seguimiento) {
+            return res.status(400).json({ error: 'courier y numero_seguimiento son requeridos' });
+        }
+
+        const envio = await getEnvio(req.params.id);
+
+        const { data, error } = await supabase
+            .from('envios')
+            .update({
+                courier,
+                numero_seguimiento,
+                url_seguimiento: url_seguimiento || null
+            })
+            .eq('id', envio.id)
+            .select()
+            .single();
 
         if (error) throw error;
-        res.json({ success: true });
+
+        await registrarEventoEnvio(envio.id, {
+            descripcion: `Asignado a ${courier} con seguimiento ${numero_seguimiento}`,
+            actor: req.staff.email
+        });
+
+        res.json(data);
     } catch (error) {
-        console.error('Error eliminando item:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error asignando despacho:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// Aplicar código de descuento al carrito (no marca como usado automáticamente)
-app.post('/api/carritos/:id/apply-discount', async (req, res) => {
+// Marcar envío como enviado o entregado (mueve también el estado del pedido)
+app.post('/api/envios/:id/estado', requirePermission('envios:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: {
+        estado: campo.texto({ requerido: true, enum: ['enviado', 'entregado'] }),
+        ...eventoEnvioCampos
+    }
+}), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { codigo } = req.body;
+        const { estado, descripcion, ubicacion, ocurrido_en } = req.body;
 
-        if (!codigo) return res.status(400).json({ error: 'codigo requerido' });
+        if (!['enviado', 'entregado'].includes(estado)) {
+            return res.status(400).json({ error: 'estado debe ser enviado o entregado' });
+        }
 
-        const { data: descuento, error: descError } = await supabase
-            .from('descuentos_productos')
-            .select('*')
-            .eq('codigo', codigo)
-            .maybeSingle();
+        const envio = await getEnvio(req.params.id);
 
-        if (descError) throw descError;
-        if (!descuento) return res.status(404).json({ error: 'Código no encontrado' });
+        if (estado === 'enviado' && (!envio.courier || !envio.numero_seguimiento)) {
+            return res.status(400).json({
+                error: 'Asigna courier y número de seguimiento antes de marcar el envío como enviado'
+            });
+        }
 
-        // Verificar validez temporal
-        const ahora = new Date();
-        if (descuento.valido_desde && new Date(descuento.valido_desde) > ahora) return res.status(400).json({ error: 'Código no válido aún' });
-        if (descuento.valido_hasta && new Date(descuento.valido_hasta) < ahora) return res.status(400).json({ error: 'Código expirado' });
+        await transicionarPedido(envio.carrito_id, estado, {
+            actor: req.staff.email,
+            nota: descripcion
+        });
 
-        // Calcular total del carrito
-        const { data: items } = await supabase
-            .from('detalle_carrito')
-            .select('*')
-            .eq('carrito_id', id);
+        const evento = await registrarEventoEnvio(envio.id, {
+            estado,
+            descripcion: descripcion || (estado === 'enviado' ? 'Pedido despachado' : 'Pedido entregado'),
+            ubicacion,
+            ocurrido_en,
+            actor: req.staff.email
+        });
 
-        const subtotal = (items || []).reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
-        const descuentoMonto = Math.round(subtotal * (descuento.porcentaje / 100));
-        const total = subtotal - descuentoMonto;
+        if (estado === 'enviado') {
+            await notificarPedido(envio.carrito_id, 'envio_despachado', (pedido) => ({
+                codigo: pedido.codigo,
+                courier: envio.courier,
+                numero_seguimiento: envio.numero_seguimiento,
+                url_seguimiento: envio.url_seguimiento
+            }));
+        }
 
-        res.json({ subtotal, descuento: descuentoMonto, total, descuento_id: descuento.id });
+        res.json({ success: true, envio: { ...envio, estado }, evento });
     } catch (error) {
-        console.error('Error aplicando descuento:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error actualizando estado del envío:', error);
+        sendErrorResponse(res, error);
     }
 });
 
-// Checkout (crea pago y envio; no integra con pasarela real aquí)
-app.post('/api/carritos/:id/checkout', async (req, res) => {
+// Registrar evento de entrega (en tránsito, en reparto, intento fallido, etc.)
+app.post('/api/envios/:id/eventos', requirePermission('envios:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: { ...eventoEnvioCampos, descripcion: campo.texto({ requerido: true, max: 500 }) }
+}), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { metodo, envio } = req.body; // envio: { direccion, courier }
+        const { descripcion, ubicacion, ocurrido_en } = req.body;
 
-        // Obtener items
-        const { data: items, error: itemsError } = await supabase
-            .from('detalle_carrito')
-            .select('*')
-            .eq('carrito_id', id);
+        if (!descripcion) {
+            return res.status(400).json({ error: 'descripcion es requerida' });
+        }
 
-        if (itemsError) throw itemsError;
+        const envio = await getEnvio(req.params.id);
+        const evento = await registrarEventoEnvio(envio.id, {
+            descripcion,
+            ubicacion,
+            ocurrido_en,
+            actor: req.staff.email
+        });
+
+        res.status(201).json(evento);
+    } catch (error) {
+        console.error('Error registrando evento de envío:', error);
+        sendErrorResponse(res, error);
+    }
+});
 
-        const monto_total = (items || []).reduce((sum, it) => sum + (it.precio_unitario * it.cantidad), 0);
+// Seguimiento público por código de pedido + email de la compra
+app.get('/api/seguimiento', rateLimit('seguimiento-ip', RATE_LIMITS.seguimiento_ip, porIp), validar({
+    query: { codigo: campo.texto({ requerido: true, max: 20 }), email: campo.email({ requerido: true }) }
+}), async (req, res) => {
+    try {
+        const { codigo, email } = req.query;
 
-        // Crear pago
-        const { data: pago, error: pagoError } = await supabase
-            .from('pagos')
-            .insert([{ carrito_id: id, monto_total, metodo, estado: 'pendiente' }])
-            .select();
+        if (!codigo || !email) {
+            return res.status(400).json({ error: 'codigo y email son requeridos' });
+        }
 
-        if (pagoError) throw pagoError;
+        const { data: pedido, error } = await supabase
+            .from('carritos')
+            .select('id, codigo, estado, email_contacto, creado_en')
+            .eq('codigo', codigo.trim().toUpperCase())
+            .maybeSingle();
 
-        // Crear envio si se proporcionó
-        let envioData = null;
-        if (envio && envio.direccion) {
-            const { data: env, error: envError } = await supabase
-                .from('envios')
-                .insert([{ carrito_id: id, direccion: envio.direccion, courier: envio.courier || null }])
-                .select();
+        if (error) throw error;
 
-            if (envError) throw envError;
-            envioData = env[0];
+        // Mismo mensaje si el código no existe o el email no coincide
+        if (!pedido || (pedido.email_contacto || '').toLowerCase() !== email.trim().toLowerCase()) {
+            return res.status(404).json({ error: 'No encontramos un pedido con ese código y email' });
         }
 
-        // Actualizar estado del carrito a 'pagado' (puedes cambiar a 'procesando' hasta confirmación real)
-        await supabase.from('carritos').update({ estado: 'pagado' }).eq('id', id);
+        const { data: envios, error: enviosError } = await supabase
+            .from('envios')
+            .select('id, estado, courier, numero_seguimiento, url_seguimiento, region, comuna, eventos:eventos_envio (estado, descripcion, ubicacion, ocurrido_en)')
+            .eq('carrito_id', pedido.id);
+
+        if (enviosError) throw enviosError;
+
+        const { data: historial, error: historialError } = await supabase
+            .from('historial_estados_carrito')
+            .select('estado_nuevo, creado_en')
+            .eq('carrito_id', pedido.id)
+            .order('creado_en', { ascending: true });
+
+        if (historialError) throw historialError;
 
-        res.json({ pago: pago[0], envio: envioData });
+        res.json({
+            codigo: pedido.codigo,
+            estado: pedido.estado,
+            creado_en: pedido.creado_en,
+            historial: (historial || []).map(h => ({ estado: h.estado_nuevo, fecha: h.creado_en })),
+            envios: (envios || []).map(e => ({
+                ...e,
+                eventos: (e.eventos || []).sort((a, b) => new Date(a.ocurrido_en) - new Date(b.ocurrido_en))
+            }))
+        });
     } catch (error) {
-        console.error('Error en checkout:', error);
+        console.error('Error en seguimiento de pedido:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 
 // Obtener productos con bajo stock
-app.get('/api/pcs/low-stock', async (req, res) => {
+app.get('/api/pcs/low-stock', requirePermission('estadisticas:ver'), validar({ query: { threshold: campo.entero({ min: 0 }) } }), async (req, res) => {
     try {
-        const threshold = parseInt(req.query.threshold) || 5;
+        const threshold = req.query.threshold ?? 5;
         
-        const { data, error } = await supabase
+        const { data, error } = await sinArchivados(supabase
             .from('Productos')
-            .select('*')
+            .select('*'))
             .lte('STOCK', threshold)
             .order('STOCK', { ascending: true });
 
@@ -977,13 +7174,13 @@ app.get('/api/pcs/low-stock', async (req, res) => {
 });
 
 // Obtener productos más vendidos
-app.get('/api/pcs/top-selling', async (req, res) => {
+app.get('/api/pcs/top-selling', validar({ query: { limit: campo.entero({ min: 1, max: 100 }) } }), async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
         
-        const { data, error } = await supabase
+        const { data, error } = await soloCatalogo(supabase
             .from('Productos')
-            .select('*')
+            .select('*'))
             .order('NUM_VENTAS', { ascending: false })
             .limit(limit);
 
@@ -999,8 +7196,16 @@ app.get('/api/pcs/top-selling', async (req, res) => {
 // Descuentos por Producto Routes
 // ============================================
 
+const descuentoCampos = {
+    porcentaje: campo.entero({ requerido: true, min: 1, max: 100 }),
+    fecha_inicio: campo.fecha({ nulo: true }),
+    fecha_fin: campo.fecha({ nulo: true })
+};
+
+const reglaFechasBody = reglaRango('body', 'fecha_inicio', 'fecha_fin', 'debe ser posterior a fecha_inicio');
+
 // Obtener todos los descuentos de productos
-app.get('/api/descuentos-productos', async (req, res) => {
+app.get('/api/descuentos-productos', validar(), async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('descuentos_productos')
@@ -1015,7 +7220,9 @@ app.get('/api/descuentos-productos', async (req, res) => {
             `);
 
         if (error) throw error;
-        res.json(data || []);
+
+        const now = new Date();
+        res.json((data || []).map(d => ({ ...d, vigente: descuentoVigente(d, now) })));
     } catch (error) {
         console.error('Error obteniendo descuentos:', error);
         res.status(500).json({ error: error.message });
@@ -1023,7 +7230,10 @@ app.get('/api/descuentos-productos', async (req, res) => {
 });
 
 // Crear descuento de producto
-app.post('/api/descuentos-productos', async (req, res) => {
+app.post('/api/descuentos-productos', requirePermission('descuentos:gestionar'), validar({
+    body: { producto_id: campo.entero({ requerido: true, min: 1 }), ...descuentoCampos },
+    reglas: reglaFechasBody
+}), async (req, res) => {
     try {
         const { producto_id, porcentaje, fecha_inicio, fecha_fin } = req.body;
 
@@ -1059,6 +7269,8 @@ app.post('/api/descuentos-productos', async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'descuento_producto', entidadId: data.id, accion: 'crear', actor: req.staff.email, despues: data });
         res.json(data);
     } catch (error) {
         console.error('Error creando descuento:', error);
@@ -1067,7 +7279,11 @@ app.post('/api/descuentos-productos', async (req, res) => {
 });
 
 // Actualizar descuento de producto
-app.put('/api/descuentos-productos/:id', async (req, res) => {
+app.put('/api/descuentos-productos/:id', requirePermission('descuentos:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: descuentoCampos,
+    reglas: reglaFechasBody
+}), async (req, res) => {
     try {
         const { id } = req.params;
         const { porcentaje, fecha_inicio, fecha_fin } = req.body;
@@ -1080,6 +7296,9 @@ app.put('/api/descuentos-productos/:id', async (req, res) => {
         if (fecha_inicio !== undefined) updateData.fecha_inicio = fecha_inicio || null;
         if (fecha_fin !== undefined) updateData.fecha_fin = fecha_fin || null;
 
+        const antes = await getVersionEntidad('descuento_producto', id);
+        if (!antes) throw httpError('Descuento no encontrado', 404);
+
         const { data, error } = await supabase
             .from('descuentos_productos')
             .update(updateData)
@@ -1088,17 +7307,20 @@ app.put('/api/descuentos-productos/:id', async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'descuento_producto', entidadId: id, accion: 'actualizar', actor: req.staff.email, antes, despues: data });
         res.json(data);
     } catch (error) {
         console.error('Error actualizando descuento:', error);
-        res.status(500).json({ error: error.message });
+        sendErrorResponse(res, error);
     }
 });
 
 // Eliminar descuento de producto
-app.delete('/api/descuentos-productos/:id', async (req, res) => {
+app.delete('/api/descuentos-productos/:id', requirePermission('descuentos:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
     try {
         const { id } = req.params;
+        const antes = await getVersionEntidad('descuento_producto', id);
 
         const { error } = await supabase
             .from('descuentos_productos')
@@ -1106,6 +7328,8 @@ app.delete('/api/descuentos-productos/:id', async (req, res) => {
             .eq('id', id);
 
         if (error) throw error;
+
+        if (antes) await registrarAuditoria({ entidad: 'descuento_producto', entidadId: id, accion: 'eliminar', actor: req.staff.email, antes });
         res.json({ success: true });
     } catch (error) {
         console.error('Error eliminando descuento:', error);
@@ -1117,8 +7341,31 @@ app.delete('/api/descuentos-productos/:id', async (req, res) => {
 // Packs Routes
 // ============================================
 
+function packCampos({ crear = false } = {}) {
+    return {
+        nombre: campo.texto({ requerido: crear, max: 200 }),
+        descripcion: campo.texto({ max: 5000, nulo: true }),
+        precio: campo.entero({ requerido: crear, min: 0 }),
+        productos: campo.lista(campo.objeto({
+            producto_id: campo.entero({ requerido: true, min: 1 }),
+            cantidad: campo.entero({ min: 1, max: 999, defecto: 1 })
+        }), { requerido: crear, min: 1, max: 100 })
+    };
+}
+
+// Los packs descuentan stock del producto, así que no admiten productos con variantes
+async function verificarProductosPack(productos) {
+    const ids = [...new Set(productos.map(p => p.producto_id))];
+    const variantes = await getVariantesPorProducto(ids, { incluirInactivas: true });
+    const conVariantes = ids.filter(id => variantes[id]);
+
+    if (conVariantes.length > 0) {
+        throw httpError('Los packs no admiten productos con variantes', 400, { productos: conVariantes });
+    }
+}
+
 // Obtener todos los packs
-app.get('/api/packs', async (req, res) => {
+app.get('/api/packs', validar(), async (req, res) => {
     try {
         const { data: packs, error: packsError } = await supabase
             .from('packs')
@@ -1144,9 +7391,22 @@ app.get('/api/packs', async (req, res) => {
 
                 if (itemsError) throw itemsError;
 
+                // Precios efectivos de los productos del pack
+                const productos = await preciarProductos(
+                    (items || []).map(it => it.producto).filter(Boolean)
+                );
+                const productosMap = productos.reduce((acc, p) => {
+                    acc[p.id] = p; return acc;
+                }, {});
+                const itemsPreciados = (items || []).map(it => ({
+                    ...it,
+                    producto: it.producto ? productosMap[it.producto.id] : null
+                }));
+
                 return {
                     ...pack,
-                    productos: items || []
+                    productos: itemsPreciados,
+                    precio_calculado: calcularPrecioPack(pack, itemsPreciados)
                 };
             })
         );
@@ -1159,7 +7419,7 @@ app.get('/api/packs', async (req, res) => {
 });
 
 // Crear pack
-app.post('/api/packs', async (req, res) => {
+app.post('/api/packs', requirePermission('packs:gestionar'), validar({ body: packCampos({ crear: true }) }), async (req, res) => {
     try {
         const { nombre, descripcion, precio, productos } = req.body;
 
@@ -1167,6 +7427,8 @@ app.post('/api/packs', async (req, res) => {
             return res.status(400).json({ error: 'Faltan datos requeridos' });
         }
 
+        await verificarProductosPack(productos);
+
         // Crear el pack
         const { data: pack, error: packError } = await supabase
             .from('packs')
@@ -1193,15 +7455,26 @@ app.post('/api/packs', async (req, res) => {
 
         if (itemsError) throw itemsError;
 
+        await registrarAuditoria({
+            entidad: 'pack',
+            entidadId: pack.id,
+            accion: 'crear',
+            actor: req.staff.email,
+            despues: await getVersionEntidad('pack', pack.id)
+        });
+
         res.json(pack);
     } catch (error) {
         console.error('Error creando pack:', error);
-        res.status(500).json({ error: error.message });
+        sendErrorResponse(res, error);
     }
 });
 
 // Actualizar pack
-app.put('/api/packs/:id', async (req, res) => {
+app.put('/api/packs/:id', requirePermission('packs:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: campo.objeto(packCampos(), { noVacio: true })
+}), async (req, res) => {
     try {
         const { id } = req.params;
         const { nombre, descripcion, precio, productos } = req.body;
@@ -1212,6 +7485,11 @@ app.put('/api/packs/:id', async (req, res) => {
         if (descripcion !== undefined) updateData.descripcion = descripcion;
         if (precio !== undefined) updateData.precio = precio;
 
+        if (productos) await verificarProductosPack(productos);
+
+        const antes = await getVersionEntidad('pack', id);
+        if (!antes) throw httpError('Pack no encontrado', 404);
+
         const { data: pack, error: packError } = await supabase
             .from('packs')
             .update(updateData)
@@ -1243,17 +7521,27 @@ app.put('/api/packs/:id', async (req, res) => {
             if (itemsError) throw itemsError;
         }
 
+        await registrarAuditoria({
+            entidad: 'pack',
+            entidadId: id,
+            accion: 'actualizar',
+            actor: req.staff.email,
+            antes,
+            despues: await getVersionEntidad('pack', id)
+        });
+
         res.json(pack);
     } catch (error) {
         console.error('Error actualizando pack:', error);
-        res.status(500).json({ error: error.message });
+        sendErrorResponse(res, error);
     }
 });
 
 // Eliminar pack
-app.delete('/api/packs/:id', async (req, res) => {
+app.delete('/api/packs/:id', requirePermission('packs:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
     try {
         const { id } = req.params;
+        const antes = await getVersionEntidad('pack', id);
 
         // Primero eliminar productos del pack
         await supabase
@@ -1268,6 +7556,8 @@ app.delete('/api/packs/:id', async (req, res) => {
             .eq('id', id);
 
         if (error) throw error;
+
+        if (antes) await registrarAuditoria({ entidad: 'pack', entidadId: id, accion: 'eliminar', actor: req.staff.email, antes });
         res.json({ success: true });
     } catch (error) {
         console.error('Error eliminando pack:', error);
@@ -1279,8 +7569,28 @@ app.delete('/api/packs/:id', async (req, res) => {
 // Cupones Routes
 // ============================================
 
+function cuponCampos({ crear = false } = {}) {
+    return {
+        codigo: campo.texto({ requerido: crear, max: 50, patron: /^[A-Za-z0-9_-]+$/ }),
+        tipo_descuento: campo.texto({ requerido: crear, enum: ['porcentaje', 'fijo'] }),
+        valor_descuento: campo.numero({ requerido: crear, min: 0.01 }),
+        uso_unico: campo.booleano(),
+        usos_maximos: campo.entero({ min: 1, nulo: true }),
+        fecha_inicio: campo.fecha({ nulo: true }),
+        fecha_fin: campo.fecha({ nulo: true }),
+        activo: campo.booleano()
+    };
+}
+
+const reglasCupon = combinarReglas(
+    reglaFechasBody,
+    ({ body }) => (body.tipo_descuento === 'porcentaje' && body.valor_descuento > 100)
+        ? [{ ubicacion: 'body', campo: 'valor_descuento', mensaje: 'un porcentaje no puede ser mayor a 100' }]
+        : []
+);
+
 // Obtener todos los cupones
-app.get('/api/cupones', async (req, res) => {
+app.get('/api/cupones', requirePermission('cupones:gestionar'), validar(), async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('cupones')
@@ -1296,7 +7606,10 @@ app.get('/api/cupones', async (req, res) => {
 });
 
 // Crear cupón
-app.post('/api/cupones', async (req, res) => {
+app.post('/api/cupones', requirePermission('cupones:gestionar'), validar({
+    body: cuponCampos({ crear: true }),
+    reglas: reglasCupon
+}), async (req, res) => {
     try {
         const { 
             codigo, 
@@ -1343,6 +7656,8 @@ app.post('/api/cupones', async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'cupon', entidadId: data.id, accion: 'crear', actor: req.staff.email, despues: data });
         res.json(data);
     } catch (error) {
         console.error('Error creando cupón:', error);
@@ -1351,7 +7666,11 @@ app.post('/api/cupones', async (req, res) => {
 });
 
 // Actualizar cupón
-app.put('/api/cupones/:id', async (req, res) => {
+app.put('/api/cupones/:id', requirePermission('cupones:gestionar'), validar({
+    params: { id: campo.uuid({ requerido: true }) },
+    body: campo.objeto(cuponCampos(), { noVacio: true }),
+    reglas: reglasCupon
+}), async (req, res) => {
     try {
         const { id } = req.params;
         const { 
@@ -1375,6 +7694,9 @@ app.put('/api/cupones/:id', async (req, res) => {
         if (fecha_fin !== undefined) updateData.fecha_fin = fecha_fin;
         if (activo !== undefined) updateData.activo = activo;
 
+        const antes = await getVersionEntidad('cupon', id);
+        if (!antes) throw httpError('Cupón no encontrado', 404);
+
         const { data, error } = await supabase
             .from('cupones')
             .update(updateData)
@@ -1383,17 +7705,20 @@ app.put('/api/cupones/:id', async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await registrarAuditoria({ entidad: 'cupon', entidadId: id, accion: 'actualizar', actor: req.staff.email, antes, despues: data });
         res.json(data);
     } catch (error) {
         console.error('Error actualizando cupón:', error);
-        res.status(500).json({ error: error.message });
+        sendErrorResponse(res, error);
     }
 });
 
 // Eliminar cupón
-app.delete('/api/cupones/:id', async (req, res) => {
+app.delete('/api/cupones/:id', requirePermission('cupones:gestionar'), validar({ params: { id: campo.uuid({ requerido: true }) } }), async (req, res) => {
     try {
         const { id } = req.params;
+        const antes = await getVersionEntidad('cupon', id);
 
         const { error } = await supabase
             .from('cupones')
@@ -1401,6 +7726,8 @@ app.delete('/api/cupones/:id', async (req, res) => {
             .eq('id', id);
 
         if (error) throw error;
+
+        if (antes) await registrarAuditoria({ entidad: 'cupon', entidadId: id, accion: 'eliminar', actor: req.staff.email, antes });
         res.json({ success: true });
     } catch (error) {
         console.error('Error eliminando cupón:', error);
@@ -1409,7 +7736,9 @@ app.delete('/api/cupones/:id', async (req, res) => {
 });
 
 // Validar cupón
-app.post('/api/cupones/validar', async (req, res) => {
+app.post('/api/cupones/validar', rateLimit('cupones-ip', RATE_LIMITS.cupones_ip, porIp), validar({
+    body: { codigo: campo.texto({ requerido: true, max: 50 }) }
+}), async (req, res) => {
     try {
         const { codigo } = req.body;
 
@@ -1417,57 +7746,329 @@ app.post('/api/cupones/validar', async (req, res) => {
             return res.status(400).json({ error: 'Código requerido' });
         }
 
-        const { data: cupon, error } = await supabase
-            .from('cupones')
-            .select('*')
-            .eq('codigo', codigo.toUpperCase())
-            .single();
+        const cupon = await getCuponValido(codigo);
 
-        if (error || !cupon) {
-            return res.status(404).json({ error: 'Cupón no encontrado' });
-        }
+        res.json({ 
+            valid: true, 
+            cupon: {
+                tipo_descuento: cupon.tipo_descuento,
+                valor_descuento: cupon.valor_descuento
+            }
+        });
+    } catch (error) {
+        console.error('Error validando cupón:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Validaciones
-        if (!cupon.activo) {
-            return res.status(400).json({ error: 'Cupón inactivo' });
-        }
+// ============================================
+// HISTORIAL DE CAMBIOS (AUDITORÍA)
+// ============================================
+// Cada escritura de productos, cupones, packs y descuentos deja una entrada en
+// auditoria con el actor, el antes/después por campo y la versión completa
+// resultante. Revertir a una entrada restaura esa versión y queda registrado.
+
+// noRevertibles: campos que un revert no toca porque los mantiene el sistema
+// (contadores, stock que mueven las ventas, ejes ligados a variantes)
+const ENTIDADES_AUDITORIA = {
+    producto: {
+        tabla: 'Productos',
+        permiso: 'productos:escribir',
+        noRevertibles: ['id', 'created_at', 'NUM_VENTAS', 'STOCK', 'OPCIONES', 'ELIMINADO_EN', 'ELIMINADO_POR']
+    },
+    cupon: {
+        tabla: 'cupones',
+        permiso: 'cupones:gestionar',
+        noRevertibles: ['id', 'created_at', 'usos_actuales']
+    },
+    pack: {
+        tabla: 'packs',
+        permiso: 'packs:gestionar',
+        noRevertibles: ['id', 'creado_en']
+    },
+    descuento_producto: {
+        tabla: 'descuentos_productos',
+        permiso: 'descuentos:gestionar',
+        noRevertibles: ['id', 'creado_en', 'producto_id']
+    },
+    variante: {
+        tabla: 'producto_variantes',
+        permiso: 'productos:escribir',
+        noRevertibles: ['id', 'creado_en', 'producto_id', 'stock', 'num_ventas', 'opciones', 'etiqueta']
+    }
+};
 
-        const now = new Date();
-        if (cupon.fecha_inicio && new Date(cupon.fecha_inicio) > now) {
-            return res.status(400).json({ error: 'Cupón aún no válido' });
-        }
+const ACCIONES_AUDITORIA = ['crear', 'actualizar', 'eliminar', 'revertir', 'archivar', 'restaurar'];
+
+// Campos distintos entre dos versiones: { campo: { antes, despues } }
+function diffVersiones(antes, despues) {
+    const a = antes || {};
+    const d = despues || {};
+    const cambios = {};
 
-        if (cupon.fecha_fin && new Date(cupon.fecha_fin) < now) {
-            return res.status(400).json({ error: 'Cupón expirado' });
+    for (const campo of new Set([...Object.keys(a), ...Object.keys(d)])) {
+        const valorAntes = a[campo] === undefined ? null : a[campo];
+        const valorDespues = d[campo] === undefined ? null : d[campo];
+        if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+            cambios[campo] = { antes: valorAntes, despues: valorDespues };
         }
+    }
+
+    return cambios;
+}
+
+// Estado actual de una entidad (los packs incluyen sus productos), o null
+async function getVersionEntidad(entidad, id) {
+    const { data, error } = await supabase
+        .from(ENTIDADES_AUDITORIA[entidad].tabla)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data || entidad !== 'pack') return data;
+
+    const { data: productos, error: productosError } = await supabase
+        .from('pack_productos')
+        .select('producto_id, cantidad')
+        .eq('pack_id', id)
+        .order('producto_id', { ascending: true });
+
+    if (productosError) throw productosError;
+    return { ...data, productos };
+}
+
+// Versiones actuales de varios productos: { id: producto }
+async function getVersionesProductos(ids) {
+    const unicos = [...new Set(ids)];
+    const versiones = {};
+
+    for (let i = 0; i < unicos.length; i += 200) {
+        const { data, error } = await supabase
+            .from('Productos')
+            .select('*')
+            .in('id', unicos.slice(i, i + 200));
+
+        if (error) throw error;
+        (data || []).forEach(p => { versiones[p.id] = p; });
+    }
+
+    return versiones;
+}
+
+// Registra entradas { entidad, entidadId, accion, actor, antes, despues, revertidoDe }.
+// Las actualizaciones sin diferencias no se guardan. El cambio ya se aplicó, así
+// que un fallo al registrar solo se informa en el log.
+async function registrarAuditoria(...entradas) {
+    const filas = entradas
+        .map(e => ({
+            entidad: e.entidad,
+            entidad_id: String(e.entidadId),
+            accion: e.accion,
+            actor: e.actor || null,
+            cambios: diffVersiones(e.antes, e.despues),
+            version: e.despues || null,
+            revertido_de: e.revertidoDe || null
+        }))
+        .filter(f => f.accion !== 'actualizar' || Object.keys(f.cambios).length > 0);
+
+    for (let i = 0; i < filas.length; i += 500) {
+        const { error } = await supabase.from('auditoria').insert(filas.slice(i, i + 500));
+        if (error) console.error('Error registrando auditoría:', error);
+    }
+}
+
+// Campos que cambiarían al volver a `version` desde `actual`
+function cambiosReversion(entidad, actual, version) {
+    const { noRevertibles } = ENTIDADES_AUDITORIA[entidad];
+    const cambios = {};
+
+    Object.entries(version).forEach(([campo, valor]) => {
+        if (noRevertibles.includes(campo) || !(campo in actual)) return;
+        if (JSON.stringify(actual[campo]) !== JSON.stringify(valor)) cambios[campo] = valor;
+    });
+
+    return cambios;
+}
+
+async function aplicarReversion(entidad, id, cambios) {
+    const { tabla } = ENTIDADES_AUDITORIA[entidad];
+    let { productos, ...campos } = cambios;
+
+    if (entidad === 'producto') campos = await normalizarCategoriasProducto(campos, id);
+
+    if (Object.keys(campos).length > 0) {
+        const { error } = await supabase
+            .from(tabla)
+            .update(campos)
+            .eq('id', id);
 
-        if (cupon.uso_unico && cupon.usos_actuales > 0) {
-            return res.status(400).json({ error: 'Cupón ya utilizado' });
+        if (error) {
+            if (entidad === 'producto') throw errorSkuProducto(error);
+            if (entidad === 'variante') throw errorVariante(error);
+            if (error.code === '23505') throw httpError('Otro registro ya usa alguno de los valores de esa versión', 409);
+            throw error;
         }
+    }
+
+    if (entidad === 'pack' && productos) {
+        await verificarProductosPack(productos);
 
-        if (cupon.usos_maximos && cupon.usos_actuales >= cupon.usos_maximos) {
-            return res.status(400).json({ error: 'Cupón sin usos disponibles' });
+        const { error: deleteError } = await supabase
+            .from('pack_productos')
+            .delete()
+            .eq('pack_id', id);
+
+        if (deleteError) throw deleteError;
+
+        const { error: insertError } = await supabase
+            .from('pack_productos')
+            .insert(productos.map(p => ({ pack_id: id, producto_id: p.producto_id, cantidad: p.cantidad })));
+
+        if (insertError) {
+            if (insertError.code === '23503') throw httpError('Algún producto de esa versión del pack ya no existe', 409);
+            throw insertError;
         }
+    }
+}
 
-        res.json({ 
-            valid: true, 
-            cupon: {
-                tipo_descuento: cupon.tipo_descuento,
-                valor_descuento: cupon.valor_descuento
+async function getEntradaAuditoria(id) {
+    const { data, error } = await supabase
+        .from('auditoria')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Entrada de historial no encontrada', 404);
+    return data;
+}
+
+// Historial de cambios (filtros: entidad + entidad_id para el de un registro, actor, accion, fechas)
+app.get('/api/auditoria', requirePermission('auditoria:ver'), validar({
+    query: {
+        ...paginacion(),
+        entidad: campo.texto({ enum: Object.keys(ENTIDADES_AUDITORIA) }),
+        entidad_id: campo.texto({ max: 100 }),
+        actor: campo.texto({ max: 254 }),
+        accion: campo.texto({ enum: ACCIONES_AUDITORIA }),
+        desde: campo.fecha(),
+        hasta: campo.fecha()
+    },
+    reglas: reglaRango('query', 'desde', 'hasta', 'debe ser posterior a desde')
+}), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+        const { entidad, entidad_id, actor, accion, desde, hasta } = req.query;
+
+        let query = supabase
+            .from('auditoria')
+            .select('*', { count: 'exact' });
+
+        if (entidad) query = query.eq('entidad', entidad);
+        if (entidad_id) query = query.eq('entidad_id', entidad_id);
+        if (actor) query = query.eq('actor', actor);
+        if (accion) query = query.eq('accion', accion);
+        if (desde) query = query.gte('creado_en', desde);
+        if (hasta) query = query.lte('creado_en', hasta);
+
+        const { data, error, count } = await query
+            .order('creado_en', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+
+        res.json({
+            data,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                totalPages: Math.ceil(count / limit),
+                hasMore: offset + limit < count
             }
         });
     } catch (error) {
-        console.error('Error validando cupón:', error);
+        console.error('Error obteniendo historial de cambios:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Ver una entrada junto con lo que cambiaría al revertir a ella desde el estado actual
+app.get('/api/auditoria/:id', requirePermission('auditoria:ver'), validar({
+    params: { id: campo.uuid({ requerido: true }) }
+}), async (req, res) => {
+    try {
+        const entrada = await getEntradaAuditoria(req.params.id);
+        const actual = await getVersionEntidad(entrada.entidad, entrada.entidad_id);
+        const revertible = Boolean(actual && entrada.version);
+
+        res.json({
+            ...entrada,
+            existe: Boolean(actual),
+            revertible,
+            diferencias_con_actual: revertible
+                ? diffVersiones(actual, { ...actual, ...cambiosReversion(entrada.entidad, actual, entrada.version) })
+                : null
+        });
+    } catch (error) {
+        console.error('Error obteniendo entrada de historial:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
+// Revertir un registro a la versión que dejó esta entrada. Exige el permiso de
+// escritura de la entidad; los campos que mantiene el sistema no se tocan.
+app.post('/api/auditoria/:id/revertir', requirePermission('auditoria:ver'), validar({
+    params: { id: campo.uuid({ requerido: true }) }
+}), async (req, res) => {
+    try {
+        const entrada = await getEntradaAuditoria(req.params.id);
+        const { permiso } = ENTIDADES_AUDITORIA[entrada.entidad];
+
+        if (!hasPermission(req.staff.role, permiso)) {
+            return res.status(403).json({ error: 'Permisos insuficientes', required: permiso });
+        }
+        if (!entrada.version) {
+            throw httpError('La entrada corresponde a una eliminación; no hay versión a la que volver', 400);
+        }
+
+        const actual = await getVersionEntidad(entrada.entidad, entrada.entidad_id);
+        if (!actual) throw httpError('El registro ya no existe', 409);
+
+        const cambios = cambiosReversion(entrada.entidad, actual, entrada.version);
+        if (Object.keys(cambios).length === 0) {
+            return res.json({ message: 'El registro ya está en esa versión', cambios: {}, version: actual });
+        }
+
+        await aplicarReversion(entrada.entidad, entrada.entidad_id, cambios);
+
+        const despues = await getVersionEntidad(entrada.entidad, entrada.entidad_id);
+        await registrarAuditoria({
+            entidad: entrada.entidad,
+            entidadId: entrada.entidad_id,
+            accion: 'revertir',
+            actor: req.staff.email,
+            antes: actual,
+            despues,
+            revertidoDe: entrada.id
+        });
+
+        res.json({ message: 'Registro revertido', cambios: diffVersiones(actual, despues), version: despues });
+    } catch (error) {
+        console.error('Error revirtiendo cambio:', error);
+        sendErrorResponse(res, error);
+    }
+});
+
 // ============================================
 // Estadísticas Routes
 // ============================================
 
 // Obtener estadísticas de cupones
-app.get('/api/estadisticas/cupones', async (req, res) => {
+app.get('/api/estadisticas/cupones', requirePermission('estadisticas:ver'), validar(), async (req, res) => {
     try {
         const { data: cupones, error } = await supabase
             .from('cupones')
@@ -1495,7 +8096,7 @@ app.get('/api/estadisticas/cupones', async (req, res) => {
 });
 
 // Obtener estadísticas de packs
-app.get('/api/estadisticas/packs', async (req, res) => {
+app.get('/api/estadisticas/packs', requirePermission('estadisticas:ver'), validar(), async (req, res) => {
     try {
         // Obtener todos los packs
         const { data: packs, error: packsError } = await supabase
@@ -1520,13 +8121,13 @@ app.get('/api/estadisticas/packs', async (req, res) => {
 });
 
 // Obtener estadísticas de descuentos
-app.get('/api/estadisticas/descuentos', async (req, res) => {
+app.get('/api/estadisticas/descuentos', requirePermission('estadisticas:ver'), validar(), async (req, res) => {
     try {
         const { data: descuentos, error } = await supabase
             .from('descuentos_productos')
             .select(`
                 *,
-                producto:id_producto (
+                producto:producto_id (
                     id,
                     NOMBRE,
                     PRECIO
@@ -1535,11 +8136,12 @@ app.get('/api/estadisticas/descuentos', async (req, res) => {
 
         if (error) throw error;
 
+        const activos = descuentos.filter(d => descuentoVigente(d));
         const estadisticas = {
             total_descuentos: descuentos.length,
-            descuentos_activos: descuentos.filter(d => d.activo).length,
-            descuento_promedio: descuentos.reduce((sum, d) => sum + d.porcentaje_descuento, 0) / (descuentos.length || 1),
-            productos_con_descuento: descuentos.filter(d => d.activo).length
+            descuentos_activos: activos.length,
+            descuento_promedio: descuentos.reduce((sum, d) => sum + d.porcentaje, 0) / (descuentos.length || 1),
+            productos_con_descuento: new Set(activos.map(d => d.producto_id)).size
         };
 
         res.json(estadisticas);
@@ -1564,5 +8166,5 @@ app.listen(PORT, () => {
     console.log(`🚀 PCSYSTEM Backend corriendo en puerto ${PORT}`);
     console.log(`📍 Local: http://localhost:${PORT}`);
     console.log(`🗄️ Supabase: Conectado`);
-    console.log(`📧 Email: ${emailTransporter ? 'Configurado' : 'No configurado'}`);
+    console.log(`📧 Email: ${emailTransporter ? EMAIL_TRANSPORT : 'No configurado'}`);
 });
\ No newline at end of file